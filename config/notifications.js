@@ -0,0 +1,117 @@
+// Channels notifications can go out on; SMS and WhatsApp need a phone number on the account or profile
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+const pkr = (amount) => `PKR ${parseFloat(amount).toFixed(2)}`;
+
+// Short order reference for subjects and text messages
+const orderRef = (order) => order.id.slice(0, 8).toUpperCase();
+
+const itemLines = (items) => items.map(item => `- ${item.name} × ${item.quantity}`).join('\n');
+
+const greeting = (recipient) => (recipient.name ? `Hi ${recipient.name},` : 'Hello,');
+
+// What each order status means for the client
+const STATUS_MESSAGES = {
+  Processing: 'has been confirmed and is being prepared',
+  Shipped: 'is on its way',
+  Delivered: 'has been delivered',
+  Cancelled: 'has been cancelled',
+  'Partially Returned': 'has been partly returned',
+  Returned: 'has been returned'
+};
+
+// Notification events. channels are the defaults, which users can change per event; required events
+// (account and security mail) always go by email and can't be turned off. secret events carry sign-in
+// links: their text is never listed by the API and its links are removed once sent. render(data, recipient)
+// returns the email subject and text, and a short text for SMS/WhatsApp.
+const NOTIFICATION_EVENTS = {
+  order_placed: {
+    label: 'Order confirmations',
+    channels: ['email'],
+    render: ({ order, items }, recipient) => ({
+      subject: `Order ${orderRef(order)} received`,
+      text: `${greeting(recipient)}\n\nThanks for your order. We've received order ${order.id} for ${pkr(order.amount)}${order.delivery_date ? `, to be delivered on ${order.delivery_date}` : ''}.\n\n${itemLines(items)}\n\nWe'll let you know when it's confirmed and on its way.`,
+      short: `GreenVerse: order ${orderRef(order)} received, total ${pkr(order.amount)}.`
+    })
+  },
+  order_status_changed: {
+    label: 'Order status updates',
+    channels: ['email'],
+    render: ({ order, status, note }, recipient) => {
+      const change = STATUS_MESSAGES[status] || `is now ${status}`;
+      return {
+        subject: `Order ${orderRef(order)} ${change}`,
+        text: `${greeting(recipient)}\n\nYour order ${order.id} ${change}.${note ? `\n\nNote: ${note}` : ''}`,
+        short: `GreenVerse: order ${orderRef(order)} ${change}.`
+      };
+    }
+  },
+  subscription_ordered: {
+    label: 'Recurring orders placed',
+    channels: ['email'],
+    render: ({ label, runDate, order, items, nextRunDate }, recipient) => ({
+      subject: `Your ${label} has been placed`,
+      text: `${greeting(recipient)}\n\nYour ${label} for ${runDate} has been placed as order ${order.id} (total ${pkr(order.amount)}).\n\n${itemLines(items)}\n\nNext scheduled date: ${nextRunDate}.`,
+      short: `GreenVerse: your ${label} for ${runDate} was placed as order ${orderRef(order)} (${pkr(order.amount)}).`
+    })
+  },
+  subscription_skipped: {
+    label: 'Recurring orders skipped',
+    channels: ['email'],
+    render: ({ label, runDate, reason, items, nextRunDate }, recipient) => ({
+      subject: `Your ${label} was skipped`,
+      text: `${greeting(recipient)}\n\nWe couldn't place your ${label} for ${runDate} because ${reason}.\n\n${itemLines(items)}\n\nNext scheduled date: ${nextRunDate}. You can change the items or pause the subscription from your account.`,
+      short: `GreenVerse: your ${label} for ${runDate} was skipped because ${reason}.`
+    })
+  },
+  account_created: {
+    label: 'New accounts',
+    channels: ['email'],
+    render: ({ account, cluster }, recipient) => ({
+      subject: `New ${account.role} account: ${account.name}`,
+      text: `${greeting(recipient)}\n\n${account.name} (${account.email}) has joined GreenVerse as ${account.role}${cluster ? ` for ${cluster.name}` : ''}.`,
+      short: `GreenVerse: new ${account.role} account ${account.name}${cluster ? ` for ${cluster.name}` : ''}.`
+    })
+  },
+  low_stock: {
+    label: 'Low stock alerts',
+    channels: ['email'],
+    render: ({ products, threshold }, recipient) => ({
+      subject: `Low stock: ${products.map(product => product.name).join(', ')}`,
+      text: `${greeting(recipient)}\n\nThese products are down to ${threshold} or fewer in stock:\n\n${products.map(product => `- ${product.name}: ${product.stock} left`).join('\n')}`,
+      short: `GreenVerse low stock: ${products.map(product => `${product.name} (${product.stock})`).join(', ')}.`
+    })
+  },
+  password_reset: {
+    label: 'Password reset',
+    channels: ['email'],
+    required: true,
+    secret: true,
+    render: ({ resetUrl, ttlMinutes }, recipient) => ({
+      subject: 'Reset your GreenVerse password',
+      text: `${greeting(recipient)}\n\nUse the link below to reset your password. It expires in ${ttlMinutes} minutes and can only be used once.\n\n${resetUrl}\n\nIf you didn't ask for this, you can ignore this email.`
+    })
+  },
+  email_verification: {
+    label: 'Email verification',
+    channels: ['email'],
+    required: true,
+    secret: true,
+    render: ({ verifyUrl, ttlHours }, recipient) => ({
+      subject: 'Verify your GreenVerse email',
+      text: `${greeting(recipient)}\n\nPlease confirm your email address so you can start placing orders. The link expires in ${ttlHours} hours.\n\n${verifyUrl}`
+    })
+  },
+  invitation: {
+    label: 'Invitations',
+    channels: ['email'],
+    required: true,
+    secret: true,
+    render: ({ inviterName, role, clusterName, acceptUrl, ttlDays }) => ({
+      subject: 'You have been invited to GreenVerse',
+      text: `${inviterName} has invited you to join GreenVerse as ${role}${clusterName ? ` for ${clusterName}` : ''}.\n\nSet your password to activate your account (link expires in ${ttlDays} days):\n\n${acceptUrl}`
+    })
+  }
+};
+
+module.exports = { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS };
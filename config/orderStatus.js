@@ -0,0 +1,26 @@
+// Order lifecycle: Pending -> Processing -> Shipped -> Delivered, with Cancelled/Returned as exits.
+// Approved returns move a delivered order to Partially Returned, then Returned once everything is back.
+const ORDER_STATUSES = ['Pending', 'Processing', 'Shipped', 'Delivered', 'Partially Returned', 'Cancelled', 'Returned'];
+
+// Statuses each status may move to; anything not listed is rejected
+const ORDER_TRANSITIONS = {
+  Pending: ['Processing', 'Cancelled'],
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered', 'Returned'],
+  Delivered: ['Partially Returned', 'Returned'],
+  'Partially Returned': ['Returned'],
+  Cancelled: [],
+  Returned: []
+};
+
+// Only an approved return (services/returns.js) moves an order here, since it also credits the money back
+const RETURN_STATUSES = ['Partially Returned', 'Returned'];
+
+const allowedTransitions = (status) => ORDER_TRANSITIONS[status] || [];
+
+const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+// Statuses staff can move an order to by hand
+const manualTransitions = (status) => allowedTransitions(status).filter(to => !RETURN_STATUSES.includes(to));
+
+module.exports = { ORDER_STATUSES, ORDER_TRANSITIONS, RETURN_STATUSES, allowedTransitions, canTransition, manualTransitions };
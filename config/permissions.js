@@ -0,0 +1,90 @@
+// Every permission checked by the API, with a label for the admin UI
+const PERMISSIONS = {
+  'users:read': 'View user accounts',
+  'users:write': 'Edit any user profile',
+  'users:invite': 'Invite users and manage invitations',
+  'users:security': 'Manage sessions, lockouts, 2FA and login history',
+  'users:impersonate': 'Sign in as another user for support',
+  'roles:manage': 'Create and edit custom roles',
+  'audit:read': 'View the audit log',
+  'products:write': 'Create, edit and delete products',
+  'orders:create': 'Place orders',
+  'orders:read': 'View your own orders',
+  'orders:read_all': 'View all orders, not only your own',
+  'orders:cancel': 'Cancel your own orders before they ship',
+  'orders:update_status': 'Change order status',
+  'orders:delete': 'Delete orders',
+  'orders:allocate': 'Assign orders to the clusters that fulfil them',
+  'orders:read_cluster': 'View orders allocated to your cluster',
+  'fulfilments:update': 'Update packing and dispatch of allocated orders (cluster accounts only for their own cluster)',
+  'shipments:manage': 'Book couriers and view all shipments',
+  'sales:read': 'View sales statistics',
+  'coupons:manage': 'Create and edit coupon codes',
+  'pricing:manage': 'Manage tax and delivery fee rules',
+  'clusters:read': 'View clusters',
+  'clusters:write': 'Create and edit clusters',
+  'clusters:delete': 'Delete clusters',
+  'api_keys:manage': 'Manage API keys for your cluster (any cluster with clusters:write)',
+  'production:read': 'View production records',
+  'production:write': 'Record production for your cluster',
+  'production:reports': 'View production reports across all clusters',
+  'attendance:read': 'View attendance records',
+  'attendance:write': 'Mark attendance for your cluster',
+  'materials:read': 'View raw materials',
+  'materials:write': 'Manage raw materials for your cluster',
+  'employees:read': 'View employees',
+  'employees:write': 'Add, edit and remove employees',
+  'hr:read': 'View HR statistics',
+  'finance:read': 'View finance statistics and invoices',
+  'invoices:manage': 'Change invoice status (e.g. mark as paid)',
+  'payments:create': 'Pay for your own orders',
+  'payments:manage': 'View all payments and confirm cash/bank transfer payments',
+  'returns:create': 'Request returns for your own delivered orders',
+  'returns:manage': 'Review all returns and pay out refunds',
+  'quotes:create': 'Request volume quotes and accept them as orders',
+  'quotes:manage': 'View all quotes and respond with prices',
+  'subscriptions:create': 'Set up recurring orders for yourself',
+  'subscriptions:manage': 'View all subscriptions and run due ones',
+  'notifications:manage': 'View every outgoing notification and retry failed ones',
+  'impact:read': 'View impact statistics',
+  'profile:manage': 'Manage your own delivery profile'
+};
+
+// Permissions that only make sense for a cluster-bound or client account
+const CLUSTER_PERMISSIONS = [
+  'clusters:read',
+  'production:read',
+  'production:write',
+  'attendance:read',
+  'attendance:write',
+  'materials:read',
+  'materials:write',
+  'employees:read',
+  'api_keys:manage',
+  'orders:read_cluster',
+  'fulfilments:update'
+];
+
+const CLIENT_PERMISSIONS = ['orders:create', 'orders:read', 'orders:cancel', 'payments:create', 'returns:create', 'quotes:create', 'subscriptions:create', 'profile:manage'];
+
+const ADMIN_EXCLUDED = ['production:write', 'attendance:write', 'materials:write', 'profile:manage'];
+
+// Built-in roles; these are defined in code and can't be edited through the API
+const SYSTEM_ROLES = {
+  admin: Object.keys(PERMISSIONS).filter(permission => !ADMIN_EXCLUDED.includes(permission)),
+  cluster: CLUSTER_PERMISSIONS,
+  client: CLIENT_PERMISSIONS
+};
+
+// The most an API key can be granted; keys are for pushing cluster data from devices
+const API_KEY_PERMISSIONS = [
+  'production:read',
+  'production:write',
+  'attendance:read',
+  'attendance:write',
+  'materials:read'
+];
+
+const DEFAULT_API_KEY_SCOPES = ['production:write', 'attendance:write'];
+
+module.exports = { PERMISSIONS, SYSTEM_ROLES, API_KEY_PERMISSIONS, DEFAULT_API_KEY_SCOPES };
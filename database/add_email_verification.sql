@@ -0,0 +1,11 @@
+-- Add email verification state to users
+-- Run this in your Supabase SQL Editor (after create_auth_tokens.sql)
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Accounts that existed before verification was introduced are trusted as-is
+UPDATE users SET email_verified = TRUE, email_verified_at = NOW() WHERE email_verified = FALSE;
+
+-- Verification tokens are stored in auth_tokens (purpose = 'email_verification'),
+-- so run create_auth_tokens.sql first if you haven't already
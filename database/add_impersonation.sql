@@ -0,0 +1,33 @@
+-- Admin impersonation for support
+-- Run this in your Supabase SQL Editor (after create_user_sessions.sql and create_audit_logs.sql)
+
+-- Impersonation sessions belong to the target user and remember which admin opened them
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS allow_destructive BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS impersonation_reason TEXT;
+
+-- Audit entries made during impersonation name the admin as well as the user
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Create impersonation_logs table (every request made with an impersonation token)
+CREATE TABLE IF NOT EXISTS impersonation_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID REFERENCES user_sessions(id) ON DELETE SET NULL,
+  impersonator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for looking up what an admin did
+CREATE INDEX IF NOT EXISTS idx_impersonation_logs_impersonator_id ON impersonation_logs(impersonator_id);
+CREATE INDEX IF NOT EXISTS idx_impersonation_logs_session_id ON impersonation_logs(session_id);
+
+-- Backend handles access control
+ALTER TABLE impersonation_logs DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE impersonation_logs IS 'Requests made by admins while impersonating a user';
@@ -0,0 +1,110 @@
+-- Invoices: numbered, itemised invoices created when an order is confirmed
+-- Run this in your Supabase SQL Editor (after create_order_items.sql)
+
+-- Invoice numbers come from a sequence so they are unique and gap-free in practice
+CREATE SEQUENCE IF NOT EXISTS invoice_number_seq START 1;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(30);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10, 2);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS total DECIMAL(10, 2);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_invoice_number ON invoices(invoice_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_order_id ON invoices(order_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_status_due_date ON invoices(status, due_date);
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check
+  CHECK (status IN ('Pending', 'Paid', 'Overdue', 'Void')) NOT VALID;
+
+-- Create invoice_items table (copied from order_items when the invoice is issued)
+CREATE TABLE IF NOT EXISTS invoice_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  description VARCHAR(255) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price DECIMAL(10, 2) NOT NULL,
+  total_price DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice_id ON invoice_items(invoice_id);
+
+-- Backend handles access control
+ALTER TABLE invoice_items DISABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_invoices_updated_at ON invoices;
+CREATE TRIGGER update_invoices_updated_at BEFORE UPDATE ON invoices
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Issue the invoice for an order (returns the existing one if it was already issued).
+-- Numbers look like INV-2025-000042.
+CREATE OR REPLACE FUNCTION create_invoice(p_order_id UUID, p_tax_rate DECIMAL, p_due_days INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_invoice invoices%ROWTYPE;
+  v_subtotal DECIMAL(10, 2);
+  v_tax DECIMAL(10, 2);
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_invoice FROM invoices WHERE order_id = p_order_id;
+
+  IF FOUND THEN
+    RETURN to_jsonb(v_invoice);
+  END IF;
+
+  v_subtotal := v_order.amount;
+  v_tax := ROUND(v_subtotal * p_tax_rate / 100, 2);
+
+  INSERT INTO invoices (
+    order_id, user_id, invoice_number, subtotal, tax_rate, tax_amount, total, amount,
+    issue_date, due_date, status
+  )
+  VALUES (
+    p_order_id,
+    v_order.user_id,
+    'INV-' || TO_CHAR(NOW(), 'YYYY') || '-' || LPAD(nextval('invoice_number_seq')::TEXT, 6, '0'),
+    v_subtotal,
+    p_tax_rate,
+    v_tax,
+    v_subtotal + v_tax,
+    v_subtotal + v_tax,
+    CURRENT_DATE,
+    CURRENT_DATE + p_due_days,
+    'Pending'
+  )
+  RETURNING * INTO v_invoice;
+
+  -- Multi-product orders are itemised from order_items; older single-product orders from the order row
+  IF EXISTS (SELECT 1 FROM order_items WHERE order_id = p_order_id) THEN
+    INSERT INTO invoice_items (invoice_id, product_id, description, quantity, unit_price, total_price)
+    SELECT v_invoice.id, i.product_id, COALESCE(p.name, 'Product'), i.quantity, i.unit_price, i.total_price
+    FROM order_items i
+    LEFT JOIN products p ON p.id = i.product_id
+    WHERE i.order_id = p_order_id
+    ORDER BY i.created_at;
+  ELSE
+    INSERT INTO invoice_items (invoice_id, product_id, description, quantity, unit_price, total_price)
+    SELECT v_invoice.id, v_order.product_id, COALESCE(p.name, 'Product'), v_order.quantity,
+           ROUND(v_order.amount / NULLIF(v_order.quantity, 0), 2), v_order.amount
+    FROM (SELECT 1) AS one
+    LEFT JOIN products p ON p.id = v_order.product_id;
+  END IF;
+
+  RETURN to_jsonb(v_invoice);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE invoice_items IS 'Invoice lines, frozen copies of the order items at the time of issue';
+COMMENT ON FUNCTION create_invoice(UUID, DECIMAL, INTEGER) IS 'Issues an order''s invoice once; see services/invoices.js';
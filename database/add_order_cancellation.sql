@@ -0,0 +1,67 @@
+-- Order cancellation: cancelled orders keep their row and give their stock back
+-- Run this in your Supabase SQL Editor (after create_order_status_history.sql)
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- Cancel an order, restock every line and record the history entry in one transaction.
+-- p_allowed_from: statuses that may still be cancelled (from config/orderStatus.js)
+-- p_owner_id: when set, only that user's order can be cancelled
+-- Returns { "order": {...} } or { "error": "not_found" } / { "error": "invalid_status", "status": ... }
+CREATE OR REPLACE FUNCTION cancel_order(
+  p_order_id UUID,
+  p_actor_id UUID,
+  p_reason TEXT,
+  p_allowed_from TEXT[],
+  p_owner_id UUID DEFAULT NULL,
+  p_impersonator_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_previous_status VARCHAR(50);
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND OR (p_owner_id IS NOT NULL AND v_order.user_id IS DISTINCT FROM p_owner_id) THEN
+    RETURN jsonb_build_object('error', 'not_found');
+  END IF;
+
+  IF NOT (v_order.status = ANY(p_allowed_from)) THEN
+    RETURN jsonb_build_object('error', 'invalid_status', 'status', v_order.status);
+  END IF;
+
+  v_previous_status := v_order.status;
+
+  -- Multi-product orders restock from their items; older single-product orders from the order row
+  IF EXISTS (SELECT 1 FROM order_items WHERE order_id = p_order_id) THEN
+    UPDATE products p
+    SET stock = p.stock + i.quantity
+    FROM (
+      SELECT product_id, SUM(quantity) AS quantity
+      FROM order_items
+      WHERE order_id = p_order_id
+      GROUP BY product_id
+    ) i
+    WHERE p.id = i.product_id;
+  ELSIF v_order.product_id IS NOT NULL THEN
+    UPDATE products SET stock = stock + v_order.quantity WHERE id = v_order.product_id;
+  END IF;
+
+  UPDATE orders
+  SET status = 'Cancelled',
+      cancelled_at = NOW(),
+      cancelled_by = p_actor_id,
+      cancellation_reason = p_reason
+  WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by, impersonator_id)
+  VALUES (p_order_id, v_previous_status, 'Cancelled', p_reason, p_actor_id, p_impersonator_id);
+
+  RETURN jsonb_build_object('order', to_jsonb(v_order));
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION cancel_order(UUID, UUID, TEXT, TEXT[], UUID, UUID) IS 'Cancels an order and restocks its items atomically; see services/orderStatus.js';
@@ -0,0 +1,5 @@
+-- Indexes for paging, sorting and filtering GET /api/orders
+-- Run this in your Supabase SQL Editor (after create_pricing_rules.sql)
+
+CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_user_created_at ON orders(user_id, created_at DESC);
@@ -0,0 +1,44 @@
+-- TOTP two-factor authentication
+-- Run this in your Supabase SQL Editor (after create_user_sessions.sql)
+
+-- Add 2FA columns to users table (secrets are stored encrypted by the backend)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT;
+
+-- Sessions remember whether the login passed a second factor
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS mfa_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Create user_backup_codes table
+CREATE TABLE IF NOT EXISTS user_backup_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_backup_codes_user_id ON user_backup_codes(user_id);
+
+-- Create role_security_policies table (admins decide which roles must use 2FA)
+CREATE TABLE IF NOT EXISTS role_security_policies (
+  role VARCHAR(50) PRIMARY KEY,
+  require_2fa BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO role_security_policies (role, require_2fa) VALUES
+  ('admin', FALSE),
+  ('cluster', FALSE),
+  ('client', FALSE)
+ON CONFLICT (role) DO NOTHING;
+
+-- Backend handles access control
+ALTER TABLE user_backup_codes DISABLE ROW LEVEL SECURITY;
+ALTER TABLE role_security_policies DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE user_backup_codes IS 'Hashed single-use 2FA recovery codes';
+COMMENT ON TABLE role_security_policies IS 'Per-role security settings such as mandatory 2FA';
@@ -0,0 +1,26 @@
+-- Create api_keys table for unattended cluster devices (scales, tablets)
+-- Run this in your Supabase SQL Editor (after create_roles.sql)
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  cluster_id UUID NOT NULL REFERENCES clusters(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL UNIQUE,
+  key_hash VARCHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  last_used_ip VARCHAR(64),
+  rotated_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index for listing keys per cluster
+CREATE INDEX IF NOT EXISTS idx_api_keys_cluster_id ON api_keys(cluster_id);
+
+-- Backend handles access control
+ALTER TABLE api_keys DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE api_keys IS 'Hashed per-cluster API keys; scopes are permission names from config/permissions.js';
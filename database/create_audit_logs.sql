@@ -0,0 +1,31 @@
+-- Create audit_logs table (one row per successful POST/PUT/PATCH/DELETE)
+-- Run this in your Supabase SQL Editor (after create_api_keys.sql)
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_role VARCHAR(50),
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(255),
+  before JSONB,
+  after JSONB,
+  changes JSONB,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for the admin filters
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor_id ON audit_logs(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at DESC);
+
+-- Backend handles access control
+ALTER TABLE audit_logs DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE audit_logs IS 'Who changed what: actor, action, entity and a before/after snapshot with secrets redacted';
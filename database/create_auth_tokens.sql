@@ -0,0 +1,20 @@
+-- Create auth_tokens table for single-use tokens (password reset, etc.)
+-- Run this in your Supabase SQL Editor (after create_user_sessions.sql)
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index for per-user lookups
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose ON auth_tokens(user_id, purpose);
+
+-- Backend handles access control
+ALTER TABLE auth_tokens DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE auth_tokens IS 'Hashed single-use tokens sent to users by email; purpose says what they unlock';
@@ -0,0 +1,346 @@
+-- Coupons: admin-managed discount codes applied at checkout
+-- Run this in your Supabase SQL Editor (after create_place_order.sql and add_invoicing.sql)
+
+CREATE TABLE IF NOT EXISTS coupons (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(50) NOT NULL UNIQUE,
+  description TEXT,
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+  max_discount_amount DECIMAL(10, 2),
+  min_order_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  product_ids UUID[],
+  categories TEXT[],
+  max_redemptions INTEGER,
+  max_redemptions_per_user INTEGER,
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (discount_type <> 'percentage' OR discount_value <= 100)
+);
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_user ON coupon_redemptions(coupon_id, user_id);
+
+-- Orders keep the price before discount and what the coupon took off; amount stays the amount due
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10, 2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES coupons(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+CREATE TRIGGER update_coupons_updated_at BEFORE UPDATE ON coupons
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backend handles access control
+ALTER TABLE coupons DISABLE ROW LEVEL SECURITY;
+ALTER TABLE coupon_redemptions DISABLE ROW LEVEL SECURITY;
+
+-- Work out a coupon's discount for a cart without redeeming it.
+-- p_items: [{ "product_id": uuid, "quantity": int }, ...]
+-- p_lock: lock the coupon row so concurrent checkouts count redemptions one at a time
+-- Returns { coupon_id, code, discount_amount, eligible_subtotal, subtotal } or
+--         { "error": "invalid_coupon", "reason": not_found | inactive | not_started | expired |
+--           usage_limit | user_limit | min_order | not_applicable, ... }
+-- Redemptions of cancelled orders don't count towards the limits.
+CREATE OR REPLACE FUNCTION evaluate_coupon(p_code TEXT, p_user_id UUID, p_items JSONB, p_lock BOOLEAN DEFAULT FALSE)
+RETURNS JSONB AS $$
+DECLARE
+  v_coupon coupons%ROWTYPE;
+  v_used INTEGER;
+  v_subtotal DECIMAL(10, 2);
+  v_eligible DECIMAL(10, 2);
+  v_discount DECIMAL(10, 2);
+BEGIN
+  IF p_lock THEN
+    PERFORM 1 FROM coupons WHERE code = UPPER(TRIM(p_code)) FOR UPDATE;
+  END IF;
+
+  SELECT * INTO v_coupon FROM coupons WHERE code = UPPER(TRIM(p_code));
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'not_found');
+  END IF;
+
+  IF NOT v_coupon.is_active THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'inactive');
+  END IF;
+
+  IF v_coupon.starts_at IS NOT NULL AND v_coupon.starts_at > NOW() THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'not_started', 'starts_at', v_coupon.starts_at);
+  END IF;
+
+  IF v_coupon.ends_at IS NOT NULL AND v_coupon.ends_at <= NOW() THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'expired');
+  END IF;
+
+  IF v_coupon.max_redemptions IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_used
+    FROM coupon_redemptions r
+    JOIN orders o ON o.id = r.order_id
+    WHERE r.coupon_id = v_coupon.id AND o.status <> 'Cancelled';
+
+    IF v_used >= v_coupon.max_redemptions THEN
+      RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'usage_limit');
+    END IF;
+  END IF;
+
+  IF v_coupon.max_redemptions_per_user IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_used
+    FROM coupon_redemptions r
+    JOIN orders o ON o.id = r.order_id
+    WHERE r.coupon_id = v_coupon.id AND r.user_id = p_user_id AND o.status <> 'Cancelled';
+
+    IF v_used >= v_coupon.max_redemptions_per_user THEN
+      RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'user_limit');
+    END IF;
+  END IF;
+
+  WITH lines AS (
+    SELECT (line->>'product_id')::UUID AS product_id, SUM((line->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS t(line)
+    GROUP BY (line->>'product_id')::UUID
+  )
+  SELECT
+    COALESCE(SUM(p.price * l.quantity), 0),
+    COALESCE(SUM(p.price * l.quantity) FILTER (WHERE
+      (v_coupon.product_ids IS NULL OR p.id = ANY(v_coupon.product_ids))
+      AND (v_coupon.categories IS NULL OR p.category = ANY(v_coupon.categories))
+    ), 0)
+  INTO v_subtotal, v_eligible
+  FROM lines l
+  JOIN products p ON p.id = l.product_id;
+
+  IF v_subtotal < v_coupon.min_order_amount THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'min_order', 'min_order_amount', v_coupon.min_order_amount);
+  END IF;
+
+  IF v_eligible <= 0 THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'not_applicable');
+  END IF;
+
+  IF v_coupon.discount_type = 'percentage' THEN
+    v_discount := ROUND(v_eligible * v_coupon.discount_value / 100, 2);
+    IF v_coupon.max_discount_amount IS NOT NULL THEN
+      v_discount := LEAST(v_discount, v_coupon.max_discount_amount);
+    END IF;
+  ELSE
+    v_discount := LEAST(v_coupon.discount_value, v_eligible);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'coupon_id', v_coupon.id,
+    'code', v_coupon.code,
+    'discount_amount', v_discount,
+    'eligible_subtotal', v_eligible,
+    'subtotal', v_subtotal
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- place_order gains an optional coupon; the discount is taken off the order amount
+-- and recorded as a redemption in the same transaction
+DROP FUNCTION IF EXISTS place_order(JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION place_order(p_order JSONB, p_items JSONB, p_coupon_code TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  v_missing JSONB;
+  v_shortages JSONB;
+  v_coupon JSONB;
+  v_discount DECIMAL(10, 2) := 0;
+  v_order orders%ROWTYPE;
+  v_items JSONB;
+  v_subtotal DECIMAL(10, 2);
+  v_quantity INTEGER;
+  v_first_product UUID;
+  v_payload JSONB;
+  v_columns TEXT;
+BEGIN
+  -- Merge duplicate lines for the same product
+  CREATE TEMP TABLE checkout_lines ON COMMIT DROP AS
+  SELECT (line->>'product_id')::UUID AS product_id,
+         SUM((line->>'quantity')::INTEGER)::INTEGER AS quantity,
+         MIN(ordinality) AS position
+  FROM jsonb_array_elements(p_items) WITH ORDINALITY AS t(line, ordinality)
+  GROUP BY (line->>'product_id')::UUID;
+
+  -- Lock the products in a fixed order so two checkouts can't deadlock
+  PERFORM 1 FROM products
+  WHERE id IN (SELECT product_id FROM checkout_lines)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT jsonb_agg(l.product_id) INTO v_missing
+  FROM checkout_lines l
+  LEFT JOIN products p ON p.id = l.product_id
+  WHERE p.id IS NULL;
+
+  IF v_missing IS NOT NULL THEN
+    DROP TABLE checkout_lines;
+    RETURN jsonb_build_object('error', 'product_not_found', 'missing', v_missing);
+  END IF;
+
+  SELECT jsonb_agg(jsonb_build_object(
+           'product_id', p.id,
+           'name', p.name,
+           'requested', l.quantity,
+           'available', p.stock
+         ) ORDER BY l.position) INTO v_shortages
+  FROM checkout_lines l
+  JOIN products p ON p.id = l.product_id
+  WHERE p.stock < l.quantity;
+
+  IF v_shortages IS NOT NULL THEN
+    DROP TABLE checkout_lines;
+    RETURN jsonb_build_object('error', 'insufficient_stock', 'shortages', v_shortages);
+  END IF;
+
+  IF p_coupon_code IS NOT NULL AND TRIM(p_coupon_code) <> '' THEN
+    v_coupon := evaluate_coupon(p_coupon_code, (p_order->>'user_id')::UUID, p_items, TRUE);
+
+    IF v_coupon ? 'error' THEN
+      DROP TABLE checkout_lines;
+      RETURN v_coupon;
+    END IF;
+
+    v_discount := (v_coupon->>'discount_amount')::DECIMAL;
+  END IF;
+
+  SELECT SUM(p.price * l.quantity), SUM(l.quantity)
+  INTO v_subtotal, v_quantity
+  FROM checkout_lines l
+  JOIN products p ON p.id = l.product_id;
+
+  SELECT product_id INTO v_first_product FROM checkout_lines ORDER BY position LIMIT 1;
+
+  -- Any orders columns can be passed in p_order; only the given ones are written so
+  -- column defaults still apply, and the computed totals always win
+  v_payload := jsonb_build_object('status', 'Pending')
+    || p_order
+    || jsonb_build_object(
+      'product_id', v_first_product,
+      'quantity', v_quantity,
+      'subtotal', v_subtotal,
+      'discount_amount', v_discount,
+      'amount', v_subtotal - v_discount
+    );
+
+  IF v_coupon IS NOT NULL THEN
+    v_payload := v_payload || jsonb_build_object('coupon_id', v_coupon->'coupon_id', 'coupon_code', v_coupon->'code');
+  END IF;
+
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns FROM jsonb_object_keys(v_payload) AS key;
+
+  EXECUTE format(
+    'INSERT INTO orders (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::orders, $1) RETURNING *',
+    v_columns
+  ) INTO v_order USING v_payload;
+
+  IF v_coupon IS NOT NULL THEN
+    INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+    VALUES ((v_coupon->>'coupon_id')::UUID, v_order.id, v_order.user_id, v_discount);
+  END IF;
+
+  WITH inserted AS (
+    INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price)
+    SELECT v_order.id, l.product_id, l.quantity, p.price, p.price * l.quantity
+    FROM checkout_lines l
+    JOIN products p ON p.id = l.product_id
+    ORDER BY l.position
+    RETURNING *
+  )
+  SELECT jsonb_agg(to_jsonb(inserted)) INTO v_items FROM inserted;
+
+  UPDATE products p
+  SET stock = p.stock - l.quantity
+  FROM checkout_lines l
+  WHERE p.id = l.product_id;
+
+  DROP TABLE checkout_lines;
+
+  RETURN jsonb_build_object('order', to_jsonb(v_order), 'items', v_items);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Invoices show the coupon discount as its own line; tax is charged on the discounted amount
+CREATE OR REPLACE FUNCTION create_invoice(p_order_id UUID, p_tax_rate DECIMAL, p_due_days INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_invoice invoices%ROWTYPE;
+  v_subtotal DECIMAL(10, 2);
+  v_discount DECIMAL(10, 2);
+  v_tax DECIMAL(10, 2);
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_invoice FROM invoices WHERE order_id = p_order_id;
+
+  IF FOUND THEN
+    RETURN to_jsonb(v_invoice);
+  END IF;
+
+  v_discount := COALESCE(v_order.discount_amount, 0);
+  v_subtotal := COALESCE(v_order.subtotal, v_order.amount + v_discount);
+  v_tax := ROUND((v_subtotal - v_discount) * p_tax_rate / 100, 2);
+
+  INSERT INTO invoices (
+    order_id, user_id, invoice_number, subtotal, discount_amount, tax_rate, tax_amount, total, amount,
+    issue_date, due_date, status
+  )
+  VALUES (
+    p_order_id,
+    v_order.user_id,
+    'INV-' || TO_CHAR(NOW(), 'YYYY') || '-' || LPAD(nextval('invoice_number_seq')::TEXT, 6, '0'),
+    v_subtotal,
+    v_discount,
+    p_tax_rate,
+    v_tax,
+    v_subtotal - v_discount + v_tax,
+    v_subtotal - v_discount + v_tax,
+    CURRENT_DATE,
+    CURRENT_DATE + p_due_days,
+    'Pending'
+  )
+  RETURNING * INTO v_invoice;
+
+  -- Multi-product orders are itemised from order_items; older single-product orders from the order row
+  IF EXISTS (SELECT 1 FROM order_items WHERE order_id = p_order_id) THEN
+    INSERT INTO invoice_items (invoice_id, product_id, description, quantity, unit_price, total_price)
+    SELECT v_invoice.id, i.product_id, COALESCE(p.name, 'Product'), i.quantity, i.unit_price, i.total_price
+    FROM order_items i
+    LEFT JOIN products p ON p.id = i.product_id
+    WHERE i.order_id = p_order_id
+    ORDER BY i.created_at;
+  ELSE
+    INSERT INTO invoice_items (invoice_id, product_id, description, quantity, unit_price, total_price)
+    SELECT v_invoice.id, v_order.product_id, COALESCE(p.name, 'Product'), v_order.quantity,
+           ROUND(v_subtotal / NULLIF(v_order.quantity, 0), 2), v_subtotal
+    FROM (SELECT 1) AS one
+    LEFT JOIN products p ON p.id = v_order.product_id;
+  END IF;
+
+  RETURN to_jsonb(v_invoice);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE coupons IS 'Discount codes; product_ids/categories limit which lines the discount applies to';
+COMMENT ON TABLE coupon_redemptions IS 'One row per order that used a coupon';
+COMMENT ON FUNCTION place_order(JSONB, JSONB, TEXT) IS 'Creates an order with its items, applies a coupon and reserves stock atomically; see services/checkout.js';
@@ -0,0 +1,27 @@
+-- Idempotency keys: the first response to a request sent with an Idempotency-Key header, replayed
+-- when the client retries it (e.g. checkout on a flaky connection) instead of running it again
+-- Run this in your Supabase SQL Editor (after create_notifications.sql)
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  key VARCHAR(255) NOT NULL,
+  -- Method and path the key was first used on, and a hash of the request body
+  endpoint VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  -- Keys are chosen by clients, so they're only unique per user
+  UNIQUE (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Backend handles access control
+ALTER TABLE idempotency_keys DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE idempotency_keys IS 'Stored responses for retried requests; see middleware/idempotency.js';
@@ -0,0 +1,25 @@
+-- Create invitations table for admin-issued accounts (admins, cluster users)
+-- Run this in your Supabase SQL Editor (after add_email_verification.sql)
+
+CREATE TABLE IF NOT EXISTS invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL,
+  cluster_id UUID REFERENCES clusters(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for listing and lookups
+CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email);
+CREATE INDEX IF NOT EXISTS idx_invitations_created_at ON invitations(created_at);
+
+-- Backend handles access control
+ALTER TABLE invitations DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE invitations IS 'Pending/accepted/expired/revoked invitations; signup only creates clients';
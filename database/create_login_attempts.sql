@@ -0,0 +1,100 @@
+-- Login brute-force protection: attempt log and account lockout
+-- Run this in your Supabase SQL Editor (after create_invitations.sql)
+
+-- Add lockout columns to users table
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Create login_attempts table
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  email VARCHAR(255),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  success BOOLEAN NOT NULL,
+  failure_reason VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for per-IP window counts and admin queries
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_created ON login_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user_id ON login_attempts(user_id);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_created_at ON login_attempts(created_at);
+
+-- Backend handles access control
+ALTER TABLE login_attempts DISABLE ROW LEVEL SECURITY;
+
+-- Count a login against its IP before the password is checked, so parallel requests can't all get
+-- in under the limit. The attempt is stored as a failure until the backend records how it ended.
+CREATE OR REPLACE FUNCTION start_login_attempt(
+  p_ip VARCHAR,
+  p_email VARCHAR,
+  p_user_agent TEXT,
+  p_window_minutes INTEGER,
+  p_max_failures INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_failures INTEGER;
+  v_attempt_id UUID;
+BEGIN
+  -- Attempts from the same IP are counted one at a time
+  PERFORM pg_advisory_xact_lock(hashtext('login_ip:' || COALESCE(p_ip, '')));
+
+  SELECT COUNT(*) INTO v_failures
+  FROM login_attempts
+  WHERE ip_address = p_ip
+    AND success = FALSE
+    AND created_at >= NOW() - make_interval(mins => p_window_minutes);
+
+  IF v_failures >= p_max_failures THEN
+    INSERT INTO login_attempts (email, ip_address, user_agent, success, failure_reason)
+    VALUES (p_email, p_ip, p_user_agent, FALSE, 'ip_blocked');
+
+    RETURN jsonb_build_object('blocked', TRUE, 'failures', v_failures);
+  END IF;
+
+  INSERT INTO login_attempts (email, ip_address, user_agent, success, failure_reason)
+  VALUES (p_email, p_ip, p_user_agent, FALSE, 'pending')
+  RETURNING id INTO v_attempt_id;
+
+  RETURN jsonb_build_object('blocked', FALSE, 'failures', v_failures + 1, 'attempt_id', v_attempt_id);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Count an attempt on an account before its password or code is checked, locking the account once
+-- the limit is reached. The increment and the check are one statement, so parallel guesses all count.
+-- Already locked accounts aren't counted and come back with locked = true.
+CREATE OR REPLACE FUNCTION count_login_attempt(
+  p_user_id UUID,
+  p_max_attempts INTEGER,
+  p_lockout_minutes INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_user users%ROWTYPE;
+BEGIN
+  UPDATE users
+  SET failed_login_count = CASE WHEN failed_login_count + 1 >= p_max_attempts THEN 0 ELSE failed_login_count + 1 END,
+      locked_until = CASE
+        WHEN failed_login_count + 1 >= p_max_attempts THEN NOW() + make_interval(mins => p_lockout_minutes)
+        ELSE NULL
+      END
+  WHERE id = p_user_id AND (locked_until IS NULL OR locked_until <= NOW())
+  RETURNING * INTO v_user;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_user FROM users WHERE id = p_user_id;
+    RETURN jsonb_build_object('locked', TRUE, 'locked_until', v_user.locked_until, 'failures', p_max_attempts);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'locked', FALSE,
+    'locked_until', v_user.locked_until,
+    'failures', CASE WHEN v_user.locked_until IS NULL THEN v_user.failed_login_count ELSE p_max_attempts END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE login_attempts IS 'Every login attempt (success or failure) with IP and user agent';
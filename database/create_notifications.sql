@@ -0,0 +1,69 @@
+-- Notifications: an outbox of templated email/SMS/WhatsApp messages delivered with retries, and
+-- each user's channel choices per event
+-- Run this in your Supabase SQL Editor (after create_shipments.sql)
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  -- NULL for messages to people without an account yet (invitations)
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('email', 'sms', 'whatsapp')),
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255),
+  body TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  provider_message_id VARCHAR(255),
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Channels a user wants for an event; without a row the event's default channels apply
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,
+  channels TEXT[] NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, event)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status, created_at DESC);
+
+CREATE TRIGGER update_notifications_updated_at BEFORE UPDATE ON notifications
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_notification_preferences_updated_at BEFORE UPDATE ON notification_preferences
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Claim up to p_limit due messages for delivery, counting the attempt. Messages left in 'sending' for
+-- p_stale_minutes (a worker that died mid-send) are claimed again. SKIP LOCKED lets several server
+-- instances work the outbox without sending a message twice.
+CREATE OR REPLACE FUNCTION claim_notifications(p_limit INTEGER, p_stale_minutes INTEGER DEFAULT 10)
+RETURNS SETOF notifications AS $$
+  UPDATE notifications n
+  SET status = 'sending', attempts = n.attempts + 1, locked_at = NOW()
+  WHERE n.id IN (
+    SELECT id
+    FROM notifications
+    WHERE (status = 'pending' AND next_attempt_at <= NOW())
+       OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => p_stale_minutes))
+    ORDER BY next_attempt_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING n.*;
+$$ LANGUAGE sql;
+
+-- Backend handles access control
+ALTER TABLE notifications DISABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_preferences DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE notifications IS 'Outbox of email/SMS/WhatsApp messages; see services/notifications.js';
+COMMENT ON TABLE notification_preferences IS 'Channels each user receives per notification event';
+COMMENT ON FUNCTION claim_notifications(INTEGER, INTEGER) IS 'Claims due outbox messages for delivery; see services/notifications.js';
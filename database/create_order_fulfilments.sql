@@ -0,0 +1,158 @@
+-- Order fulfilment: order items allocated to the clusters that pack and ship them
+-- Run this in your Supabase SQL Editor (after create_subscriptions.sql)
+
+-- Where a cluster is, for allocating orders to the one closest to the client
+ALTER TABLE clusters ADD COLUMN IF NOT EXISTS district VARCHAR(100);
+ALTER TABLE clusters ADD COLUMN IF NOT EXISTS state VARCHAR(100);
+
+-- The cluster supplying each line (NULL until allocated)
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS cluster_id UUID REFERENCES clusters(id) ON DELETE SET NULL;
+
+-- One row per cluster taking part in an order, tracking its packing and dispatch
+CREATE TABLE IF NOT EXISTS order_fulfilments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  cluster_id UUID NOT NULL REFERENCES clusters(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'Allocated' CHECK (status IN ('Allocated', 'Packing', 'Packed', 'Dispatched', 'Cancelled')),
+  allocation_method VARCHAR(10) NOT NULL DEFAULT 'manual' CHECK (allocation_method IN ('manual', 'auto')),
+  allocated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  packed_at TIMESTAMP WITH TIME ZONE,
+  dispatched_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (order_id, cluster_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_cluster_id ON order_items(cluster_id);
+CREATE INDEX IF NOT EXISTS idx_order_fulfilments_cluster_status ON order_fulfilments(cluster_id, status);
+
+CREATE TRIGGER update_order_fulfilments_updated_at BEFORE UPDATE ON order_fulfilments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backend handles access control
+ALTER TABLE order_fulfilments DISABLE ROW LEVEL SECURITY;
+
+-- What each cluster can still supply per product: everything it has produced minus what is
+-- allocated to orders that weren't cancelled
+CREATE OR REPLACE FUNCTION cluster_stock(p_product_ids UUID[])
+RETURNS TABLE (cluster_id UUID, product_id UUID, produced BIGINT, allocated BIGINT, available BIGINT) AS $$
+  WITH produced AS (
+    SELECT p.cluster_id, p.product_id, SUM(p.quantity) AS quantity
+    FROM production p
+    WHERE p.product_id = ANY(p_product_ids) AND p.cluster_id IS NOT NULL
+    GROUP BY p.cluster_id, p.product_id
+  ),
+  allocated AS (
+    SELECT oi.cluster_id, oi.product_id, SUM(oi.quantity) AS quantity
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.product_id = ANY(p_product_ids) AND oi.cluster_id IS NOT NULL AND o.status <> 'Cancelled'
+    GROUP BY oi.cluster_id, oi.product_id
+  )
+  SELECT
+    COALESCE(pr.cluster_id, al.cluster_id),
+    COALESCE(pr.product_id, al.product_id),
+    COALESCE(pr.quantity, 0)::BIGINT,
+    COALESCE(al.quantity, 0)::BIGINT,
+    (COALESCE(pr.quantity, 0) - COALESCE(al.quantity, 0))::BIGINT
+  FROM produced pr
+  FULL JOIN allocated al ON al.cluster_id = pr.cluster_id AND al.product_id = pr.product_id;
+$$ LANGUAGE sql STABLE;
+
+-- Allocate order lines to clusters (p_assignments: [{ order_item_id, cluster_id }], cluster_id null to
+-- unassign) and keep one fulfilment per cluster in step. Clusters that already started packing keep
+-- their lines. Returns { items, fulfilments } or { "error": not_found | invalid_status (status) |
+-- invalid_items (invalid) | invalid_clusters (invalid) | fulfilment_started (clusters) }
+CREATE OR REPLACE FUNCTION assign_order_items(
+  p_order_id UUID,
+  p_assignments JSONB,
+  p_method TEXT DEFAULT 'manual',
+  p_actor_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_invalid JSONB;
+  v_started JSONB;
+  v_items JSONB;
+  v_fulfilments JSONB;
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'not_found');
+  END IF;
+
+  IF v_order.status NOT IN ('Pending', 'Processing') THEN
+    RETURN jsonb_build_object('error', 'invalid_status', 'status', v_order.status);
+  END IF;
+
+  CREATE TEMP TABLE allocation_changes ON COMMIT DROP AS
+  SELECT a.order_item_id, a.cluster_id, oi.id AS item_id, oi.cluster_id AS current_cluster_id
+  FROM jsonb_to_recordset(p_assignments) AS a(order_item_id UUID, cluster_id UUID)
+  LEFT JOIN order_items oi ON oi.id = a.order_item_id AND oi.order_id = p_order_id;
+
+  SELECT jsonb_agg(order_item_id) INTO v_invalid FROM allocation_changes WHERE item_id IS NULL;
+
+  IF v_invalid IS NOT NULL THEN
+    DROP TABLE allocation_changes;
+    RETURN jsonb_build_object('error', 'invalid_items', 'invalid', v_invalid);
+  END IF;
+
+  SELECT jsonb_agg(DISTINCT c.cluster_id) INTO v_invalid
+  FROM allocation_changes c
+  LEFT JOIN clusters cl ON cl.id = c.cluster_id AND cl.status = 'Active'
+  WHERE c.cluster_id IS NOT NULL AND cl.id IS NULL;
+
+  IF v_invalid IS NOT NULL THEN
+    DROP TABLE allocation_changes;
+    RETURN jsonb_build_object('error', 'invalid_clusters', 'invalid', v_invalid);
+  END IF;
+
+  -- Lines can't leave or join a cluster once it has started packing
+  SELECT jsonb_agg(DISTINCT f.cluster_id) INTO v_started
+  FROM allocation_changes c
+  JOIN order_fulfilments f
+    ON f.order_id = p_order_id
+   AND f.cluster_id IN (c.cluster_id, c.current_cluster_id)
+   AND f.status NOT IN ('Allocated', 'Cancelled')
+  WHERE c.cluster_id IS DISTINCT FROM c.current_cluster_id;
+
+  IF v_started IS NOT NULL THEN
+    DROP TABLE allocation_changes;
+    RETURN jsonb_build_object('error', 'fulfilment_started', 'clusters', v_started);
+  END IF;
+
+  UPDATE order_items oi
+  SET cluster_id = c.cluster_id
+  FROM allocation_changes c
+  WHERE oi.id = c.order_item_id;
+
+  DROP TABLE allocation_changes;
+
+  INSERT INTO order_fulfilments (order_id, cluster_id, allocation_method, allocated_by)
+  SELECT DISTINCT p_order_id, oi.cluster_id, p_method, p_actor_id
+  FROM order_items oi
+  WHERE oi.order_id = p_order_id AND oi.cluster_id IS NOT NULL
+  ON CONFLICT (order_id, cluster_id) DO UPDATE SET status = 'Allocated'
+  WHERE order_fulfilments.status = 'Cancelled';
+
+  DELETE FROM order_fulfilments f
+  WHERE f.order_id = p_order_id
+    AND f.status = 'Allocated'
+    AND NOT EXISTS (
+      SELECT 1 FROM order_items oi WHERE oi.order_id = p_order_id AND oi.cluster_id = f.cluster_id
+    );
+
+  SELECT jsonb_agg(to_jsonb(oi) ORDER BY oi.created_at) INTO v_items
+  FROM order_items oi WHERE oi.order_id = p_order_id;
+
+  SELECT jsonb_agg(to_jsonb(f) ORDER BY f.created_at) INTO v_fulfilments
+  FROM order_fulfilments f WHERE f.order_id = p_order_id;
+
+  RETURN jsonb_build_object('items', v_items, 'fulfilments', COALESCE(v_fulfilments, '[]'::JSONB));
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE order_fulfilments IS 'Clusters packing and dispatching an order, with the status of each';
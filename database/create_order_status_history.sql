@@ -0,0 +1,78 @@
+-- Order status lifecycle and history
+-- Run this in your Supabase SQL Editor (after create_place_order.sql)
+
+-- Only known statuses from now on (NOT VALID leaves any legacy rows alone)
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Returned')) NOT VALID;
+
+-- Create order_status_history table (one row per transition)
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  note TEXT,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  impersonator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index for reading an order's history
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+-- Backend handles access control
+ALTER TABLE order_status_history DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE order_status_history IS 'Every order status change with who made it and why; allowed moves are in config/orderStatus.js';
+
+-- Move an order to a new status and record the history entry in one transaction. Confirming an
+-- order (p_issue_invoice) issues its invoice in the same transaction with create_invoice
+-- (add_invoicing.sql, which must have been run before orders are confirmed).
+-- p_allowed_from: statuses that may be moved to p_status by hand (from config/orderStatus.js)
+-- Returns { "order": {...} } or { "error": "not_found" } / { "error": "invalid_status", "status": ... }
+CREATE OR REPLACE FUNCTION transition_order(
+  p_order_id UUID,
+  p_status TEXT,
+  p_allowed_from TEXT[],
+  p_actor_id UUID,
+  p_note TEXT,
+  p_impersonator_id UUID DEFAULT NULL,
+  p_issue_invoice BOOLEAN DEFAULT FALSE,
+  p_tax_rate DECIMAL DEFAULT 0,
+  p_due_days INTEGER DEFAULT 14
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_previous_status VARCHAR(50);
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'not_found');
+  END IF;
+
+  IF NOT (v_order.status = ANY(p_allowed_from)) THEN
+    RETURN jsonb_build_object('error', 'invalid_status', 'status', v_order.status);
+  END IF;
+
+  v_previous_status := v_order.status;
+
+  UPDATE orders
+  SET status = p_status
+  WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by, impersonator_id)
+  VALUES (p_order_id, v_previous_status, p_status, p_note, p_actor_id, p_impersonator_id);
+
+  IF p_issue_invoice THEN
+    PERFORM create_invoice(p_order_id, p_tax_rate, p_due_days);
+  END IF;
+
+  RETURN jsonb_build_object('order', to_jsonb(v_order));
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION transition_order(UUID, TEXT, TEXT[], UUID, TEXT, UUID, BOOLEAN, DECIMAL, INTEGER) IS 'Changes an order''s status with its history entry (and invoice on confirmation) atomically; see services/orderStatus.js';
@@ -0,0 +1,158 @@
+-- Payments: payment intents per order, webhook log and paid/partially paid state
+-- Run this in your Supabase SQL Editor (after add_invoicing.sql)
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20) NOT NULL DEFAULT 'Unpaid';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_payment_status_check
+  CHECK (payment_status IN ('Unpaid', 'Partially Paid', 'Paid'));
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check
+  CHECK (status IN ('Pending', 'Partially Paid', 'Paid', 'Overdue', 'Void')) NOT VALID;
+
+-- Create payments table (one row per payment attempt / intent)
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  method VARCHAR(30) NOT NULL CHECK (method IN ('cod', 'bank_transfer', 'card', 'mobile_wallet')),
+  provider VARCHAR(50),
+  provider_reference VARCHAR(255),
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'PKR',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed', 'cancelled')),
+  checkout_url TEXT,
+  failure_reason TEXT,
+  overpaid_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  confirmed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_reference ON payments(provider, provider_reference);
+
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create payment_webhook_events table (dedupes gateway retries)
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider VARCHAR(50) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  type VARCHAR(100) NOT NULL,
+  payload JSONB,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+-- Backend handles access control
+ALTER TABLE payments DISABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_webhook_events DISABLE ROW LEVEL SECURITY;
+
+-- Settle a pending payment as succeeded/failed/cancelled and, on success, update the
+-- order's and invoice's paid amounts. Already settled payments are left alone, so
+-- webhook retries are harmless. Returns { payment, order } (order only on success).
+CREATE OR REPLACE FUNCTION settle_payment(
+  p_payment_id UUID,
+  p_status TEXT,
+  p_reference TEXT DEFAULT NULL,
+  p_failure_reason TEXT DEFAULT NULL,
+  p_confirmed_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_payment payments%ROWTYPE;
+  v_order orders%ROWTYPE;
+  v_invoice invoices%ROWTYPE;
+  v_paid DECIMAL(10, 2);
+  v_due DECIMAL(10, 2);
+  v_overpaid DECIMAL(10, 2) := 0;
+BEGIN
+  -- Lock the order first so settlements for the same order run one at a time
+  SELECT o.* INTO v_order
+  FROM orders o
+  JOIN payments p ON p.order_id = o.id
+  WHERE p.id = p_payment_id
+  FOR UPDATE OF o;
+
+  SELECT * INTO v_payment FROM payments WHERE id = p_payment_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_payment.status <> 'pending' THEN
+    RETURN jsonb_build_object('payment', to_jsonb(v_payment), 'unchanged', TRUE);
+  END IF;
+
+  IF p_status = 'succeeded' THEN
+    SELECT * INTO v_invoice FROM invoices WHERE order_id = v_payment.order_id FOR UPDATE;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_paid
+    FROM payments
+    WHERE order_id = v_payment.order_id AND status = 'succeeded';
+
+    -- Once invoiced the invoice total (with tax) is what's owed
+    v_due := COALESCE(v_invoice.total, v_order.amount);
+    v_overpaid := LEAST(GREATEST(v_paid + v_payment.amount - v_due, 0), v_payment.amount);
+
+    -- Staff can't confirm more than is owed. A gateway has already taken the money, so its payment
+    -- is settled and the excess recorded for refunding.
+    IF v_overpaid > 0 AND v_payment.provider IS NULL THEN
+      RETURN jsonb_build_object(
+        'error', 'overpayment',
+        'outstanding', GREATEST(v_due - v_paid, 0)
+      );
+    END IF;
+  END IF;
+
+  UPDATE payments
+  SET status = p_status,
+      provider_reference = COALESCE(p_reference, provider_reference),
+      failure_reason = p_failure_reason,
+      confirmed_by = p_confirmed_by,
+      overpaid_amount = v_overpaid,
+      completed_at = NOW()
+  WHERE id = p_payment_id
+  RETURNING * INTO v_payment;
+
+  IF p_status <> 'succeeded' THEN
+    RETURN jsonb_build_object('payment', to_jsonb(v_payment));
+  END IF;
+
+  v_paid := v_paid + v_payment.amount;
+
+  UPDATE orders
+  SET amount_paid = v_paid,
+      payment_status = CASE WHEN v_paid >= v_due THEN 'Paid' WHEN v_paid > 0 THEN 'Partially Paid' ELSE 'Unpaid' END
+  WHERE id = v_order.id
+  RETURNING * INTO v_order;
+
+  IF v_invoice.id IS NOT NULL THEN
+    UPDATE invoices
+    SET amount_paid = v_paid,
+        status = CASE
+          WHEN v_paid >= v_due THEN 'Paid'
+          WHEN status = 'Overdue' THEN 'Overdue'
+          ELSE 'Partially Paid'
+        END,
+        paid_at = CASE WHEN v_paid >= v_due THEN NOW() ELSE paid_at END
+    WHERE id = v_invoice.id AND status <> 'Void';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'payment', to_jsonb(v_payment),
+    'order', jsonb_build_object('id', v_order.id, 'amount_paid', v_order.amount_paid, 'payment_status', v_order.payment_status)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE payments IS 'Payment intents per order; gateways are plugged in through services/payments.js';
+COMMENT ON TABLE payment_webhook_events IS 'Verified gateway webhook events, unique per provider event id';
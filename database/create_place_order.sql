@@ -0,0 +1,108 @@
+-- Atomic checkout: place_order() creates the order, its items and the stock
+-- decrements in one transaction, so concurrent checkouts can't oversell
+-- Run this in your Supabase SQL Editor (after create_order_items.sql)
+
+-- Stock can never go negative, whatever writes it
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_stock_non_negative;
+ALTER TABLE products ADD CONSTRAINT products_stock_non_negative CHECK (stock >= 0);
+
+-- p_order: order columns to set (user_id, delivery_date, ...); amount, quantity and
+--          product_id are filled in here from the locked product rows
+-- p_items: [{ "product_id": uuid, "quantity": int }, ...]
+-- Returns { "order": {...}, "items": [...] } or, when nothing was written,
+--         { "error": "product_not_found", "missing": [...] }
+--         { "error": "insufficient_stock", "shortages": [{ product_id, name, requested, available }] }
+CREATE OR REPLACE FUNCTION place_order(p_order JSONB, p_items JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_missing JSONB;
+  v_shortages JSONB;
+  v_order orders%ROWTYPE;
+  v_items JSONB;
+  v_amount DECIMAL(10, 2);
+  v_quantity INTEGER;
+  v_first_product UUID;
+  v_payload JSONB;
+  v_columns TEXT;
+BEGIN
+  -- Merge duplicate lines for the same product
+  CREATE TEMP TABLE checkout_lines ON COMMIT DROP AS
+  SELECT (line->>'product_id')::UUID AS product_id,
+         SUM((line->>'quantity')::INTEGER)::INTEGER AS quantity,
+         MIN(ordinality) AS position
+  FROM jsonb_array_elements(p_items) WITH ORDINALITY AS t(line, ordinality)
+  GROUP BY (line->>'product_id')::UUID;
+
+  -- Lock the products in a fixed order so two checkouts can't deadlock
+  PERFORM 1 FROM products
+  WHERE id IN (SELECT product_id FROM checkout_lines)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT jsonb_agg(l.product_id) INTO v_missing
+  FROM checkout_lines l
+  LEFT JOIN products p ON p.id = l.product_id
+  WHERE p.id IS NULL;
+
+  IF v_missing IS NOT NULL THEN
+    DROP TABLE checkout_lines;
+    RETURN jsonb_build_object('error', 'product_not_found', 'missing', v_missing);
+  END IF;
+
+  SELECT jsonb_agg(jsonb_build_object(
+           'product_id', p.id,
+           'name', p.name,
+           'requested', l.quantity,
+           'available', p.stock
+         ) ORDER BY l.position) INTO v_shortages
+  FROM checkout_lines l
+  JOIN products p ON p.id = l.product_id
+  WHERE p.stock < l.quantity;
+
+  IF v_shortages IS NOT NULL THEN
+    DROP TABLE checkout_lines;
+    RETURN jsonb_build_object('error', 'insufficient_stock', 'shortages', v_shortages);
+  END IF;
+
+  SELECT SUM(p.price * l.quantity), SUM(l.quantity)
+  INTO v_amount, v_quantity
+  FROM checkout_lines l
+  JOIN products p ON p.id = l.product_id;
+
+  SELECT product_id INTO v_first_product FROM checkout_lines ORDER BY position LIMIT 1;
+
+  -- Any orders columns can be passed in p_order; only the given ones are written so
+  -- column defaults still apply, and the computed totals always win
+  v_payload := jsonb_build_object('status', 'Pending')
+    || p_order
+    || jsonb_build_object('product_id', v_first_product, 'quantity', v_quantity, 'amount', v_amount);
+
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns FROM jsonb_object_keys(v_payload) AS key;
+
+  EXECUTE format(
+    'INSERT INTO orders (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::orders, $1) RETURNING *',
+    v_columns
+  ) INTO v_order USING v_payload;
+
+  WITH inserted AS (
+    INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price)
+    SELECT v_order.id, l.product_id, l.quantity, p.price, p.price * l.quantity
+    FROM checkout_lines l
+    JOIN products p ON p.id = l.product_id
+    ORDER BY l.position
+    RETURNING *
+  )
+  SELECT jsonb_agg(to_jsonb(inserted)) INTO v_items FROM inserted;
+
+  UPDATE products p
+  SET stock = p.stock - l.quantity
+  FROM checkout_lines l
+  WHERE p.id = l.product_id;
+
+  DROP TABLE checkout_lines;
+
+  RETURN jsonb_build_object('order', to_jsonb(v_order), 'items', v_items);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION place_order(JSONB, JSONB) IS 'Creates an order with its items and reserves stock atomically; see services/checkout.js';
@@ -0,0 +1,393 @@
+-- Tax and delivery charges worked out from the delivery destination
+-- Run this in your Supabase SQL Editor (after create_coupons.sql)
+
+-- Shipping weight per unit, used by the delivery fee rules
+ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_kg DECIMAL(10, 3) NOT NULL DEFAULT 0 CHECK (weight_kg >= 0);
+
+-- Tax rate for a product category and/or state; NULL matches any.
+-- The most specific active rule wins: category and state, then category, then state, then the catch-all.
+CREATE TABLE IF NOT EXISTS tax_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  category VARCHAR(100),
+  state VARCHAR(100),
+  rate DECIMAL(5, 2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Delivery fee for a state/district (NULL matches any) and an order weight band [min_weight_kg, max_weight_kg).
+-- Fee = base_fee + per_kg_fee * order weight, or nothing once the discounted subtotal reaches free_over_amount.
+-- The most specific active rule wins: district, then state, then the catch-all.
+CREATE TABLE IF NOT EXISTS delivery_fee_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  state VARCHAR(100),
+  district VARCHAR(100),
+  min_weight_kg DECIMAL(10, 3) NOT NULL DEFAULT 0 CHECK (min_weight_kg >= 0),
+  max_weight_kg DECIMAL(10, 3) CHECK (max_weight_kg IS NULL OR max_weight_kg > min_weight_kg),
+  base_fee DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (base_fee >= 0),
+  per_kg_fee DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (per_kg_fee >= 0),
+  free_over_amount DECIMAL(10, 2),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_tax_rules_updated_at BEFORE UPDATE ON tax_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_delivery_fee_rules_updated_at BEFORE UPDATE ON delivery_fee_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backend handles access control
+ALTER TABLE tax_rules DISABLE ROW LEVEL SECURITY;
+ALTER TABLE delivery_fee_rules DISABLE ROW LEVEL SECURITY;
+
+-- Orders split amount into subtotal - discount_amount + tax_amount + shipping_amount.
+-- tax_amount stays NULL on orders placed before tax rules existed; their invoices use the flat rate.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_state VARCHAR(100);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_district VARCHAR(100);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- Price a cart without placing it: coupon, tax per line and delivery fee.
+-- The destination defaults to the customer's profile state/district.
+-- p_lock: passed on to evaluate_coupon when called from place_order
+-- Returns { subtotal, discount_amount, tax_amount, shipping_amount, total, weight_kg,
+--           destination: { state, district }, coupon, delivery_rule_id, lines: [{ product_id, quantity, line_total, tax_rate, tax_amount }] }
+-- or { "error": "product_not_found", missing } / { "error": "invalid_coupon", reason, ... }
+CREATE OR REPLACE FUNCTION quote_order(
+  p_user_id UUID,
+  p_items JSONB,
+  p_coupon_code TEXT DEFAULT NULL,
+  p_state TEXT DEFAULT NULL,
+  p_district TEXT DEFAULT NULL,
+  p_lock BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_state TEXT := NULLIF(TRIM(p_state), '');
+  v_district TEXT := NULLIF(TRIM(p_district), '');
+  v_missing JSONB;
+  v_coupon JSONB;
+  v_discount DECIMAL(10, 2) := 0;
+  v_subtotal DECIMAL(10, 2);
+  v_weight DECIMAL(10, 3);
+  v_tax DECIMAL(10, 2);
+  v_shipping DECIMAL(10, 2) := 0;
+  v_lines JSONB;
+  v_rule delivery_fee_rules%ROWTYPE;
+BEGIN
+  IF v_state IS NULL AND v_district IS NULL THEN
+    SELECT NULLIF(TRIM(state), ''), NULLIF(TRIM(district), '')
+    INTO v_state, v_district
+    FROM client_profiles
+    WHERE user_id = p_user_id;
+  END IF;
+
+  SELECT jsonb_agg(DISTINCT (line->>'product_id')::UUID) INTO v_missing
+  FROM jsonb_array_elements(p_items) AS line
+  LEFT JOIN products p ON p.id = (line->>'product_id')::UUID
+  WHERE p.id IS NULL;
+
+  IF v_missing IS NOT NULL THEN
+    RETURN jsonb_build_object('error', 'product_not_found', 'missing', v_missing);
+  END IF;
+
+  -- Everything is priced on the pre-coupon subtotal, so work that out first
+  SELECT SUM(p.price * (line->>'quantity')::INTEGER) INTO v_subtotal
+  FROM jsonb_array_elements(p_items) AS line
+  JOIN products p ON p.id = (line->>'product_id')::UUID;
+
+  IF p_coupon_code IS NOT NULL AND TRIM(p_coupon_code) <> '' THEN
+    v_coupon := evaluate_coupon(p_coupon_code, p_user_id, p_items, p_lock);
+
+    IF v_coupon ? 'error' THEN
+      RETURN v_coupon;
+    END IF;
+
+    v_discount := (v_coupon->>'discount_amount')::DECIMAL;
+  END IF;
+
+  -- The discount is spread over the lines in proportion to their value before tax is applied
+  WITH lines AS (
+    SELECT (line->>'product_id')::UUID AS product_id,
+           SUM((line->>'quantity')::INTEGER)::INTEGER AS quantity,
+           MIN(ordinality) AS position
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS t(line, ordinality)
+    GROUP BY (line->>'product_id')::UUID
+  ),
+  priced AS (
+    SELECT l.product_id,
+           l.quantity,
+           l.position,
+           p.price * l.quantity AS line_total,
+           p.weight_kg * l.quantity AS line_weight,
+           COALESCE((
+             SELECT r.rate
+             FROM tax_rules r
+             WHERE r.is_active
+               AND (r.category IS NULL OR LOWER(r.category) = LOWER(p.category))
+               AND (r.state IS NULL OR LOWER(r.state) = LOWER(v_state))
+             ORDER BY (r.category IS NOT NULL) DESC, (r.state IS NOT NULL) DESC, r.created_at
+             LIMIT 1
+           ), 0) AS tax_rate
+    FROM lines l
+    JOIN products p ON p.id = l.product_id
+  ),
+  taxed AS (
+    SELECT *,
+           COALESCE(ROUND(line_total * (1 - v_discount / NULLIF(v_subtotal, 0)) * tax_rate / 100, 2), 0) AS tax_amount
+    FROM priced
+  )
+  SELECT SUM(line_weight),
+         SUM(tax_amount),
+         jsonb_agg(jsonb_build_object(
+           'product_id', product_id,
+           'quantity', quantity,
+           'line_total', line_total,
+           'tax_rate', tax_rate,
+           'tax_amount', tax_amount
+         ) ORDER BY position)
+  INTO v_weight, v_tax, v_lines
+  FROM taxed;
+
+  SELECT * INTO v_rule
+  FROM delivery_fee_rules r
+  WHERE r.is_active
+    AND (r.state IS NULL OR LOWER(r.state) = LOWER(v_state))
+    AND (r.district IS NULL OR LOWER(r.district) = LOWER(v_district))
+    AND v_weight >= r.min_weight_kg
+    AND (r.max_weight_kg IS NULL OR v_weight < r.max_weight_kg)
+  ORDER BY (r.district IS NOT NULL) DESC, (r.state IS NOT NULL) DESC, r.min_weight_kg DESC, r.created_at
+  LIMIT 1;
+
+  -- No matching rule means delivery is free
+  IF FOUND AND (v_rule.free_over_amount IS NULL OR v_subtotal - v_discount < v_rule.free_over_amount) THEN
+    v_shipping := ROUND(v_rule.base_fee + v_rule.per_kg_fee * v_weight, 2);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'subtotal', v_subtotal,
+    'discount_amount', v_discount,
+    'tax_amount', v_tax,
+    'shipping_amount', v_shipping,
+    'total', v_subtotal - v_discount + v_tax + v_shipping,
+    'weight_kg', v_weight,
+    'destination', jsonb_build_object('state', v_state, 'district', v_district),
+    'coupon', v_coupon,
+    'delivery_rule_id', v_rule.id,
+    'lines', v_lines
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- place_order prices the cart through quote_order, so checkout and previews always agree
+CREATE OR REPLACE FUNCTION place_order(p_order JSONB, p_items JSONB, p_coupon_code TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  v_missing JSONB;
+  v_shortages JSONB;
+  v_quote JSONB;
+  v_coupon JSONB;
+  v_order orders%ROWTYPE;
+  v_items JSONB;
+  v_quantity INTEGER;
+  v_first_product UUID;
+  v_payload JSONB;
+  v_columns TEXT;
+BEGIN
+  -- Merge duplicate lines for the same product
+  CREATE TEMP TABLE checkout_lines ON COMMIT DROP AS
+  SELECT (line->>'product_id')::UUID AS product_id,
+         SUM((line->>'quantity')::INTEGER)::INTEGER AS quantity,
+         MIN(ordinality) AS position
+  FROM jsonb_array_elements(p_items) WITH ORDINALITY AS t(line, ordinality)
+  GROUP BY (line->>'product_id')::UUID;
+
+  -- Lock the products in a fixed order so two checkouts can't deadlock
+  PERFORM 1 FROM products
+  WHERE id IN (SELECT product_id FROM checkout_lines)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT jsonb_agg(l.product_id) INTO v_missing
+  FROM checkout_lines l
+  LEFT JOIN products p ON p.id = l.product_id
+  WHERE p.id IS NULL;
+
+  IF v_missing IS NOT NULL THEN
+    DROP TABLE checkout_lines;
+    RETURN jsonb_build_object('error', 'product_not_found', 'missing', v_missing);
+  END IF;
+
+  SELECT jsonb_agg(jsonb_build_object(
+           'product_id', p.id,
+           'name', p.name,
+           'requested', l.quantity,
+           'available', p.stock
+         ) ORDER BY l.position) INTO v_shortages
+  FROM checkout_lines l
+  JOIN products p ON p.id = l.product_id
+  WHERE p.stock < l.quantity;
+
+  IF v_shortages IS NOT NULL THEN
+    DROP TABLE checkout_lines;
+    RETURN jsonb_build_object('error', 'insufficient_stock', 'shortages', v_shortages);
+  END IF;
+
+  v_quote := quote_order((p_order->>'user_id')::UUID, p_items, p_coupon_code, NULL, NULL, TRUE);
+
+  IF v_quote ? 'error' THEN
+    DROP TABLE checkout_lines;
+    RETURN v_quote;
+  END IF;
+
+  v_coupon := CASE WHEN jsonb_typeof(v_quote->'coupon') = 'object' THEN v_quote->'coupon' END;
+
+  SELECT SUM(quantity) INTO v_quantity FROM checkout_lines;
+  SELECT product_id INTO v_first_product FROM checkout_lines ORDER BY position LIMIT 1;
+
+  -- Any orders columns can be passed in p_order; only the given ones are written so
+  -- column defaults still apply, and the computed totals always win
+  v_payload := jsonb_build_object('status', 'Pending')
+    || p_order
+    || jsonb_build_object(
+      'product_id', v_first_product,
+      'quantity', v_quantity,
+      'subtotal', v_quote->'subtotal',
+      'discount_amount', v_quote->'discount_amount',
+      'tax_amount', v_quote->'tax_amount',
+      'shipping_amount', v_quote->'shipping_amount',
+      'shipping_state', v_quote->'destination'->'state',
+      'shipping_district', v_quote->'destination'->'district',
+      'amount', v_quote->'total'
+    );
+
+  IF v_coupon IS NOT NULL THEN
+    v_payload := v_payload || jsonb_build_object('coupon_id', v_coupon->'coupon_id', 'coupon_code', v_coupon->'code');
+  END IF;
+
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns FROM jsonb_object_keys(v_payload) AS key;
+
+  EXECUTE format(
+    'INSERT INTO orders (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::orders, $1) RETURNING *',
+    v_columns
+  ) INTO v_order USING v_payload;
+
+  IF v_coupon IS NOT NULL THEN
+    INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+    VALUES ((v_coupon->>'coupon_id')::UUID, v_order.id, v_order.user_id, (v_quote->>'discount_amount')::DECIMAL);
+  END IF;
+
+  WITH inserted AS (
+    INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price, tax_rate, tax_amount)
+    SELECT v_order.id, l.product_id, l.quantity, p.price, p.price * l.quantity, q.tax_rate, q.tax_amount
+    FROM checkout_lines l
+    JOIN products p ON p.id = l.product_id
+    JOIN jsonb_to_recordset(v_quote->'lines') AS q(product_id UUID, tax_rate DECIMAL, tax_amount DECIMAL)
+      ON q.product_id = l.product_id
+    ORDER BY l.position
+    RETURNING *
+  )
+  SELECT jsonb_agg(to_jsonb(inserted)) INTO v_items FROM inserted;
+
+  UPDATE products p
+  SET stock = p.stock - l.quantity
+  FROM checkout_lines l
+  WHERE p.id = l.product_id;
+
+  DROP TABLE checkout_lines;
+
+  RETURN jsonb_build_object('order', to_jsonb(v_order), 'items', v_items);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Invoices take tax and delivery from the order; orders from before tax rules use the flat p_tax_rate
+CREATE OR REPLACE FUNCTION create_invoice(p_order_id UUID, p_tax_rate DECIMAL, p_due_days INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_invoice invoices%ROWTYPE;
+  v_subtotal DECIMAL(10, 2);
+  v_discount DECIMAL(10, 2);
+  v_tax DECIMAL(10, 2);
+  v_tax_rate DECIMAL(5, 2);
+  v_shipping DECIMAL(10, 2);
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_invoice FROM invoices WHERE order_id = p_order_id;
+
+  IF FOUND THEN
+    RETURN to_jsonb(v_invoice);
+  END IF;
+
+  v_discount := COALESCE(v_order.discount_amount, 0);
+  v_shipping := COALESCE(v_order.shipping_amount, 0);
+
+  IF v_order.tax_amount IS NOT NULL THEN
+    v_subtotal := COALESCE(v_order.subtotal, v_order.amount + v_discount - v_order.tax_amount - v_shipping);
+    v_tax := v_order.tax_amount;
+    -- Lines can be taxed at different rates; the invoice shows the overall rate
+    v_tax_rate := COALESCE(ROUND(v_tax * 100 / NULLIF(v_subtotal - v_discount, 0), 2), 0);
+  ELSE
+    v_subtotal := COALESCE(v_order.subtotal, v_order.amount + v_discount - v_shipping);
+    v_tax_rate := p_tax_rate;
+    v_tax := ROUND((v_subtotal - v_discount) * p_tax_rate / 100, 2);
+  END IF;
+
+  INSERT INTO invoices (
+    order_id, user_id, invoice_number, subtotal, discount_amount, tax_rate, tax_amount, shipping_amount, total, amount,
+    issue_date, due_date, status
+  )
+  VALUES (
+    p_order_id,
+    v_order.user_id,
+    'INV-' || TO_CHAR(NOW(), 'YYYY') || '-' || LPAD(nextval('invoice_number_seq')::TEXT, 6, '0'),
+    v_subtotal,
+    v_discount,
+    v_tax_rate,
+    v_tax,
+    v_shipping,
+    v_subtotal - v_discount + v_tax + v_shipping,
+    v_subtotal - v_discount + v_tax + v_shipping,
+    CURRENT_DATE,
+    CURRENT_DATE + p_due_days,
+    'Pending'
+  )
+  RETURNING * INTO v_invoice;
+
+  -- Multi-product orders are itemised from order_items; older single-product orders from the order row
+  IF EXISTS (SELECT 1 FROM order_items WHERE order_id = p_order_id) THEN
+    INSERT INTO invoice_items (invoice_id, product_id, description, quantity, unit_price, total_price)
+    SELECT v_invoice.id, i.product_id, COALESCE(p.name, 'Product'), i.quantity, i.unit_price, i.total_price
+    FROM order_items i
+    LEFT JOIN products p ON p.id = i.product_id
+    WHERE i.order_id = p_order_id
+    ORDER BY i.created_at;
+  ELSE
+    INSERT INTO invoice_items (invoice_id, product_id, description, quantity, unit_price, total_price)
+    SELECT v_invoice.id, v_order.product_id, COALESCE(p.name, 'Product'), v_order.quantity,
+           ROUND(v_subtotal / NULLIF(v_order.quantity, 0), 2), v_subtotal
+    FROM (SELECT 1) AS one
+    LEFT JOIN products p ON p.id = v_order.product_id;
+  END IF;
+
+  RETURN to_jsonb(v_invoice);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE tax_rules IS 'Tax rate by product category and/or state; the most specific active rule applies';
+COMMENT ON TABLE delivery_fee_rules IS 'Delivery fee by state/district and order weight band; the most specific active rule applies';
@@ -0,0 +1,530 @@
+-- Volume pricing: quantity price tiers per product and B2B quotations that convert into orders
+-- Run this in your Supabase SQL Editor (after create_returns.sql)
+
+-- Create product_price_tiers table (unit price from min_quantity units up; the list price below the first tier)
+CREATE TABLE IF NOT EXISTS product_price_tiers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  min_quantity INTEGER NOT NULL CHECK (min_quantity > 1),
+  unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (product_id, min_quantity)
+);
+
+CREATE SEQUENCE IF NOT EXISTS quote_number_seq;
+
+-- Create quotes table (a client's request for a volume price and the admin's answer)
+CREATE TABLE IF NOT EXISTS quotes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  quote_number VARCHAR(30) NOT NULL UNIQUE
+    DEFAULT 'QT-' || TO_CHAR(NOW(), 'YYYY') || '-' || LPAD(nextval('quote_number_seq')::TEXT, 6, '0'),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'Requested'
+    CHECK (status IN ('Requested', 'Quoted', 'Accepted', 'Rejected', 'Expired')),
+  notes TEXT,
+  delivery_date DATE,
+  admin_note TEXT,
+  subtotal DECIMAL(10, 2),
+  valid_until TIMESTAMP WITH TIME ZONE,
+  quoted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  quoted_at TIMESTAMP WITH TIME ZONE,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create quote_items table (target_unit_price is what the client hoped for, unit_price what was offered)
+CREATE TABLE IF NOT EXISTS quote_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  target_unit_price DECIMAL(10, 2),
+  unit_price DECIMAL(10, 2) CHECK (unit_price > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (quote_id, product_id)
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS quote_id UUID REFERENCES quotes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_product_price_tiers_product_id ON product_price_tiers(product_id);
+CREATE INDEX IF NOT EXISTS idx_quotes_user_id ON quotes(user_id);
+CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status);
+CREATE INDEX IF NOT EXISTS idx_quote_items_quote_id ON quote_items(quote_id);
+
+CREATE TRIGGER update_quotes_updated_at BEFORE UPDATE ON quotes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backend handles access control
+ALTER TABLE product_price_tiers DISABLE ROW LEVEL SECURITY;
+ALTER TABLE quotes DISABLE ROW LEVEL SECURITY;
+ALTER TABLE quote_items DISABLE ROW LEVEL SECURITY;
+
+-- Cart lines merged per product with the unit price each will be charged: a "unit_price" given
+-- in p_items (only set by the backend, for accepted quotes), else the best tier for the
+-- quantity, else the list price. Unknown products are left out.
+CREATE OR REPLACE FUNCTION price_lines(p_items JSONB)
+RETURNS TABLE (product_id UUID, quantity INTEGER, line_position BIGINT, unit_price DECIMAL(10, 2)) AS $$
+  SELECT l.product_id,
+         l.quantity,
+         l.line_position,
+         COALESCE(
+           l.unit_price,
+           (SELECT tier.unit_price
+            FROM product_price_tiers tier
+            WHERE tier.product_id = l.product_id AND tier.min_quantity <= l.quantity
+            ORDER BY tier.min_quantity DESC
+            LIMIT 1),
+           p.price
+         )
+  FROM (
+    SELECT (line->>'product_id')::UUID AS product_id,
+           SUM((line->>'quantity')::INTEGER)::INTEGER AS quantity,
+           MIN(ordinality) AS line_position,
+           MAX((line->>'unit_price')::DECIMAL) AS unit_price
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS t(line, ordinality)
+    GROUP BY (line->>'product_id')::UUID
+  ) AS l
+  JOIN products p ON p.id = l.product_id;
+$$ LANGUAGE sql STABLE;
+
+-- Coupons, quotes and orders now price lines through price_lines
+
+CREATE OR REPLACE FUNCTION evaluate_coupon(p_code TEXT, p_user_id UUID, p_items JSONB, p_lock BOOLEAN DEFAULT FALSE)
+RETURNS JSONB AS $$
+DECLARE
+  v_coupon coupons%ROWTYPE;
+  v_used INTEGER;
+  v_subtotal DECIMAL(10, 2);
+  v_eligible DECIMAL(10, 2);
+  v_discount DECIMAL(10, 2);
+BEGIN
+  IF p_lock THEN
+    PERFORM 1 FROM coupons WHERE code = UPPER(TRIM(p_code)) FOR UPDATE;
+  END IF;
+
+  SELECT * INTO v_coupon FROM coupons WHERE code = UPPER(TRIM(p_code));
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'not_found');
+  END IF;
+
+  IF NOT v_coupon.is_active THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'inactive');
+  END IF;
+
+  IF v_coupon.starts_at IS NOT NULL AND v_coupon.starts_at > NOW() THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'not_started', 'starts_at', v_coupon.starts_at);
+  END IF;
+
+  IF v_coupon.ends_at IS NOT NULL AND v_coupon.ends_at <= NOW() THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'expired');
+  END IF;
+
+  IF v_coupon.max_redemptions IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_used
+    FROM coupon_redemptions r
+    JOIN orders o ON o.id = r.order_id
+    WHERE r.coupon_id = v_coupon.id AND o.status <> 'Cancelled';
+
+    IF v_used >= v_coupon.max_redemptions THEN
+      RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'usage_limit');
+    END IF;
+  END IF;
+
+  IF v_coupon.max_redemptions_per_user IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_used
+    FROM coupon_redemptions r
+    JOIN orders o ON o.id = r.order_id
+    WHERE r.coupon_id = v_coupon.id AND r.user_id = p_user_id AND o.status <> 'Cancelled';
+
+    IF v_used >= v_coupon.max_redemptions_per_user THEN
+      RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'user_limit');
+    END IF;
+  END IF;
+
+  SELECT
+    COALESCE(SUM(l.unit_price * l.quantity), 0),
+    COALESCE(SUM(l.unit_price * l.quantity) FILTER (WHERE
+      (v_coupon.product_ids IS NULL OR p.id = ANY(v_coupon.product_ids))
+      AND (v_coupon.categories IS NULL OR p.category = ANY(v_coupon.categories))
+    ), 0)
+  INTO v_subtotal, v_eligible
+  FROM price_lines(p_items) l
+  JOIN products p ON p.id = l.product_id;
+
+  IF v_subtotal < v_coupon.min_order_amount THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'min_order', 'min_order_amount', v_coupon.min_order_amount);
+  END IF;
+
+  IF v_eligible <= 0 THEN
+    RETURN jsonb_build_object('error', 'invalid_coupon', 'reason', 'not_applicable');
+  END IF;
+
+  IF v_coupon.discount_type = 'percentage' THEN
+    v_discount := ROUND(v_eligible * v_coupon.discount_value / 100, 2);
+    IF v_coupon.max_discount_amount IS NOT NULL THEN
+      v_discount := LEAST(v_discount, v_coupon.max_discount_amount);
+    END IF;
+  ELSE
+    v_discount := LEAST(v_coupon.discount_value, v_eligible);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'coupon_id', v_coupon.id,
+    'code', v_coupon.code,
+    'discount_amount', v_discount,
+    'eligible_subtotal', v_eligible,
+    'subtotal', v_subtotal
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION quote_order(
+  p_user_id UUID,
+  p_items JSONB,
+  p_coupon_code TEXT DEFAULT NULL,
+  p_state TEXT DEFAULT NULL,
+  p_district TEXT DEFAULT NULL,
+  p_lock BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_state TEXT := NULLIF(TRIM(p_state), '');
+  v_district TEXT := NULLIF(TRIM(p_district), '');
+  v_missing JSONB;
+  v_coupon JSONB;
+  v_discount DECIMAL(10, 2) := 0;
+  v_subtotal DECIMAL(10, 2);
+  v_weight DECIMAL(10, 3);
+  v_tax DECIMAL(10, 2);
+  v_shipping DECIMAL(10, 2) := 0;
+  v_lines JSONB;
+  v_rule delivery_fee_rules%ROWTYPE;
+BEGIN
+  IF v_state IS NULL AND v_district IS NULL THEN
+    SELECT NULLIF(TRIM(state), ''), NULLIF(TRIM(district), '')
+    INTO v_state, v_district
+    FROM client_profiles
+    WHERE user_id = p_user_id;
+  END IF;
+
+  SELECT jsonb_agg(DISTINCT (line->>'product_id')::UUID) INTO v_missing
+  FROM jsonb_array_elements(p_items) AS line
+  LEFT JOIN products p ON p.id = (line->>'product_id')::UUID
+  WHERE p.id IS NULL;
+
+  IF v_missing IS NOT NULL THEN
+    RETURN jsonb_build_object('error', 'product_not_found', 'missing', v_missing);
+  END IF;
+
+  -- Everything is priced on the pre-coupon subtotal, so work that out first
+  SELECT SUM(unit_price * quantity) INTO v_subtotal FROM price_lines(p_items);
+
+  IF p_coupon_code IS NOT NULL AND TRIM(p_coupon_code) <> '' THEN
+    v_coupon := evaluate_coupon(p_coupon_code, p_user_id, p_items, p_lock);
+
+    IF v_coupon ? 'error' THEN
+      RETURN v_coupon;
+    END IF;
+
+    v_discount := (v_coupon->>'discount_amount')::DECIMAL;
+  END IF;
+
+  -- The discount is spread over the lines in proportion to their value before tax is applied
+  WITH priced AS (
+    SELECT l.product_id,
+           l.quantity,
+           l.line_position AS position,
+           l.unit_price,
+           l.unit_price * l.quantity AS line_total,
+           p.weight_kg * l.quantity AS line_weight,
+           COALESCE((
+             SELECT r.rate
+             FROM tax_rules r
+             WHERE r.is_active
+               AND (r.category IS NULL OR LOWER(r.category) = LOWER(p.category))
+               AND (r.state IS NULL OR LOWER(r.state) = LOWER(v_state))
+             ORDER BY (r.category IS NOT NULL) DESC, (r.state IS NOT NULL) DESC, r.created_at
+             LIMIT 1
+           ), 0) AS tax_rate
+    FROM price_lines(p_items) l
+    JOIN products p ON p.id = l.product_id
+  ),
+  taxed AS (
+    SELECT *,
+           COALESCE(ROUND(line_total * (1 - v_discount / NULLIF(v_subtotal, 0)) * tax_rate / 100, 2), 0) AS tax_amount
+    FROM priced
+  )
+  SELECT SUM(line_weight),
+         SUM(tax_amount),
+         jsonb_agg(jsonb_build_object(
+           'product_id', product_id,
+           'quantity', quantity,
+           'unit_price', unit_price,
+           'line_total', line_total,
+           'tax_rate', tax_rate,
+           'tax_amount', tax_amount
+         ) ORDER BY position)
+  INTO v_weight, v_tax, v_lines
+  FROM taxed;
+
+  SELECT * INTO v_rule
+  FROM delivery_fee_rules r
+  WHERE r.is_active
+    AND (r.state IS NULL OR LOWER(r.state) = LOWER(v_state))
+    AND (r.district IS NULL OR LOWER(r.district) = LOWER(v_district))
+    AND v_weight >= r.min_weight_kg
+    AND (r.max_weight_kg IS NULL OR v_weight < r.max_weight_kg)
+  ORDER BY (r.district IS NOT NULL) DESC, (r.state IS NOT NULL) DESC, r.min_weight_kg DESC, r.created_at
+  LIMIT 1;
+
+  -- No matching rule means delivery is free
+  IF FOUND AND (v_rule.free_over_amount IS NULL OR v_subtotal - v_discount < v_rule.free_over_amount) THEN
+    v_shipping := ROUND(v_rule.base_fee + v_rule.per_kg_fee * v_weight, 2);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'subtotal', v_subtotal,
+    'discount_amount', v_discount,
+    'tax_amount', v_tax,
+    'shipping_amount', v_shipping,
+    'total', v_subtotal - v_discount + v_tax + v_shipping,
+    'weight_kg', v_weight,
+    'destination', jsonb_build_object('state', v_state, 'district', v_district),
+    'coupon', v_coupon,
+    'delivery_rule_id', v_rule.id,
+    'lines', v_lines
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION place_order(p_order JSONB, p_items JSONB, p_coupon_code TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  v_missing JSONB;
+  v_shortages JSONB;
+  v_quote JSONB;
+  v_coupon JSONB;
+  v_order orders%ROWTYPE;
+  v_items JSONB;
+  v_quantity INTEGER;
+  v_first_product UUID;
+  v_payload JSONB;
+  v_columns TEXT;
+BEGIN
+  -- Merge duplicate lines for the same product
+  CREATE TEMP TABLE checkout_lines ON COMMIT DROP AS
+  SELECT (line->>'product_id')::UUID AS product_id,
+         SUM((line->>'quantity')::INTEGER)::INTEGER AS quantity,
+         MIN(ordinality) AS position
+  FROM jsonb_array_elements(p_items) WITH ORDINALITY AS t(line, ordinality)
+  GROUP BY (line->>'product_id')::UUID;
+
+  -- Lock the products in a fixed order so two checkouts can't deadlock
+  PERFORM 1 FROM products
+  WHERE id IN (SELECT product_id FROM checkout_lines)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT jsonb_agg(l.product_id) INTO v_missing
+  FROM checkout_lines l
+  LEFT JOIN products p ON p.id = l.product_id
+  WHERE p.id IS NULL;
+
+  IF v_missing IS NOT NULL THEN
+    DROP TABLE checkout_lines;
+    RETURN jsonb_build_object('error', 'product_not_found', 'missing', v_missing);
+  END IF;
+
+  SELECT jsonb_agg(jsonb_build_object(
+           'product_id', p.id,
+           'name', p.name,
+           'requested', l.quantity,
+           'available', p.stock
+         ) ORDER BY l.position) INTO v_shortages
+  FROM checkout_lines l
+  JOIN products p ON p.id = l.product_id
+  WHERE p.stock < l.quantity;
+
+  IF v_shortages IS NOT NULL THEN
+    DROP TABLE checkout_lines;
+    RETURN jsonb_build_object('error', 'insufficient_stock', 'shortages', v_shortages);
+  END IF;
+
+  v_quote := quote_order((p_order->>'user_id')::UUID, p_items, p_coupon_code, NULL, NULL, TRUE);
+
+  IF v_quote ? 'error' THEN
+    DROP TABLE checkout_lines;
+    RETURN v_quote;
+  END IF;
+
+  v_coupon := CASE WHEN jsonb_typeof(v_quote->'coupon') = 'object' THEN v_quote->'coupon' END;
+
+  SELECT SUM(quantity) INTO v_quantity FROM checkout_lines;
+  SELECT product_id INTO v_first_product FROM checkout_lines ORDER BY position LIMIT 1;
+
+  -- Any orders columns can be passed in p_order; only the given ones are written so
+  -- column defaults still apply, and the computed totals always win
+  v_payload := jsonb_build_object('status', 'Pending')
+    || p_order
+    || jsonb_build_object(
+      'product_id', v_first_product,
+      'quantity', v_quantity,
+      'subtotal', v_quote->'subtotal',
+      'discount_amount', v_quote->'discount_amount',
+      'tax_amount', v_quote->'tax_amount',
+      'shipping_amount', v_quote->'shipping_amount',
+      'shipping_state', v_quote->'destination'->'state',
+      'shipping_district', v_quote->'destination'->'district',
+      'amount', v_quote->'total'
+    );
+
+  IF v_coupon IS NOT NULL THEN
+    v_payload := v_payload || jsonb_build_object('coupon_id', v_coupon->'coupon_id', 'coupon_code', v_coupon->'code');
+  END IF;
+
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns FROM jsonb_object_keys(v_payload) AS key;
+
+  EXECUTE format(
+    'INSERT INTO orders (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::orders, $1) RETURNING *',
+    v_columns
+  ) INTO v_order USING v_payload;
+
+  IF v_coupon IS NOT NULL THEN
+    INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+    VALUES ((v_coupon->>'coupon_id')::UUID, v_order.id, v_order.user_id, (v_quote->>'discount_amount')::DECIMAL);
+  END IF;
+
+  WITH inserted AS (
+    INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price, tax_rate, tax_amount)
+    SELECT v_order.id, l.product_id, l.quantity, q.unit_price, q.line_total, q.tax_rate, q.tax_amount
+    FROM checkout_lines l
+    JOIN jsonb_to_recordset(v_quote->'lines')
+      AS q(product_id UUID, unit_price DECIMAL, line_total DECIMAL, tax_rate DECIMAL, tax_amount DECIMAL)
+      ON q.product_id = l.product_id
+    ORDER BY l.position
+    RETURNING *
+  )
+  SELECT jsonb_agg(to_jsonb(inserted)) INTO v_items FROM inserted;
+
+  UPDATE products p
+  SET stock = p.stock - l.quantity
+  FROM checkout_lines l
+  WHERE p.id = l.product_id;
+
+  DROP TABLE checkout_lines;
+
+  RETURN jsonb_build_object('order', to_jsonb(v_order), 'items', v_items);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Turn a quoted, unexpired quote into an order at the quoted prices (tax and delivery are added
+-- as for any order). p_user_id must be the quote's client.
+-- Returns { order, items, quote } or { "error": not_found | invalid_status (status) | expired },
+-- or place_order's product_not_found / insufficient_stock errors
+CREATE OR REPLACE FUNCTION accept_quote(p_quote_id UUID, p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_quote quotes%ROWTYPE;
+  v_items JSONB;
+  v_result JSONB;
+BEGIN
+  SELECT * INTO v_quote FROM quotes WHERE id = p_quote_id FOR UPDATE;
+
+  IF NOT FOUND OR v_quote.user_id <> p_user_id THEN
+    RETURN jsonb_build_object('error', 'not_found');
+  END IF;
+
+  IF v_quote.status <> 'Quoted' THEN
+    RETURN jsonb_build_object('error', 'invalid_status', 'status', v_quote.status);
+  END IF;
+
+  IF v_quote.valid_until < NOW() THEN
+    UPDATE quotes SET status = 'Expired' WHERE id = p_quote_id;
+    RETURN jsonb_build_object('error', 'expired');
+  END IF;
+
+  SELECT jsonb_agg(jsonb_build_object(
+           'product_id', product_id,
+           'quantity', quantity,
+           'unit_price', unit_price
+         ) ORDER BY created_at)
+  INTO v_items
+  FROM quote_items
+  WHERE quote_id = p_quote_id;
+
+  v_result := place_order(
+    jsonb_build_object('user_id', v_quote.user_id, 'delivery_date', v_quote.delivery_date, 'quote_id', v_quote.id),
+    v_items
+  );
+
+  IF v_result ? 'error' THEN
+    RETURN v_result;
+  END IF;
+
+  UPDATE quotes
+  SET status = 'Accepted',
+      order_id = (v_result->'order'->>'id')::UUID
+  WHERE id = p_quote_id
+  RETURNING * INTO v_quote;
+
+  RETURN v_result || jsonb_build_object('quote', to_jsonb(v_quote));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Price a requested quote, or revise a quoted one, in one transaction: the quote is locked so it
+-- can't be accepted while its prices change. p_prices maps product_id to the offered unit price.
+-- Returns { "quote": {...} } or { "error": "not_found" | "invalid_status" (status) | "missing_prices" (missing) }
+CREATE OR REPLACE FUNCTION respond_to_quote(
+  p_quote_id UUID,
+  p_prices JSONB,
+  p_valid_until TIMESTAMP WITH TIME ZONE,
+  p_note TEXT,
+  p_actor_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_quote quotes%ROWTYPE;
+  v_missing JSONB;
+BEGIN
+  SELECT * INTO v_quote FROM quotes WHERE id = p_quote_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'not_found');
+  END IF;
+
+  IF v_quote.status NOT IN ('Requested', 'Quoted') THEN
+    RETURN jsonb_build_object('error', 'invalid_status', 'status', v_quote.status);
+  END IF;
+
+  SELECT jsonb_agg(product_id) INTO v_missing
+  FROM quote_items
+  WHERE quote_id = p_quote_id
+    AND COALESCE((p_prices->>product_id::TEXT)::DECIMAL, 0) <= 0;
+
+  IF v_missing IS NOT NULL THEN
+    RETURN jsonb_build_object('error', 'missing_prices', 'missing', v_missing);
+  END IF;
+
+  UPDATE quote_items
+  SET unit_price = ROUND((p_prices->>product_id::TEXT)::DECIMAL, 2)
+  WHERE quote_id = p_quote_id;
+
+  UPDATE quotes
+  SET status = 'Quoted',
+      subtotal = (SELECT SUM(unit_price * quantity) FROM quote_items WHERE quote_id = p_quote_id),
+      valid_until = p_valid_until,
+      admin_note = p_note,
+      quoted_by = p_actor_id,
+      quoted_at = NOW()
+  WHERE id = p_quote_id
+  RETURNING * INTO v_quote;
+
+  RETURN jsonb_build_object('quote', to_jsonb(v_quote));
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE product_price_tiers IS 'Quantity price breaks per product; the highest min_quantity reached applies';
+COMMENT ON TABLE quotes IS 'B2B quotation requests, priced by an admin and accepted into an order';
+COMMENT ON TABLE quote_items IS 'Products and quantities on a quote with the offered unit price';
@@ -0,0 +1,562 @@
+-- Returns (RMA): return requests per order item with photos, approval, restock/write-off and refunds
+-- Run this in your Supabase SQL Editor (after create_pricing_rules.sql)
+
+-- Orders can be partly returned; returned_amount is the value credited back for returned goods
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('Pending', 'Processing', 'Shipped', 'Delivered', 'Partially Returned', 'Cancelled', 'Returned')) NOT VALID;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS returned_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_refunded DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_refunded DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- Create return_requests table (one per request; an order can have several)
+CREATE TABLE IF NOT EXISTS return_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'Requested' CHECK (status IN ('Requested', 'Approved', 'Rejected', 'Refunded')),
+  reason VARCHAR(30) NOT NULL CHECK (reason IN ('damaged', 'defective', 'wrong_item', 'not_as_described', 'other')),
+  details TEXT,
+  photo_paths TEXT[] NOT NULL DEFAULT '{}',
+  resolution VARCHAR(20) CHECK (resolution IN ('restock', 'write_off')),
+  credit_amount DECIMAL(10, 2),
+  admin_note TEXT,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create return_items table (which order lines, and how many of each, are coming back)
+CREATE TABLE IF NOT EXISTS return_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  return_id UUID NOT NULL REFERENCES return_requests(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price DECIMAL(10, 2) NOT NULL,
+  credit_amount DECIMAL(10, 2),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create refunds table (money paid back, against the payment it came from and the invoice)
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  return_id UUID REFERENCES return_requests(id) ON DELETE SET NULL,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+  invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  method VARCHAR(30),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+  provider_reference VARCHAR(255),
+  failure_reason TEXT,
+  processed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_order_id ON return_requests(order_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_status ON return_requests(status);
+CREATE INDEX IF NOT EXISTS idx_return_items_return_id ON return_items(return_id);
+CREATE INDEX IF NOT EXISTS idx_return_items_order_item_id ON return_items(order_item_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_return_id ON refunds(return_id);
+
+CREATE TRIGGER update_return_requests_updated_at BEFORE UPDATE ON return_requests
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backend handles access control
+ALTER TABLE return_requests DISABLE ROW LEVEL SECURITY;
+ALTER TABLE return_items DISABLE ROW LEVEL SECURITY;
+ALTER TABLE refunds DISABLE ROW LEVEL SECURITY;
+
+-- Private bucket for return photos; the API hands out signed URLs
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('return-photos', 'return-photos', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+-- Open a return for items of a delivered order.
+-- p_items: [{ "order_item_id": uuid, "quantity": int }, ...]
+-- p_owner_id: when set, the order must belong to this user
+-- Returns { return, items } or { "error": not_found | invalid_status (status) | invalid_items (invalid) |
+--   quantity_exceeded (exceeded: [{ order_item_id, requested, returnable }]) }
+CREATE OR REPLACE FUNCTION request_return(
+  p_order_id UUID,
+  p_user_id UUID,
+  p_reason TEXT,
+  p_details TEXT,
+  p_items JSONB,
+  p_photo_paths TEXT[] DEFAULT '{}',
+  p_owner_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_return return_requests%ROWTYPE;
+  v_invalid JSONB;
+  v_exceeded JSONB;
+  v_items JSONB;
+BEGIN
+  -- Locking the order serialises requests, so two can't claim the same units
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND OR (p_owner_id IS NOT NULL AND v_order.user_id IS DISTINCT FROM p_owner_id) THEN
+    RETURN jsonb_build_object('error', 'not_found');
+  END IF;
+
+  IF v_order.status NOT IN ('Delivered', 'Partially Returned') THEN
+    RETURN jsonb_build_object('error', 'invalid_status', 'status', v_order.status);
+  END IF;
+
+  CREATE TEMP TABLE return_lines ON COMMIT DROP AS
+  SELECT (line->>'order_item_id')::UUID AS order_item_id,
+         SUM((line->>'quantity')::INTEGER)::INTEGER AS quantity
+  FROM jsonb_array_elements(p_items) AS line
+  GROUP BY (line->>'order_item_id')::UUID;
+
+  SELECT jsonb_agg(l.order_item_id) INTO v_invalid
+  FROM return_lines l
+  LEFT JOIN order_items i ON i.id = l.order_item_id AND i.order_id = p_order_id
+  WHERE i.id IS NULL;
+
+  IF v_invalid IS NOT NULL THEN
+    DROP TABLE return_lines;
+    RETURN jsonb_build_object('error', 'invalid_items', 'invalid', v_invalid);
+  END IF;
+
+  -- Units already in an open or approved return can't be requested again
+  SELECT jsonb_agg(jsonb_build_object(
+           'order_item_id', l.order_item_id,
+           'requested', l.quantity,
+           'returnable', i.quantity - COALESCE(claimed.quantity, 0)
+         )) INTO v_exceeded
+  FROM return_lines l
+  JOIN order_items i ON i.id = l.order_item_id
+  LEFT JOIN (
+    SELECT ri.order_item_id, SUM(ri.quantity) AS quantity
+    FROM return_items ri
+    JOIN return_requests r ON r.id = ri.return_id
+    WHERE r.order_id = p_order_id AND r.status <> 'Rejected'
+    GROUP BY ri.order_item_id
+  ) AS claimed ON claimed.order_item_id = l.order_item_id
+  WHERE l.quantity > i.quantity - COALESCE(claimed.quantity, 0);
+
+  IF v_exceeded IS NOT NULL THEN
+    DROP TABLE return_lines;
+    RETURN jsonb_build_object('error', 'quantity_exceeded', 'exceeded', v_exceeded);
+  END IF;
+
+  INSERT INTO return_requests (order_id, user_id, reason, details, photo_paths)
+  VALUES (p_order_id, p_user_id, p_reason, p_details, COALESCE(p_photo_paths, '{}'))
+  RETURNING * INTO v_return;
+
+  WITH inserted AS (
+    INSERT INTO return_items (return_id, order_item_id, product_id, quantity, unit_price)
+    SELECT v_return.id, i.id, i.product_id, l.quantity, i.unit_price
+    FROM return_lines l
+    JOIN order_items i ON i.id = l.order_item_id
+    RETURNING *
+  )
+  SELECT jsonb_agg(to_jsonb(inserted)) INTO v_items FROM inserted;
+
+  DROP TABLE return_lines;
+
+  RETURN jsonb_build_object('return', to_jsonb(v_return), 'items', v_items);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Approve a requested return: restock or write off the goods, credit their value to the order,
+-- move the order to Partially Returned/Returned and, if the customer has now paid more than
+-- they owe, open a pending refund against their last payment.
+-- Each line is credited at its price less its share of the coupon discount, plus its tax;
+-- p_credit_amount can lower the total (e.g. for a partial refund), not raise it.
+-- Returns { return, order, refund } or { "error": not_found | invalid_status (status) | credit_too_high (max) }
+CREATE OR REPLACE FUNCTION approve_return(
+  p_return_id UUID,
+  p_resolution TEXT,
+  p_credit_amount DECIMAL DEFAULT NULL,
+  p_actor_id UUID DEFAULT NULL,
+  p_note TEXT DEFAULT NULL,
+  p_impersonator_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_return return_requests%ROWTYPE;
+  v_order orders%ROWTYPE;
+  v_invoice invoices%ROWTYPE;
+  v_payment payments%ROWTYPE;
+  v_refund refunds%ROWTYPE;
+  v_credit DECIMAL(10, 2);
+  v_max_credit DECIMAL(10, 2);
+  v_fully_returned BOOLEAN;
+  v_old_status VARCHAR(50);
+  v_new_status VARCHAR(50);
+  v_owed DECIMAL(10, 2);
+  v_net_paid DECIMAL(10, 2);
+  v_refund_amount DECIMAL(10, 2);
+BEGIN
+  SELECT * INTO v_return FROM return_requests WHERE id = p_return_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'not_found');
+  END IF;
+
+  IF v_return.status <> 'Requested' THEN
+    RETURN jsonb_build_object('error', 'invalid_status', 'status', v_return.status);
+  END IF;
+
+  SELECT * INTO v_order FROM orders WHERE id = v_return.order_id FOR UPDATE;
+  SELECT * INTO v_invoice FROM invoices WHERE order_id = v_order.id FOR UPDATE;
+
+  UPDATE return_items ri
+  SET credit_amount = ROUND(
+        ri.unit_price * ri.quantity * (1 - COALESCE(v_order.discount_amount, 0) / NULLIF(v_order.subtotal, 0))
+        + COALESCE(i.tax_amount, 0) * ri.quantity / NULLIF(i.quantity, 0),
+      2)
+  FROM order_items i
+  WHERE ri.return_id = p_return_id AND i.id = ri.order_item_id;
+
+  -- NULLIF above is NULL for orders without a subtotal (no coupon or tax): credit the plain price
+  UPDATE return_items
+  SET credit_amount = ROUND(unit_price * quantity, 2)
+  WHERE return_id = p_return_id AND credit_amount IS NULL;
+
+  SELECT SUM(credit_amount) INTO v_max_credit FROM return_items WHERE return_id = p_return_id;
+
+  IF p_credit_amount IS NOT NULL AND p_credit_amount > v_max_credit THEN
+    RETURN jsonb_build_object('error', 'credit_too_high', 'max', v_max_credit);
+  END IF;
+
+  v_credit := COALESCE(p_credit_amount, v_max_credit);
+
+  IF p_resolution = 'restock' THEN
+    UPDATE products p
+    SET stock = p.stock + ri.quantity
+    FROM (
+      SELECT product_id, SUM(quantity) AS quantity
+      FROM return_items
+      WHERE return_id = p_return_id AND product_id IS NOT NULL
+      GROUP BY product_id
+    ) AS ri
+    WHERE p.id = ri.product_id;
+  END IF;
+
+  UPDATE return_requests
+  SET status = 'Approved',
+      resolution = p_resolution,
+      credit_amount = v_credit,
+      admin_note = p_note,
+      reviewed_by = p_actor_id,
+      reviewed_at = NOW()
+  WHERE id = p_return_id
+  RETURNING * INTO v_return;
+
+  -- Returned once every unit of every line has come back in an approved return
+  SELECT NOT EXISTS (
+    SELECT 1
+    FROM order_items i
+    LEFT JOIN (
+      SELECT ri.order_item_id, SUM(ri.quantity) AS quantity
+      FROM return_items ri
+      JOIN return_requests r ON r.id = ri.return_id
+      WHERE r.order_id = v_order.id AND r.status IN ('Approved', 'Refunded')
+      GROUP BY ri.order_item_id
+    ) AS returned ON returned.order_item_id = i.id
+    WHERE i.order_id = v_order.id AND COALESCE(returned.quantity, 0) < i.quantity
+  ) INTO v_fully_returned;
+
+  v_old_status := v_order.status;
+  v_new_status := CASE WHEN v_fully_returned THEN 'Returned' ELSE 'Partially Returned' END;
+
+  -- Money already paid (less refunds already made or on their way) above what is now owed goes back
+  v_owed := GREATEST(COALESCE(v_invoice.total, v_order.amount) - v_order.returned_amount - v_credit, 0);
+
+  SELECT v_order.amount_paid - v_order.amount_refunded - COALESCE(SUM(amount), 0) INTO v_net_paid
+  FROM refunds
+  WHERE order_id = v_order.id AND status IN ('pending', 'processing');
+
+  v_refund_amount := LEAST(v_credit, GREATEST(v_net_paid - v_owed, 0));
+
+  UPDATE orders
+  SET status = v_new_status,
+      returned_amount = returned_amount + v_credit,
+      payment_status = CASE
+        WHEN amount_paid - amount_refunded >= v_owed THEN 'Paid'
+        WHEN amount_paid - amount_refunded > 0 THEN 'Partially Paid'
+        ELSE 'Unpaid'
+      END
+  WHERE id = v_order.id
+  RETURNING * INTO v_order;
+
+  IF v_old_status <> v_new_status THEN
+    INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by, impersonator_id)
+    VALUES (v_order.id, v_old_status, v_new_status, 'Return approved', p_actor_id, p_impersonator_id);
+  END IF;
+
+  IF v_refund_amount > 0 THEN
+    SELECT * INTO v_payment
+    FROM payments
+    WHERE order_id = v_order.id AND status = 'succeeded'
+    ORDER BY completed_at DESC NULLS LAST
+    LIMIT 1;
+
+    INSERT INTO refunds (return_id, order_id, payment_id, invoice_id, amount, method)
+    VALUES (p_return_id, v_order.id, v_payment.id, v_invoice.id, v_refund_amount, v_payment.method)
+    RETURNING * INTO v_refund;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'return', to_jsonb(v_return),
+    'order', jsonb_build_object(
+      'id', v_order.id,
+      'status', v_order.status,
+      'returned_amount', v_order.returned_amount,
+      'payment_status', v_order.payment_status
+    ),
+    'refund', CASE WHEN v_refund.id IS NULL THEN NULL ELSE to_jsonb(v_refund) END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Finish a pending (or claimed, processing) refund as completed or failed. Completed refunds are added to the
+-- order's and invoice's amount_refunded, and the return becomes Refunded.
+-- Returns { refund } (with unchanged: true if it was already settled), or NULL if not found
+CREATE OR REPLACE FUNCTION complete_refund(
+  p_refund_id UUID,
+  p_status TEXT,
+  p_reference TEXT DEFAULT NULL,
+  p_failure_reason TEXT DEFAULT NULL,
+  p_actor_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_refund refunds%ROWTYPE;
+BEGIN
+  SELECT * INTO v_refund FROM refunds WHERE id = p_refund_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_refund.status NOT IN ('pending', 'processing') THEN
+    RETURN jsonb_build_object('refund', to_jsonb(v_refund), 'unchanged', TRUE);
+  END IF;
+
+  UPDATE refunds
+  SET status = p_status,
+      provider_reference = COALESCE(p_reference, provider_reference),
+      failure_reason = p_failure_reason,
+      processed_by = p_actor_id,
+      completed_at = NOW()
+  WHERE id = p_refund_id
+  RETURNING * INTO v_refund;
+
+  IF p_status = 'completed' THEN
+    UPDATE orders SET amount_refunded = amount_refunded + v_refund.amount WHERE id = v_refund.order_id;
+    UPDATE invoices SET amount_refunded = amount_refunded + v_refund.amount WHERE id = v_refund.invoice_id;
+    UPDATE return_requests SET status = 'Refunded' WHERE id = v_refund.return_id AND status = 'Approved';
+  END IF;
+
+  RETURN jsonb_build_object('refund', to_jsonb(v_refund));
+END;
+$$ LANGUAGE plpgsql;
+
+-- settle_payment now counts what's owed after returns and what's been refunded
+CREATE OR REPLACE FUNCTION settle_payment(
+  p_payment_id UUID,
+  p_status TEXT,
+  p_reference TEXT DEFAULT NULL,
+  p_failure_reason TEXT DEFAULT NULL,
+  p_confirmed_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_payment payments%ROWTYPE;
+  v_order orders%ROWTYPE;
+  v_invoice invoices%ROWTYPE;
+  v_paid DECIMAL(10, 2);
+  v_due DECIMAL(10, 2);
+  v_overpaid DECIMAL(10, 2) := 0;
+BEGIN
+  -- Lock the order first so settlements for the same order run one at a time
+  SELECT o.* INTO v_order
+  FROM orders o
+  JOIN payments p ON p.order_id = o.id
+  WHERE p.id = p_payment_id
+  FOR UPDATE OF o;
+
+  SELECT * INTO v_payment FROM payments WHERE id = p_payment_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_payment.status <> 'pending' THEN
+    RETURN jsonb_build_object('payment', to_jsonb(v_payment), 'unchanged', TRUE);
+  END IF;
+
+  IF p_status = 'succeeded' THEN
+    SELECT * INTO v_invoice FROM invoices WHERE order_id = v_payment.order_id FOR UPDATE;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_paid
+    FROM payments
+    WHERE order_id = v_payment.order_id AND status = 'succeeded';
+
+    -- Once invoiced the invoice total (with tax) is what's owed, less anything returned
+    v_due := COALESCE(v_invoice.total, v_order.amount) - v_order.returned_amount;
+    v_overpaid := LEAST(GREATEST(v_paid - v_order.amount_refunded + v_payment.amount - v_due, 0), v_payment.amount);
+
+    -- Staff can't confirm more than is owed. A gateway has already taken the money, so its payment
+    -- is settled and the excess recorded for refunding.
+    IF v_overpaid > 0 AND v_payment.provider IS NULL THEN
+      RETURN jsonb_build_object(
+        'error', 'overpayment',
+        'outstanding', GREATEST(v_due - (v_paid - v_order.amount_refunded), 0)
+      );
+    END IF;
+  END IF;
+
+  UPDATE payments
+  SET status = p_status,
+      provider_reference = COALESCE(p_reference, provider_reference),
+      failure_reason = p_failure_reason,
+      confirmed_by = p_confirmed_by,
+      overpaid_amount = v_overpaid,
+      completed_at = NOW()
+  WHERE id = p_payment_id
+  RETURNING * INTO v_payment;
+
+  IF p_status <> 'succeeded' THEN
+    RETURN jsonb_build_object('payment', to_jsonb(v_payment));
+  END IF;
+
+  v_paid := v_paid + v_payment.amount;
+
+  UPDATE orders
+  SET amount_paid = v_paid,
+      payment_status = CASE
+        WHEN v_paid - amount_refunded >= v_due THEN 'Paid'
+        WHEN v_paid - amount_refunded > 0 THEN 'Partially Paid'
+        ELSE 'Unpaid'
+      END
+  WHERE id = v_order.id
+  RETURNING * INTO v_order;
+
+  IF v_invoice.id IS NOT NULL THEN
+    UPDATE invoices
+    SET amount_paid = v_paid,
+        status = CASE
+          WHEN v_paid - amount_refunded >= v_due THEN 'Paid'
+          WHEN status = 'Overdue' THEN 'Overdue'
+          ELSE 'Partially Paid'
+        END,
+        paid_at = CASE WHEN v_paid - amount_refunded >= v_due THEN NOW() ELSE paid_at END
+    WHERE id = v_invoice.id AND status <> 'Void';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'payment', to_jsonb(v_payment),
+    'order', jsonb_build_object('id', v_order.id, 'amount_paid', v_order.amount_paid, 'payment_status', v_order.payment_status)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- cancel_order now looks after money already taken: cancelling waits until no payment is pending,
+-- and whatever was paid (less refunds made or on their way) is opened as a pending refund.
+-- Also returns { "error": "payment_pending" }, and the refund (or null) next to the order.
+CREATE OR REPLACE FUNCTION cancel_order(
+  p_order_id UUID,
+  p_actor_id UUID,
+  p_reason TEXT,
+  p_allowed_from TEXT[],
+  p_owner_id UUID DEFAULT NULL,
+  p_impersonator_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_invoice invoices%ROWTYPE;
+  v_payment payments%ROWTYPE;
+  v_refund refunds%ROWTYPE;
+  v_previous_status VARCHAR(50);
+  v_refund_amount DECIMAL(10, 2);
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+
+  IF NOT FOUND OR (p_owner_id IS NOT NULL AND v_order.user_id IS DISTINCT FROM p_owner_id) THEN
+    RETURN jsonb_build_object('error', 'not_found');
+  END IF;
+
+  IF NOT (v_order.status = ANY(p_allowed_from)) THEN
+    RETURN jsonb_build_object('error', 'invalid_status', 'status', v_order.status);
+  END IF;
+
+  -- A payment still under way could settle after the order is gone
+  IF EXISTS (SELECT 1 FROM payments WHERE order_id = p_order_id AND status = 'pending') THEN
+    RETURN jsonb_build_object('error', 'payment_pending');
+  END IF;
+
+  v_previous_status := v_order.status;
+
+  -- Multi-product orders restock from their items; older single-product orders from the order row
+  IF EXISTS (SELECT 1 FROM order_items WHERE order_id = p_order_id) THEN
+    UPDATE products p
+    SET stock = p.stock + i.quantity
+    FROM (
+      SELECT product_id, SUM(quantity) AS quantity
+      FROM order_items
+      WHERE order_id = p_order_id
+      GROUP BY product_id
+    ) i
+    WHERE p.id = i.product_id;
+  ELSIF v_order.product_id IS NOT NULL THEN
+    UPDATE products SET stock = stock + v_order.quantity WHERE id = v_order.product_id;
+  END IF;
+
+  UPDATE orders
+  SET status = 'Cancelled',
+      cancelled_at = NOW(),
+      cancelled_by = p_actor_id,
+      cancellation_reason = p_reason
+  WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by, impersonator_id)
+  VALUES (p_order_id, v_previous_status, 'Cancelled', p_reason, p_actor_id, p_impersonator_id);
+
+  -- Everything paid goes back, through the same refunds as returns
+  SELECT v_order.amount_paid - v_order.amount_refunded - COALESCE(SUM(amount), 0) INTO v_refund_amount
+  FROM refunds
+  WHERE order_id = p_order_id AND status IN ('pending', 'processing');
+
+  IF v_refund_amount > 0 THEN
+    SELECT * INTO v_invoice FROM invoices WHERE order_id = p_order_id;
+
+    SELECT * INTO v_payment
+    FROM payments
+    WHERE order_id = p_order_id AND status = 'succeeded'
+    ORDER BY completed_at DESC NULLS LAST
+    LIMIT 1;
+
+    INSERT INTO refunds (order_id, payment_id, invoice_id, amount, method)
+    VALUES (p_order_id, v_payment.id, v_invoice.id, v_refund_amount, v_payment.method)
+    RETURNING * INTO v_refund;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'order', to_jsonb(v_order),
+    'refund', CASE WHEN v_refund.id IS NULL THEN NULL ELSE to_jsonb(v_refund) END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE return_requests IS 'Customer return requests (RMA) per order, reviewed by an admin';
+COMMENT ON TABLE return_items IS 'Order lines and quantities in a return, with the value credited for each';
+COMMENT ON TABLE refunds IS 'Money paid back to customers, linked to the original payment and the invoice';
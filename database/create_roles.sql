@@ -0,0 +1,39 @@
+-- Permission-based authorization: roles table
+-- Run this in your Supabase SQL Editor (after create_invitations.sql)
+
+-- Create roles table. Built-in roles (admin, cluster, client) get their
+-- permissions from config/permissions.js; custom roles store them here.
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(50) PRIMARY KEY,
+  description TEXT,
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO roles (name, description, is_system) VALUES
+  ('admin', 'Full access to every cluster, finance and HR', TRUE),
+  ('cluster', 'Cluster manager: production, attendance and materials for one cluster', TRUE),
+  ('client', 'Customer placing orders', TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+-- Replace the fixed role list on users with a reference to roles
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50);
+ALTER TABLE users ADD CONSTRAINT users_role_fkey
+  FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+
+ALTER TABLE invitations ALTER COLUMN role TYPE VARCHAR(50);
+ALTER TABLE invitations ADD CONSTRAINT invitations_role_fkey
+  FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE;
+
+-- Trigger for updated_at
+CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backend handles access control
+ALTER TABLE roles DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE roles IS 'Built-in and admin-defined roles; custom roles map to named permissions';
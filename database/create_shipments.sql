@@ -0,0 +1,54 @@
+-- Shipments: parcels handed to a courier for an order (or one cluster's part of it) and their tracking history
+-- Run this in your Supabase SQL Editor (after create_order_fulfilments.sql)
+
+CREATE TABLE IF NOT EXISTS shipments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  -- The cluster shipping it, for orders split across clusters
+  fulfilment_id UUID REFERENCES order_fulfilments(id) ON DELETE SET NULL,
+  cluster_id UUID REFERENCES clusters(id) ON DELETE SET NULL,
+  carrier VARCHAR(50) NOT NULL,
+  tracking_number VARCHAR(100),
+  label_url TEXT,
+  status VARCHAR(30) NOT NULL DEFAULT 'label_created' CHECK (status IN (
+    'label_created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned'
+  )),
+  packages INTEGER NOT NULL DEFAULT 1 CHECK (packages > 0),
+  weight_kg DECIMAL(10, 3) CHECK (weight_kg >= 0),
+  estimated_delivery_date DATE,
+  dispatched_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  last_checked_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (carrier, tracking_number)
+);
+
+-- Tracking history as reported by the courier; external_id keeps each courier event once
+CREATE TABLE IF NOT EXISTS shipment_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  external_id VARCHAR(100) NOT NULL,
+  status VARCHAR(30) NOT NULL,
+  description TEXT,
+  location VARCHAR(255),
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (shipment_id, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipments_order_id ON shipments(order_id);
+CREATE INDEX IF NOT EXISTS idx_shipments_cluster_id ON shipments(cluster_id);
+CREATE INDEX IF NOT EXISTS idx_shipments_active ON shipments(last_checked_at) WHERE status NOT IN ('delivered', 'returned');
+CREATE INDEX IF NOT EXISTS idx_shipment_events_shipment_id ON shipment_events(shipment_id, occurred_at);
+
+CREATE TRIGGER update_shipments_updated_at BEFORE UPDATE ON shipments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backend handles access control
+ALTER TABLE shipments DISABLE ROW LEVEL SECURITY;
+ALTER TABLE shipment_events DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE shipments IS 'Parcels booked with a courier for an order, with their latest tracking status';
+COMMENT ON TABLE shipment_events IS 'Tracking history of a shipment as reported by its courier';
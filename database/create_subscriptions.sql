@@ -0,0 +1,112 @@
+-- Recurring orders: a saved cart placed automatically on a weekly, biweekly or monthly schedule
+-- Run this in your Supabase SQL Editor (after create_quotes.sql)
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255),
+  schedule VARCHAR(20) NOT NULL CHECK (schedule IN ('weekly', 'biweekly', 'monthly')),
+  -- Run dates are counted from start_date, so monthly runs keep their day of the month
+  start_date DATE NOT NULL,
+  next_run_date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
+  paused_at TIMESTAMP WITH TIME ZONE,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  last_run_date DATE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The cart template
+CREATE TABLE IF NOT EXISTS subscription_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (subscription_id, product_id)
+);
+
+-- One row per scheduled date; the unique key stops a date from being ordered twice
+CREATE TABLE IF NOT EXISTS subscription_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+  run_date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'ordered', 'skipped', 'failed')),
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  reason VARCHAR(50),
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (subscription_id, run_date)
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_due ON subscriptions(next_run_date) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_subscription_items_subscription_id ON subscription_items(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_subscription_runs_subscription_id ON subscription_runs(subscription_id, run_date DESC);
+
+CREATE TRIGGER update_subscriptions_updated_at BEFORE UPDATE ON subscriptions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backend handles access control
+ALTER TABLE subscriptions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_items DISABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_runs DISABLE ROW LEVEL SECURITY;
+
+-- Swap a subscription's cart in one transaction, so a failed insert can't leave it with no items.
+-- p_items is an array of { product_id, quantity } with one entry per product.
+-- Returns the new items.
+CREATE OR REPLACE FUNCTION replace_subscription_items(p_subscription_id UUID, p_items JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_items JSONB;
+BEGIN
+  PERFORM 1 FROM subscriptions WHERE id = p_subscription_id FOR UPDATE;
+
+  DELETE FROM subscription_items WHERE subscription_id = p_subscription_id;
+
+  WITH inserted AS (
+    INSERT INTO subscription_items (subscription_id, product_id, quantity)
+    SELECT p_subscription_id, x.product_id, x.quantity
+    FROM jsonb_to_recordset(p_items) AS x(product_id UUID, quantity INTEGER)
+    RETURNING *
+  )
+  SELECT COALESCE(jsonb_agg(to_jsonb(inserted)), '[]'::jsonb) INTO v_items FROM inserted;
+
+  RETURN v_items;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Claim a subscription's due date and move it on to p_next_run_date in one transaction, so an
+-- error can't leave a claimed date that later runs skip. Returns the new run row, or null if
+-- another run already claimed the date.
+CREATE OR REPLACE FUNCTION claim_subscription_run(p_subscription_id UUID, p_run_date DATE, p_next_run_date DATE)
+RETURNS JSONB AS $$
+DECLARE
+  v_run subscription_runs%ROWTYPE;
+BEGIN
+  INSERT INTO subscription_runs (subscription_id, run_date)
+  VALUES (p_subscription_id, p_run_date)
+  ON CONFLICT (subscription_id, run_date) DO NOTHING
+  RETURNING * INTO v_run;
+
+  -- Move on to the next date before ordering, so a crash mid-run can't order the same date twice
+  UPDATE subscriptions
+  SET next_run_date = p_next_run_date,
+      last_run_date = p_run_date
+  WHERE id = p_subscription_id
+    AND next_run_date = p_run_date;
+
+  IF v_run.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN to_jsonb(v_run);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE subscriptions IS 'Recurring orders placed from a saved cart on a schedule';
+COMMENT ON TABLE subscription_items IS 'Products and quantities ordered on every run of a subscription';
+COMMENT ON TABLE subscription_runs IS 'Outcome of each scheduled date: the order placed, or why it was skipped';
@@ -0,0 +1,25 @@
+-- Create user_sessions table for refresh tokens and revocable logins
+-- Run this in your Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+  previous_token_hash VARCHAR(64),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for token lookup and per-user revocation
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token_hash ON user_sessions(previous_token_hash);
+
+-- Backend handles access control, same as order_items and client_profiles
+ALTER TABLE user_sessions DISABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE user_sessions IS 'Server-side login sessions; each row holds the current rotating refresh token';
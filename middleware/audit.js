@@ -0,0 +1,86 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { recordAuditLog } = require('../services/audit');
+
+const DEFAULT_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// First object in a JSON response that isn't the message, e.g. `product` in { message, product }
+const responseEntity = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  return Object.entries(body).find(([key, value]) => key !== 'message' && value && typeof value === 'object')?.[1] || null;
+};
+
+const loadRow = async (table, idColumn, id) => {
+  const { data } = await supabaseAdmin
+    .from(table)
+    .select('*')
+    .eq(idColumn, id)
+    .maybeSingle();
+
+  return data || null;
+};
+
+// Record a mutating request in audit_logs once it has succeeded (use after authenticateToken)
+// options.table: table to snapshot before/after, keyed by req.params[idParam] on idColumn
+// options.action: defaults to create/update/delete from the HTTP method
+// options.entityId: (req, body) => id, for routes where the id isn't a route param
+// options.snapshot: false to only record that the action happened (e.g. logins)
+const audit = (entityType, options = {}) => {
+  const {
+    table,
+    idParam = 'id',
+    idColumn = 'id',
+    action,
+    entityId,
+    snapshot = true
+  } = options;
+
+  return async (req, res, next) => {
+    const paramId = req.params[idParam];
+    let before = null;
+
+    try {
+      if (snapshot && table && paramId) {
+        before = await loadRow(table, idColumn, paramId);
+      }
+    } catch (error) {
+      console.error('Audit snapshot error:', error);
+    }
+
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const entity = responseEntity(responseBody);
+        const id = entityId ? entityId(req, responseBody) : paramId || entity?.id;
+        let after = null;
+
+        if (snapshot && req.method !== 'DELETE') {
+          after = table && paramId ? await loadRow(table, idColumn, paramId) : entity;
+        }
+
+        await recordAuditLog({
+          req,
+          action: action || DEFAULT_ACTIONS[req.method] || req.method.toLowerCase(),
+          entityType,
+          entityId: id,
+          before,
+          after,
+          statusCode: res.statusCode
+        });
+      } catch (error) {
+        console.error('Audit log error:', error);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = { audit };
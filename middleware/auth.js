@@ -1,7 +1,73 @@
 const jwt = require('jsonwebtoken');
+const { getActiveSession } = require('../services/sessions');
+const { getRolePermissions, hasPermission } = require('../services/permissions');
+const { findActiveApiKey } = require('../services/apiKeys');
+const { recordImpersonatedRequest } = require('../services/audit');
+const { API_KEY_PERMISSIONS } = require('../config/permissions');
 
-// Verify JWT token middleware
+// Authenticate a device by its X-API-Key header; it acts for its cluster with the key's scopes only
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await findActiveApiKey(req.headers['x-api-key'], req.ip);
+
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    req.user = {
+      id: null,
+      role: 'api_key',
+      name: apiKey.name,
+      cluster_id: apiKey.cluster_id,
+      api_key_id: apiKey.id,
+      mfa: false,
+      permissions: (apiKey.scopes || []).filter(scope => API_KEY_PERMISSIONS.includes(scope))
+    };
+    next();
+  } catch (error) {
+    console.error('API key check error:', error);
+    res.status(500).json({ error: 'Failed to verify API key' });
+  }
+};
+
+// Methods that only read; anything else changes data
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Writes an impersonation session may always make (ending the session)
+const IMPERSONATION_ALLOWED_WRITES = ['POST /api/auth/logout'];
+
+// Requests on an impersonation session are all logged, marked in the response and
+// may not change anything unless the admin allowed it when starting the session
+const handleImpersonation = (req, res, next, session) => {
+  req.user.impersonator = { ...req.user.impersonator, id: session.impersonator_id };
+  req.user.allow_destructive = Boolean(session.allow_destructive);
+  req.user.mfa = false;
+
+  res.set('X-Impersonated-By', session.impersonator_id);
+  res.on('finish', () => {
+    recordImpersonatedRequest(req, res.statusCode).catch(error => {
+      console.error('Impersonation log error:', error);
+    });
+  });
+
+  const route = `${req.method} ${req.originalUrl.split('?')[0]}`;
+
+  if (!SAFE_METHODS.includes(req.method) && !IMPERSONATION_ALLOWED_WRITES.includes(route) && !req.user.allow_destructive) {
+    return res.status(403).json({
+      error: 'This impersonation session is read-only',
+      impersonating: true
+    });
+  }
+
+  next();
+};
+
+// Verify JWT token middleware (or an API key sent as X-API-Key)
 const authenticateToken = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next);
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -9,23 +75,43 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    if (err || !user.sid) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
-    req.user = user;
-    next();
+
+    try {
+      // Access tokens are only honoured while their session is live, so logout/revoke takes effect at once
+      const session = await getActiveSession(user.sid);
+
+      if (!session || session.user_id !== user.id) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+
+      const permissions = await getRolePermissions(user.role);
+
+      req.user = { ...user, mfa: Boolean(session.mfa_verified), permissions: permissions || [] };
+
+      if (session.impersonator_id) {
+        return handleImpersonation(req, res, next, session);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Session check error:', error);
+      res.status(500).json({ error: 'Failed to verify session' });
+    }
   });
 };
 
-// Check if user has required role
-const authorizeRole = (...roles) => {
+// Check if user's role grants every listed permission
+const authorize = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.every(permission => hasPermission(req.user, permission))) {
       return res.status(403).json({ 
         error: 'Access denied. Insufficient permissions.' 
       });
@@ -35,4 +121,49 @@ const authorizeRole = (...roles) => {
   };
 };
 
-module.exports = { authenticateToken, authorizeRole };
+// Check if user's role grants at least one of the listed permissions
+const authorizeAny = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        error: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    next();
+  };
+};
+
+// Require the session to have passed two-factor authentication (use after authenticateToken)
+const requireTwoFactor = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!req.user.mfa) {
+    return res.status(403).json({
+      error: 'This action requires a two-factor authenticated session',
+      twoFactorRequired: true
+    });
+  }
+
+  next();
+};
+
+// Refuse a route on impersonation sessions, e.g. changing the user's password or 2FA
+const blockImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonator) {
+    return res.status(403).json({
+      error: 'This action is not available while impersonating a user',
+      impersonating: true
+    });
+  }
+
+  next();
+};
+
+module.exports = { authenticateToken, authorize, authorizeAny, requireTwoFactor, blockImpersonation };
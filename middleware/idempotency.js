@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { claimKey, completeKey, releaseKey } = require('../services/idempotency');
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always gives the same hash
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value) ?? 'null';
+};
+
+const logError = (error) => console.error('Idempotency key error:', error);
+
+// Honour an Idempotency-Key header (use after authenticateToken, before audit). The first response for a key
+// is stored and replayed to retries with the same body; reusing the key for a different request is rejected,
+// and a retry arriving while the first request is still running gets 409. Server errors free the key so the
+// request can be retried. Requests without the header run as usual.
+const idempotent = () => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = crypto.createHash('sha256').update(canonicalJson(req.body || {})).digest('hex');
+
+  let claim;
+  try {
+    claim = await claimKey(req.user.id, key, { endpoint, requestHash });
+  } catch (error) {
+    logError(error);
+    return res.status(500).json({ error: 'Failed to process request' });
+  }
+
+  const { claimed, existing } = claim;
+
+  if (!claimed) {
+    if (existing && (existing.endpoint !== endpoint || existing.request_hash !== requestHash)) {
+      return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request' });
+    }
+
+    if (!existing || existing.status !== 'completed') {
+      res.set('Retry-After', '1');
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response_status).json(existing.response_body);
+  }
+
+  // Store the response before sending it, so a client that got it can always have it replayed
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const save = res.statusCode >= 500
+      ? releaseKey(claimed.id)
+      : completeKey(claimed.id, { status: res.statusCode, body });
+
+    save.catch(logError).then(() => json(body));
+    return res;
+  };
+
+  // A response sent some other way (e.g. the default error handler) can't be replayed
+  res.on('finish', () => {
+    if (!stored) releaseKey(claimed.id).catch(logError);
+  });
+
+  next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,37 @@
+const multer = require('multer');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES },
+  fileFilter: (req, file, callback) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    callback(null, true);
+  }
+});
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Each image must be ${MAX_IMAGE_BYTES / 1024 / 1024} MB or smaller`,
+  LIMIT_FILE_COUNT: 'Too many images',
+  LIMIT_UNEXPECTED_FILE: 'Only JPEG, PNG or WebP images are accepted'
+};
+
+// Accept up to maxCount images from a multipart field into req.files (kept in memory).
+// Bad uploads are answered with 400 instead of reaching the error handler.
+const uploadImages = (field, maxCount) => (req, res, next) => {
+  imageUpload.array(field, maxCount)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: UPLOAD_ERRORS[error.code] || 'Invalid upload' });
+    }
+
+    next(error);
+  });
+};
+
+module.exports = { uploadImages };
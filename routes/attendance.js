@@ -1,10 +1,11 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
 // Get all attendance records (filtered by cluster for cluster users)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, authorize('attendance:read'), async (req, res) => {
   try {
     let query = supabase
       .from('attendance')
@@ -14,8 +15,8 @@ router.get('/', authenticateToken, async (req, res) => {
       `)
       .order('date', { ascending: false });
 
-    // Filter by cluster for cluster role
-    if (req.user.role === 'cluster' && req.user.cluster_id) {
+    // Cluster-bound accounts only see their own cluster
+    if (req.user.cluster_id) {
       query = query.eq('cluster_id', req.user.cluster_id);
     }
 
@@ -31,7 +32,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Create attendance record (cluster role only)
-router.post('/', authenticateToken, authorizeRole('cluster'), async (req, res) => {
+router.post('/', authenticateToken, authorize('attendance:write'), audit('attendance'), async (req, res) => {
   try {
     const { worker_name, shift, status, date } = req.body;
 
@@ -74,7 +75,7 @@ router.post('/', authenticateToken, authorizeRole('cluster'), async (req, res) =
 });
 
 // Bulk create attendance records (cluster role only)
-router.post('/bulk', authenticateToken, authorizeRole('cluster'), async (req, res) => {
+router.post('/bulk', authenticateToken, authorize('attendance:write'), audit('attendance', { action: 'bulk_create' }), async (req, res) => {
   try {
     const { attendanceRecords } = req.body;
 
@@ -145,7 +146,7 @@ router.post('/bulk', authenticateToken, authorizeRole('cluster'), async (req, re
 });
 
 // Get attendance for a specific date
-router.get('/date/:date', authenticateToken, async (req, res) => {
+router.get('/date/:date', authenticateToken, authorize('attendance:read'), async (req, res) => {
   try {
     const { date } = req.params;
     
@@ -157,8 +158,8 @@ router.get('/date/:date', authenticateToken, async (req, res) => {
       `)
       .eq('date', date);
 
-    // Filter by cluster for cluster role
-    if (req.user.role === 'cluster' && req.user.cluster_id) {
+    // Cluster-bound accounts only see their own cluster
+    if (req.user.cluster_id) {
       query = query.eq('cluster_id', req.user.cluster_id);
     }
 
@@ -174,7 +175,7 @@ router.get('/date/:date', authenticateToken, async (req, res) => {
 });
 
 // Get attendance statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, authorize('attendance:read'), async (req, res) => {
   try {
     const { date } = req.query;
     const targetDate = date || new Date().toISOString().split('T')[0];
@@ -184,8 +185,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
       .select('status')
       .eq('date', targetDate);
 
-    // Filter by cluster for cluster role
-    if (req.user.role === 'cluster' && req.user.cluster_id) {
+    // Cluster-bound accounts only see their own cluster
+    if (req.user.cluster_id) {
       query = query.eq('cluster_id', req.user.cluster_id);
     }
 
@@ -0,0 +1,61 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const router = express.Router();
+
+// Get audit log entries (admin only), newest first
+router.get('/', authenticateToken, authorize('audit:read'), async (req, res) => {
+  try {
+    const { actor_id, api_key_id, entity_type, entity_id, action, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('audit_logs')
+      .select('*, actor:users!audit_logs_actor_id_fkey(id, name, email)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (actor_id) query = query.eq('actor_id', actor_id);
+    if (api_key_id) query = query.eq('api_key_id', api_key_id);
+    if (entity_type) query = query.eq('entity_type', entity_type);
+    if (entity_id) query = query.eq('entity_id', entity_id);
+    if (action) query = query.eq('action', action);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data: entries, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ entries, total: count, page, limit });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Get a single audit log entry
+router.get('/:id', authenticateToken, authorize('audit:read'), async (req, res) => {
+  try {
+    const { data: entry, error } = await supabaseAdmin
+      .from('audit_logs')
+      .select('*, actor:users!audit_logs_actor_id_fkey(id, name, email)')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit entry not found' });
+    }
+
+    res.json({ entry });
+  } catch (error) {
+    console.error('Get audit entry error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit entry' });
+  }
+});
+
+module.exports = router;
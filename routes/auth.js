@@ -1,28 +1,106 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { supabase } = require('../config/supabase');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, blockImpersonation } = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  markSessionMfaVerified,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessions');
+const { issueAuthToken, consumeAuthToken } = require('../services/authTokens');
+const { notifyUser, notifyStaff } = require('../services/notifications');
+const { hashToken } = require('../utils/tokens');
+const {
+  IP_WINDOW_MINUTES,
+  sleep,
+  failureDelay,
+  startLoginAttempt,
+  recordLoginAttempt,
+  releaseLoginAttempt,
+  countLoginAttempt,
+  clearFailedLogins
+} = require('../services/loginProtection');
+const {
+  signChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  countBackupCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role,
-      name: user.name,
-      cluster_id: user.cluster_id || null
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+// Strip credentials and security bookkeeping before returning a user row
+const toPublicUser = (user) => {
+  const {
+    password_hash,
+    totp_secret,
+    totp_pending_secret,
+    totp_last_counter,
+    failed_login_count,
+    ...publicUser
+  } = user;
+  return publicUser;
 };
 
+// Start a session for a user who passed every login step and send the tokens
+async function completeLogin(req, res, user, { mfaVerified = false, extra = {} } = {}) {
+  const { token, refreshToken } = await createSession(user, req, { mfaVerified });
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: toPublicUser(user),
+    ...extra
+  });
+}
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+// Entity ids for audit entries: the signed-in caller, or the user a login response was issued for
+const currentUserId = (req) => req.user.id;
+const loggedInUserId = (req, body) => body?.user?.id;
+const setupChallengeUserId = (req) => verifyChallengeToken(req.body.challengeToken, '2fa_setup');
+
+// Issue a fresh verification token and email the link to the user
+async function sendVerificationEmail(user) {
+  const token = await issueAuthToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60);
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${token}`;
+
+  await notifyUser(user.id, 'email_verification', { verifyUrl, ttlHours: EMAIL_VERIFICATION_TTL_HOURS });
+}
+
+// Let user admins, and the accounts of the new user's cluster, know someone joined
+async function announceAccount(user) {
+  try {
+    let cluster = null;
+    if (user.cluster_id) {
+      const { data } = await supabaseAdmin.from('clusters').select('id, name').eq('id', user.cluster_id).maybeSingle();
+      cluster = data;
+    }
+
+    await notifyStaff(
+      'account_created',
+      { account: { name: user.name, email: user.email, role: user.role }, cluster },
+      { permission: 'users:read', clusterId: user.cluster_id, exceptUserId: user.id }
+    );
+  } catch (notifyError) {
+    console.error('New account notification error:', notifyError);
+  }
+}
+
 // Register new user
-router.post('/signup', async (req, res) => {
+router.post('/signup', audit('user', { action: 'signup' }), async (req, res) => {
   try {
-    const { email, password, name, phone, role = 'client', location } = req.body;
+    const { email, password, name, phone, location } = req.body;
 
     // Validation
     if (!email || !password || !name) {
@@ -55,7 +133,7 @@ router.post('/signup', async (req, res) => {
         password_hash, 
         name, 
         phone, 
-        role,
+        role: 'client', // Other roles are only created through admin invitations
         location 
       }])
       .select()
@@ -66,16 +144,26 @@ router.post('/signup', async (req, res) => {
       return res.status(500).json({ error: 'Failed to create account' });
     }
 
-    // Generate token
-    const token = generateToken(newUser);
+    // Send verification email (account can log in, but ordering waits for verification)
+    let emailVerificationSent = true;
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      emailVerificationSent = false;
+      console.error('Verification email error:', mailError);
+    }
+
+    await announceAccount(newUser);
 
-    // Remove password from response
-    delete newUser.password_hash;
+    // Start session
+    const { token, refreshToken } = await createSession(newUser, req);
 
     res.status(201).json({
-      message: 'Account created successfully',
+      message: 'Account created successfully. Please check your email to verify your address.',
       token,
-      user: newUser
+      refreshToken,
+      emailVerificationSent,
+      user: toPublicUser(newUser)
     });
 
   } catch (error) {
@@ -84,8 +172,129 @@ router.post('/signup', async (req, res) => {
   }
 });
 
+// Get invitation details for the accept-invitation page
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const { data: invitation, error } = await supabaseAdmin
+      .from('invitations')
+      .select('email, role, expires_at, accepted_at, revoked_at, cluster:clusters(id, name)')
+      .eq('token_hash', hashToken(req.params.token))
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!invitation || invitation.accepted_at || invitation.revoked_at || new Date(invitation.expires_at) <= new Date()) {
+      return res.status(404).json({ error: 'Invitation not found or no longer valid' });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        cluster: invitation.cluster,
+        expires_at: invitation.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitation' });
+  }
+});
+
+// Accept an invitation by setting a password
+router.post('/accept-invitation', audit('user', { action: 'accept_invitation' }), async (req, res) => {
+  try {
+    const { token, password, name, phone, location } = req.body;
+
+    if (!token || !password || !name) {
+      return res.status(400).json({ error: 'Token, password, and name are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    // Claim the invitation first so it can only be accepted once
+    const now = new Date().toISOString();
+    const { data: invitation, error: claimError } = await supabaseAdmin
+      .from('invitations')
+      .update({ accepted_at: now })
+      .eq('token_hash', hashToken(token))
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', now)
+      .select()
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    const password_hash = await bcrypt.hash(password, 10);
+
+    const { data: newUser, error } = await supabaseAdmin
+      .from('users')
+      .insert([{
+        email: invitation.email,
+        password_hash,
+        name,
+        phone,
+        role: invitation.role,
+        location,
+        cluster_id: invitation.cluster_id,
+        email_verified: true, // The invite link proves the address
+        email_verified_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      // Release the invitation so it can be retried
+      await supabaseAdmin.from('invitations').update({ accepted_at: null }).eq('id', invitation.id);
+
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'Email already registered' });
+      }
+      throw error;
+    }
+
+    await supabaseAdmin
+      .from('invitations')
+      .update({ accepted_user_id: newUser.id })
+      .eq('id', invitation.id);
+
+    await announceAccount(newUser);
+
+    // Roles with mandatory 2FA enrol before getting their first session
+    if (await isTwoFactorRequired(newUser.role)) {
+      return res.status(201).json({
+        message: 'Invitation accepted. Set up two-factor authentication to finish signing in',
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(newUser, '2fa_setup')
+      });
+    }
+
+    // Start session
+    const { token: accessToken, refreshToken } = await createSession(newUser, req);
+
+    res.status(201).json({
+      message: 'Invitation accepted. Account created successfully',
+      token: accessToken,
+      refreshToken,
+      user: toPublicUser(newUser)
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Server error while accepting invitation' });
+  }
+});
+
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', audit('user', { action: 'login', snapshot: false, entityId: loggedInUserId }), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -94,6 +303,16 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    // Too many failures from this IP across any accounts
+    const ipAttempt = await startLoginAttempt(req, email);
+
+    if (ipAttempt.blocked) {
+      res.set('Retry-After', String(IP_WINDOW_MINUTES * 60));
+      return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+    }
+
+    const { attemptId } = ipAttempt;
+
     // Find user
     const { data: user, error } = await supabase
       .from('users')
@@ -102,27 +321,61 @@ router.post('/login', async (req, res) => {
       .single();
 
     if (error || !user) {
+      await recordLoginAttempt(req, { attemptId, email, success: false, reason: 'unknown_email' });
+      await sleep(failureDelay(ipAttempt.failures));
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    // Counted before the password is checked, so parallel guesses can't get past the lockout
+    const { locked, lockedUntil, failures } = await countLoginAttempt(user.id);
+
+    if (locked) {
+      await recordLoginAttempt(req, { attemptId, email, userId: user.id, success: false, reason: 'locked' });
+      return res.status(423).json({
+        error: 'Account temporarily locked due to too many failed login attempts',
+        lockedUntil
+      });
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
+      await recordLoginAttempt(req, { attemptId, email, userId: user.id, success: false, reason: 'bad_password' });
+      await sleep(failureDelay(Math.max(failures, ipAttempt.failures)));
+
+      if (lockedUntil) {
+        return res.status(423).json({
+          error: 'Account temporarily locked due to too many failed login attempts',
+          lockedUntil
+        });
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    await clearFailedLogins(user.id);
 
-    // Remove password from response
-    delete user.password_hash;
+    // Password is right; accounts with 2FA still need a code before getting a session
+    if (user.totp_enabled) {
+      await releaseLoginAttempt(attemptId);
+      return res.json({
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, '2fa_login')
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user
-    });
+    if (await isTwoFactorRequired(user.role)) {
+      await releaseLoginAttempt(attemptId);
+      return res.json({
+        message: 'Two-factor authentication must be set up for your account',
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, '2fa_setup')
+      });
+    }
+
+    await recordLoginAttempt(req, { attemptId, email, userId: user.id, success: true });
+    await completeLogin(req, res, user);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -130,33 +383,534 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Get current user profile
-router.get('/me', async (req, res) => {
+// Second login step: verify a TOTP or backup code
+router.post('/login/2fa', audit('user', { action: 'login_2fa', snapshot: false, entityId: loggedInUserId }), async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    const userId = verifyChallengeToken(challengeToken, '2fa_login');
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    // Codes count toward the same lockout as passwords
+    const { locked, lockedUntil, failures } = await countLoginAttempt(user.id);
+
+    if (locked) {
+      await recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: 'locked' });
+      return res.status(423).json({
+        error: 'Account temporarily locked due to too many failed login attempts',
+        lockedUntil
+      });
+    }
+
+    const isValidCode = await verifySecondFactor(user.id, { code, backupCode });
+
+    if (!isValidCode) {
+      await recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: 'bad_2fa_code' });
+      await sleep(failureDelay(failures));
+
+      if (lockedUntil) {
+        return res.status(423).json({
+          error: 'Account temporarily locked due to too many failed login attempts',
+          lockedUntil
+        });
+      }
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await clearFailedLogins(user.id);
+    await recordLoginAttempt(req, { email: user.email, userId: user.id, success: true });
+    await completeLogin(req, res, user, { mfaVerified: true });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Server error during two-factor login' });
+  }
+});
+
+// Mandatory enrolment during login: get a secret using the setup challenge
+router.post('/login/2fa/setup', audit('user', { action: 'start_2fa_setup', snapshot: false, entityId: setupChallengeUserId }), async (req, res) => {
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken, '2fa_setup');
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const enrollment = await startEnrollment(user);
+
+    res.json(enrollment);
+
+  } catch (error) {
+    console.error('Two-factor login setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Mandatory enrolment during login: confirm the first code and finish logging in
+router.post('/login/2fa/enable', audit('user', { action: 'enable_2fa', snapshot: false, entityId: loggedInUserId }), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const userId = verifyChallengeToken(challengeToken, '2fa_setup');
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const backupCodes = await confirmEnrollment(userId, code);
+
+    if (!backupCodes) {
+      return res.status(400).json({ error: 'Invalid code. Check your authenticator app and try again.' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordLoginAttempt(req, { email: user.email, userId: user.id, success: true });
+    await completeLogin(req, res, user, { mfaVerified: true, extra: { backupCodes } });
+
+  } catch (error) {
+    console.error('Two-factor login enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+// (not audited: it runs every few minutes per client and is tracked on user_sessions)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Server error during token refresh' });
+  }
+});
+
+// Logout current session (or every session with allDevices)
+router.post('/logout', authenticateToken, audit('session', { action: 'logout', snapshot: false, entityId: req => req.user.sid }), async (req, res) => {
+  try {
+    if (req.body.allDevices) {
+      await revokeUserSessions(req.user.id, { reason: 'logout_all' });
+    } else {
+      await revokeSession(req.user.sid, 'logout');
+    }
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error during logout' });
+  }
+});
+
+// Verify email address with the token from the verification email
+router.post('/verify-email', audit('user', { action: 'verify_email', snapshot: false }), async (req, res) => {
+  try {
+    const { token } = req.body;
 
     if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
+      return res.status(400).json({ error: 'Verification token is required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const userId = await consumeAuthToken(token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ email_verified: true, email_verified_at: new Date().toISOString() })
+      .eq('id', userId);
+
+    if (error) throw error;
+
+    res.json({ message: 'Email verified successfully' });
 
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Server error during email verification' });
+  }
+});
+
+// Resend the verification email (invalidates the previous link)
+router.post('/resend-verification', authenticateToken, audit('user', { action: 'resend_verification', snapshot: false, entityId: currentUserId }), async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, name, email_verified')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', audit('user', { action: 'forgot_password', snapshot: false }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, name')
+      .eq('email', email)
+      .single();
+
+    // Same response either way so the endpoint can't be used to discover accounts
+    if (user) {
+      try {
+        const token = await issueAuthToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+        const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+
+        await notifyUser(user.id, 'password_reset', { resetUrl, ttlMinutes: PASSWORD_RESET_TTL_MINUTES });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error during password reset request' });
+  }
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password', audit('user', { action: 'reset_password', snapshot: false }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const userId = await consumeAuthToken(token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const password_hash = await bcrypt.hash(password, 10);
+
+    const { error } = await supabase
+      .from('users')
+      .update({ password_hash })
+      .eq('id', userId);
+
+    if (error) throw error;
+
+    // Log out everywhere in case the old password was compromised
+    await revokeUserSessions(userId, { reason: 'password_reset' });
+    await clearFailedLogins(userId);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error during password reset' });
+  }
+});
+
+// Change password for the logged in user
+router.post('/change-password', authenticateToken, blockImpersonation, audit('user', { action: 'change_password', snapshot: false, entityId: currentUserId }), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, password_hash')
+      .eq('id', req.user.id)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
+
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const password_hash = await bcrypt.hash(newPassword, 10);
+
+    const { error } = await supabase
+      .from('users')
+      .update({ password_hash })
+      .eq('id', req.user.id);
+
+    if (error) throw error;
+
+    // Keep this session, sign out the others
+    await revokeUserSessions(req.user.id, { reason: 'password_changed', exceptSessionId: req.user.sid });
+
+    res.json({ message: 'Password changed successfully' });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Server error during password change' });
+  }
+});
+
+// Get two-factor status for the logged in user
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('totp_enabled, totp_enabled_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      enabled: user.totp_enabled,
+      enabledAt: user.totp_enabled_at,
+      required: await isTwoFactorRequired(req.user.role),
+      sessionVerified: req.user.mfa,
+      backupCodesRemaining: user.totp_enabled ? await countBackupCodes(req.user.id) : 0
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start 2FA enrolment: returns the secret and otpauth:// URI for the QR code
+router.post('/2fa/setup', authenticateToken, blockImpersonation, audit('user', { action: 'start_2fa_setup', snapshot: false, entityId: currentUserId }), async (req, res) => {
+  try {
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, name, phone, role, location, created_at')
-      .eq('id', decoded.id)
+      .select('id, email, totp_enabled')
+      .eq('id', req.user.id)
       .single();
 
     if (error || !user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await startEnrollment(user);
+
+    res.json(enrollment);
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm enrolment with a code from the app; returns backup codes once
+router.post('/2fa/enable', authenticateToken, blockImpersonation, audit('user', { action: 'enable_2fa', snapshot: false, entityId: currentUserId }), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const backupCodes = await confirmEnrollment(req.user.id, code);
+
+    if (!backupCodes) {
+      return res.status(400).json({ error: 'Invalid code. Check your authenticator app and try again.' });
+    }
+
+    // The code just proved possession of the second factor
+    await markSessionMfaVerified(req.user.sid);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      backupCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Turn 2FA off (needs password and a current code)
+router.post('/2fa/disable', authenticateToken, blockImpersonation, audit('user', { action: 'disable_2fa', snapshot: false, entityId: currentUserId }), async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({ error: 'Password and code are required' });
+    }
+
+    if (await isTwoFactorRequired(req.user.role)) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, password_hash')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    const isValidCode = isValidPassword && await verifySecondFactor(user.id, { code, backupCode });
+
+    if (!isValidCode) {
+      return res.status(401).json({ error: 'Invalid password or code' });
+    }
+
+    await disableTwoFactor(user.id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace backup codes (needs a current code)
+router.post('/2fa/backup-codes', authenticateToken, blockImpersonation, audit('user', { action: 'regenerate_backup_codes', snapshot: false, entityId: currentUserId }), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const isValidCode = await verifySecondFactor(req.user.id, { code });
+
+    if (!isValidCode) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.user.id);
+
+    res.json({
+      message: 'Backup codes regenerated',
+      backupCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate backup codes' });
+  }
+});
+
+// Get current user profile
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, name, phone, role, location, email_verified, totp_enabled, created_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Lets the frontend show an "impersonating" banner
+    if (req.user.impersonator) {
+      return res.json({ user, impersonator: req.user.impersonator });
+    }
+
     res.json({ user });
 
   } catch (error) {
     console.error('Get user error:', error);
-    res.status(401).json({ error: 'Invalid token' });
+    res.status(500).json({ error: 'Failed to fetch user' });
   }
 });
 
@@ -1,11 +1,21 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { supabase } = require('../config/supabase');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize, requireTwoFactor } = require('../middleware/auth');
+const { revokeUserSessions } = require('../services/sessions');
+const { hasPermission } = require('../services/permissions');
+const { generateApiKey } = require('../services/apiKeys');
+const { API_KEY_PERMISSIONS, DEFAULT_API_KEY_SCOPES } = require('../config/permissions');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
+// Cluster users manage their own cluster; clusters:write covers every cluster
+const canManageCluster = (user, clusterId) => user.cluster_id === clusterId || hasPermission(user, 'clusters:write');
+
+const API_KEY_COLUMNS = 'id, cluster_id, name, key_prefix, scopes, last_used_at, last_used_ip, rotated_at, expires_at, revoked_at, created_at';
+
 // Get all clusters
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, authorize('clusters:read'), async (req, res) => {
   try {
     // First get all clusters with manager info
     const { data: clusters, error } = await supabase
@@ -85,7 +95,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get cluster by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, authorize('clusters:read'), async (req, res) => {
   try {
     const { data: cluster, error } = await supabase
       .from('clusters')
@@ -150,9 +160,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create cluster (admin only)
-router.post('/', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.post('/', authenticateToken, authorize('clusters:write'), audit('cluster'), async (req, res) => {
   try {
-    const { name, manager_name, email, password, location, city, province, capacity } = req.body;
+    const { name, manager_name, email, password, location, city, province, district, state, capacity } = req.body;
 
     if (!name || !manager_name || !email || !password || !capacity) {
       return res.status(400).json({ error: 'All required fields must be provided' });
@@ -178,7 +188,17 @@ router.post('/', authenticateToken, authorizeRole('admin'), async (req, res) =>
     // Create cluster first
     const { data: cluster, error: clusterError } = await supabase
       .from('clusters')
-      .insert([{ name, manager_name, location: locationValue, capacity, status: 'Active', utilization: 0 }])
+      .insert([{
+        name,
+        manager_name,
+        location: locationValue,
+        // District and state are matched against client addresses when allocating orders
+        district: district || null,
+        state: state || province || null,
+        capacity,
+        status: 'Active',
+        utilization: 0
+      }])
       .select()
       .single();
 
@@ -225,9 +245,9 @@ router.post('/', authenticateToken, authorizeRole('admin'), async (req, res) =>
 });
 
 // Update cluster
-router.put('/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.put('/:id', authenticateToken, authorize('clusters:write'), audit('cluster', { table: 'clusters' }), async (req, res) => {
   try {
-    const { name, manager_name, location, city, province, manager_id, capacity, utilization, status, email, password } = req.body;
+    const { name, manager_name, location, city, province, district, state, manager_id, capacity, utilization, status, email, password } = req.body;
 
     // Build location from city and province if provided
     const locationValue = location || (city && province ? `${city}, ${province}` : city || province);
@@ -237,6 +257,8 @@ router.put('/:id', authenticateToken, authorizeRole('admin'), async (req, res) =
     if (name !== undefined) updateData.name = name;
     if (manager_name !== undefined) updateData.manager_name = manager_name;
     if (locationValue !== undefined) updateData.location = locationValue;
+    if (district !== undefined) updateData.district = district || null;
+    if (state !== undefined || province !== undefined) updateData.state = state || province || null;
     if (manager_id !== undefined) updateData.manager_id = manager_id;
     if (capacity !== undefined) updateData.capacity = capacity;
     if (utilization !== undefined) updateData.utilization = utilization;
@@ -251,6 +273,8 @@ router.put('/:id', authenticateToken, authorizeRole('admin'), async (req, res) =
         if (password) userUpdate.password_hash = await bcrypt.hash(password, 10);
         const { error: userError } = await supabase.from('users').update(userUpdate).eq('id', cluster.manager_id);
         if (userError) throw userError;
+        // Force the manager to log in again with the new credentials
+        if (password) await revokeUserSessions(cluster.manager_id, { reason: 'password_changed' });
       }
     }
 
@@ -274,7 +298,7 @@ router.put('/:id', authenticateToken, authorizeRole('admin'), async (req, res) =
 });
 
 // Delete cluster (admin only)
-router.delete('/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('clusters:delete'), requireTwoFactor, audit('cluster', { table: 'clusters' }), async (req, res) => {
   try {
     const clusterId = req.params.id;
 
@@ -315,4 +339,136 @@ router.delete('/:id', authenticateToken, authorizeRole('admin'), async (req, res
   }
 });
 
+// Get API keys for a cluster
+router.get('/:id/api-keys', authenticateToken, authorize('api_keys:manage'), async (req, res) => {
+  try {
+    if (!canManageCluster(req.user, req.params.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { data: apiKeys, error } = await supabase
+      .from('api_keys')
+      .select(API_KEY_COLUMNS)
+      .eq('cluster_id', req.params.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Create API key for a cluster (the key is only shown in this response)
+router.post('/:id/api-keys', authenticateToken, authorize('api_keys:manage'), audit('api_key'), async (req, res) => {
+  try {
+    const { name, scopes = DEFAULT_API_KEY_SCOPES, expires_at } = req.body;
+
+    if (!canManageCluster(req.user, req.params.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_PERMISSIONS.includes(scope))) {
+      return res.status(400).json({ error: `Scopes must be one or more of: ${API_KEY_PERMISSIONS.join(', ')}` });
+    }
+
+    const { key, key_prefix, key_hash } = generateApiKey();
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .insert([{
+        cluster_id: req.params.id,
+        name,
+        key_prefix,
+        key_hash,
+        scopes: [...new Set(scopes)],
+        expires_at: expires_at || null,
+        created_by: req.user.id
+      }])
+      .select(API_KEY_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      apiKey,
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Rotate API key: issues a new secret, the old one stops working immediately
+router.post('/:id/api-keys/:keyId/rotate', authenticateToken, authorize('api_keys:manage'), audit('api_key', { table: 'api_keys', idParam: 'keyId', action: 'rotate' }), async (req, res) => {
+  try {
+    if (!canManageCluster(req.user, req.params.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { key, key_prefix, key_hash } = generateApiKey();
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .update({ key_prefix, key_hash, rotated_at: new Date().toISOString() })
+      .eq('id', req.params.keyId)
+      .eq('cluster_id', req.params.id)
+      .is('revoked_at', null)
+      .select(API_KEY_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({
+      message: 'API key rotated. Copy it now, it will not be shown again.',
+      apiKey,
+      key
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+// Revoke API key
+router.delete('/:id/api-keys/:keyId', authenticateToken, authorize('api_keys:manage'), audit('api_key', { table: 'api_keys', idParam: 'keyId', action: 'revoke' }), async (req, res) => {
+  try {
+    if (!canManageCluster(req.user, req.params.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.keyId)
+      .eq('cluster_id', req.params.id)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
 module.exports = router;
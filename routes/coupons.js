@@ -0,0 +1,249 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { normalizeCode, evaluateCoupon, couponErrorMessage } = require('../services/coupons');
+const router = express.Router();
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Fields an admin can set, checked and converted; returns { data } or { error }
+const parseCouponInput = (body, { partial = false } = {}) => {
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (has('code') || !partial) {
+    const code = normalizeCode(body.code);
+    if (!CODE_PATTERN.test(code)) {
+      return { error: 'Code must be 3-50 letters, digits, dashes or underscores' };
+    }
+    data.code = code;
+  }
+
+  if (has('discount_type') || !partial) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      return { error: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    data.discount_type = body.discount_type;
+  }
+
+  if (has('discount_value') || !partial) {
+    const value = parseFloat(body.discount_value);
+    if (!(value > 0)) {
+      return { error: 'Discount value must be greater than 0' };
+    }
+    data.discount_value = value;
+  }
+
+  if (data.discount_type === 'percentage' && data.discount_value > 100) {
+    return { error: 'A percentage discount cannot be more than 100' };
+  }
+
+  for (const field of ['max_discount_amount', 'min_order_amount']) {
+    if (has(field)) {
+      const value = body[field] === null ? null : parseFloat(body[field]);
+      if (value !== null && !(value >= 0)) {
+        return { error: `${field} must be a positive number` };
+      }
+      data[field] = field === 'min_order_amount' ? value || 0 : value;
+    }
+  }
+
+  for (const field of ['max_redemptions', 'max_redemptions_per_user']) {
+    if (has(field)) {
+      if (body[field] !== null && !(Number.isInteger(body[field]) && body[field] > 0)) {
+        return { error: `${field} must be a whole number above 0, or null for unlimited` };
+      }
+      data[field] = body[field];
+    }
+  }
+
+  for (const field of ['product_ids', 'categories']) {
+    if (has(field)) {
+      if (body[field] !== null && !Array.isArray(body[field])) {
+        return { error: `${field} must be a list, or null for everything` };
+      }
+      data[field] = body[field] && body[field].length > 0 ? body[field] : null;
+    }
+  }
+
+  for (const field of ['starts_at', 'ends_at']) {
+    if (has(field)) {
+      if (body[field] !== null && isNaN(new Date(body[field]).getTime())) {
+        return { error: `${field} must be a date` };
+      }
+      data[field] = body[field];
+    }
+  }
+
+  if (data.starts_at && data.ends_at && new Date(data.ends_at) <= new Date(data.starts_at)) {
+    return { error: 'ends_at must be after starts_at' };
+  }
+
+  if (has('description')) data.description = body.description;
+  if (has('is_active')) data.is_active = Boolean(body.is_active);
+
+  return { data };
+};
+
+// Check a coupon against a cart before checkout
+router.post('/validate', authenticateToken, authorize('orders:create'), async (req, res) => {
+  try {
+    const { code, items } = req.body;
+
+    if (!code || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Code and cart items are required' });
+    }
+
+    const result = await evaluateCoupon(code, req.user.id, items);
+
+    if (result.error) {
+      return res.status(400).json({ error: couponErrorMessage(result), couponError: result.reason, valid: false });
+    }
+
+    res.json({
+      valid: true,
+      code: result.code,
+      discount: result.discount_amount,
+      subtotal: result.subtotal,
+      total: Math.round((result.subtotal - result.discount_amount) * 100) / 100
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({ error: 'Failed to check coupon' });
+  }
+});
+
+// Get all coupons with usage (admin only)
+router.get('/', authenticateToken, authorize('coupons:manage'), async (req, res) => {
+  try {
+    const { data: coupons, error } = await supabaseAdmin
+      .from('coupons')
+      .select('*, redemptions:coupon_redemptions(discount_amount, order:orders(status))')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      coupons: coupons.map(({ redemptions, ...coupon }) => {
+        const counted = (redemptions || []).filter(redemption => redemption.order?.status !== 'Cancelled');
+        return {
+          ...coupon,
+          times_used: counted.length,
+          total_discount: counted.reduce((sum, redemption) => sum + parseFloat(redemption.discount_amount || 0), 0)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+});
+
+// Create coupon (admin only)
+router.post('/', authenticateToken, authorize('coupons:manage'), audit('coupon'), async (req, res) => {
+  try {
+    const { data, error: inputError } = parseCouponInput(req.body);
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const { data: coupon, error } = await supabaseAdmin
+      .from('coupons')
+      .insert([{ ...data, created_by: req.user.id }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'A coupon with this code already exists' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+// Update coupon (admin only)
+router.put('/:id', authenticateToken, authorize('coupons:manage'), audit('coupon', { table: 'coupons' }), async (req, res) => {
+  try {
+    const { data, error: inputError } = parseCouponInput(req.body, { partial: true });
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const { data: coupon, error } = await supabaseAdmin
+      .from('coupons')
+      .update(data)
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'A coupon with this code already exists' });
+      }
+      if (error.code === '23514') {
+        return res.status(400).json({ error: 'A percentage discount cannot be more than 100' });
+      }
+      throw error;
+    }
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+// Delete coupon (admin only); coupons that were used are deactivated instead so reports keep them
+router.delete('/:id', authenticateToken, authorize('coupons:manage'), audit('coupon', { table: 'coupons' }), async (req, res) => {
+  try {
+    const { count } = await supabaseAdmin
+      .from('coupon_redemptions')
+      .select('*', { count: 'exact', head: true })
+      .eq('coupon_id', req.params.id);
+
+    if (count > 0) {
+      const { error } = await supabaseAdmin
+        .from('coupons')
+        .update({ is_active: false })
+        .eq('id', req.params.id);
+
+      if (error) throw error;
+
+      return res.json({ message: 'Coupon has been used, so it was deactivated instead of deleted' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('coupons')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({ error: 'Failed to delete coupon' });
+  }
+});
+
+module.exports = router;
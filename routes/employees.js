@@ -1,7 +1,8 @@
 const express = require('express');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -9,7 +10,7 @@ const supabase = createClient(
 );
 
 // Get all employees
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, authorize('employees:read'), async (req, res) => {
   try {
     let query = supabase
       .from('employees')
@@ -19,8 +20,8 @@ router.get('/', authenticateToken, async (req, res) => {
       `)
       .order('created_at', { ascending: false });
 
-    // Filter by cluster for cluster role
-    if (req.user.role === 'cluster' && req.user.cluster_id) {
+    // Cluster-bound accounts only see their own cluster
+    if (req.user.cluster_id) {
       query = query.eq('cluster_id', req.user.cluster_id);
     }
 
@@ -36,7 +37,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get employees by cluster
-router.get('/cluster/:clusterId', authenticateToken, async (req, res) => {
+router.get('/cluster/:clusterId', authenticateToken, authorize('employees:read'), async (req, res) => {
   try {
     const { data: employees, error } = await supabase
       .from('employees')
@@ -54,7 +55,7 @@ router.get('/cluster/:clusterId', authenticateToken, async (req, res) => {
 });
 
 // Create employee (admin only)
-router.post('/', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.post('/', authenticateToken, authorize('employees:write'), audit('employee'), async (req, res) => {
   try {
     const { name, city, role, cluster_id } = req.body;
 
@@ -96,7 +97,7 @@ router.post('/', authenticateToken, authorizeRole('admin'), async (req, res) =>
 });
 
 // Update employee
-router.put('/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.put('/:id', authenticateToken, authorize('employees:write'), audit('employee', { table: 'employees' }), async (req, res) => {
   try {
     const { name, city, role, cluster_id } = req.body;
 
@@ -126,7 +127,7 @@ router.put('/:id', authenticateToken, authorizeRole('admin'), async (req, res) =
 });
 
 // Delete employee
-router.delete('/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('employees:write'), audit('employee', { table: 'employees' }), async (req, res) => {
   try {
     // Get employee to know which cluster to update
     const { data: employee } = await supabase
@@ -165,7 +166,7 @@ router.delete('/:id', authenticateToken, authorizeRole('admin'), async (req, res
 });
 
 // Get HR statistics (admin only)
-router.get('/hr/stats', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/hr/stats', authenticateToken, authorize('hr:read'), async (req, res) => {
   try {
     const { date } = req.query;
     const targetDate = date || new Date().toISOString().split('T')[0];
@@ -241,7 +242,7 @@ router.get('/hr/stats', authenticateToken, authorizeRole('admin'), async (req, r
 });
 
 // Get all employees with attendance info (admin only)
-router.get('/hr/employees', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/hr/employees', authenticateToken, authorize('hr:read'), async (req, res) => {
   try {
     const { cluster_id, date } = req.query;
     const targetDate = date || new Date().toISOString().split('T')[0];
@@ -295,7 +296,7 @@ router.get('/hr/employees', authenticateToken, authorizeRole('admin'), async (re
 });
 
 // Get all clusters for filter (admin only)
-router.get('/hr/clusters', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/hr/clusters', authenticateToken, authorize('hr:read'), async (req, res) => {
   try {
     const { data: clusters, error } = await supabase
       .from('clusters')
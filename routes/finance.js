@@ -1,25 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { withOverdueStatus, filterByInvoiceStatus, voidInvoice } = require('../services/invoices');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// Orders that count towards revenue; partly returned ones count for what was kept
+const REVENUE_STATUSES = ['Delivered', 'Partially Returned'];
+
+const netAmount = (order) => parseFloat(order.amount || 0) - parseFloat(order.returned_amount || 0);
+
 // Get finance statistics (admin only)
-router.get('/stats', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/stats', authenticateToken, authorize('finance:read'), async (req, res) => {
   try {
-    // Get all delivered orders for revenue
+    // Get all delivered orders for revenue, less goods returned from them
     const { data: allOrders, error: ordersError } = await supabase
       .from('orders')
-      .select('amount, created_at')
-      .eq('status', 'Delivered');
+      .select('amount, returned_amount, created_at')
+      .in('status', REVENUE_STATUSES);
 
     if (ordersError) throw ordersError;
 
-    const totalRevenue = allOrders?.reduce((sum, order) => sum + parseFloat(order.amount || 0), 0) || 0;
+    const totalRevenue = allOrders?.reduce((sum, order) => sum + netAmount(order), 0) || 0;
 
     // Calculate this month's revenue
     const now = new Date();
@@ -31,7 +38,7 @@ router.get('/stats', authenticateToken, authorizeRole('admin'), async (req, res)
       return orderDate >= new Date(monthStart) && orderDate <= new Date(monthEnd);
     }) || [];
 
-    const monthRevenue = monthOrders.reduce((sum, order) => sum + parseFloat(order.amount || 0), 0);
+    const monthRevenue = monthOrders.reduce((sum, order) => sum + netAmount(order), 0);
 
     // Calculate expenses (simplified calculation based on production)
     const { data: production, error: prodError } = await supabase
@@ -61,15 +68,48 @@ router.get('/stats', authenticateToken, authorizeRole('admin'), async (req, res)
     // Profit margin
     const profitMargin = totalRevenue > 0 ? (netProfit / totalRevenue) * 100 : 0;
 
-    // Accounts receivable (pending orders)
+    // Accounts receivable (what open orders still owe after returns and refunds)
     const { data: pendingOrders, error: pendingError } = await supabase
       .from('orders')
-      .select('amount')
-      .in('status', ['Pending', 'Processing']);
+      .select('amount, amount_paid, returned_amount, amount_refunded')
+      .neq('payment_status', 'Paid')
+      .not('status', 'in', '(Cancelled,Returned)');
 
     if (pendingError) throw pendingError;
 
-    const accountsReceivable = pendingOrders?.reduce((sum, order) => sum + parseFloat(order.amount || 0), 0) || 0;
+    const accountsReceivable = pendingOrders?.reduce((sum, order) => (
+      sum + Math.max(netAmount(order) - parseFloat(order.amount_paid || 0) + parseFloat(order.amount_refunded || 0), 0)
+    ), 0) || 0;
+
+    // Money actually received
+    const { data: payments, error: paymentsError } = await supabase
+      .from('payments')
+      .select('amount, completed_at')
+      .eq('status', 'succeeded');
+
+    if (paymentsError) throw paymentsError;
+
+    const cashCollected = payments?.reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0) || 0;
+    const monthCashCollected = payments
+      ?.filter(payment => new Date(payment.completed_at) >= new Date(monthStart))
+      .reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0) || 0;
+
+    // Money paid back to customers for returns
+    const { data: refunds, error: refundsError } = await supabase
+      .from('refunds')
+      .select('amount, status, completed_at')
+      .in('status', ['pending', 'completed']);
+
+    if (refundsError) throw refundsError;
+
+    const completedRefunds = refunds?.filter(refund => refund.status === 'completed') || [];
+    const refundsIssued = completedRefunds.reduce((sum, refund) => sum + parseFloat(refund.amount || 0), 0);
+    const monthRefundsIssued = completedRefunds
+      .filter(refund => new Date(refund.completed_at) >= new Date(monthStart))
+      .reduce((sum, refund) => sum + parseFloat(refund.amount || 0), 0);
+    const refundsPending = refunds
+      ?.filter(refund => refund.status === 'pending')
+      .reduce((sum, refund) => sum + parseFloat(refund.amount || 0), 0) || 0;
 
     // Accounts payable (estimated)
     const accountsPayable = totalExpenses * 0.15; // 15% of expenses as payable
@@ -86,6 +126,12 @@ router.get('/stats', authenticateToken, authorizeRole('admin'), async (req, res)
         profitMargin: profitMargin.toFixed(1),
         profitMarginChange: '+2.1%',
         cashFlow: Math.round(netProfit * 0.7),
+        cashCollected: Math.round(cashCollected),
+        monthCashCollected: Math.round(monthCashCollected),
+        refundsIssued: Math.round(refundsIssued),
+        monthRefundsIssued: Math.round(monthRefundsIssued),
+        refundsPending: Math.round(refundsPending),
+        netCashCollected: Math.round(cashCollected - refundsIssued),
         accountsReceivable: Math.round(accountsReceivable),
         pendingCount: pendingOrders?.length || 0,
         accountsPayable: Math.round(accountsPayable)
@@ -98,12 +144,12 @@ router.get('/stats', authenticateToken, authorizeRole('admin'), async (req, res)
 });
 
 // Get revenue trend (admin only)
-router.get('/revenue-trend', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/revenue-trend', authenticateToken, authorize('finance:read'), async (req, res) => {
   try {
     const { data: orders, error } = await supabase
       .from('orders')
-      .select('amount, created_at')
-      .eq('status', 'Delivered')
+      .select('amount, returned_amount, created_at')
+      .in('status', REVENUE_STATUSES)
       .order('created_at', { ascending: true });
 
     if (error) throw error;
@@ -117,7 +163,7 @@ router.get('/revenue-trend', authenticateToken, authorizeRole('admin'), async (r
       if (!monthlyData[monthKey]) {
         monthlyData[monthKey] = 0;
       }
-      monthlyData[monthKey] += parseFloat(order.amount || 0);
+      monthlyData[monthKey] += netAmount(order);
     });
 
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
@@ -141,17 +187,17 @@ router.get('/revenue-trend', authenticateToken, authorizeRole('admin'), async (r
 });
 
 // Get expense breakdown (admin only)
-router.get('/expenses', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/expenses', authenticateToken, authorize('finance:read'), async (req, res) => {
   try {
     // Get total revenue to calculate expenses
     const { data: orders, error } = await supabase
       .from('orders')
-      .select('amount')
-      .eq('status', 'Delivered');
+      .select('amount, returned_amount')
+      .in('status', REVENUE_STATUSES);
 
     if (error) throw error;
 
-    const totalRevenue = orders?.reduce((sum, order) => sum + parseFloat(order.amount || 0), 0) || 0;
+    const totalRevenue = orders?.reduce((sum, order) => sum + netAmount(order), 0) || 0;
 
     // Calculate expense breakdown
     const expenses = [
@@ -168,4 +214,71 @@ router.get('/expenses', authenticateToken, authorizeRole('admin'), async (req, r
   }
 });
 
+// Get invoices (admin only), filter by status, customer and issue date
+router.get('/invoices', authenticateToken, authorize('finance:read'), async (req, res) => {
+  try {
+    const { status, user_id, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    let query = supabase
+      .from('invoices')
+      .select('*, customer:users!invoices_user_id_fkey(id, name, email)')
+      .order('issue_date', { ascending: false })
+      .limit(limit);
+
+    if (status) query = filterByInvoiceStatus(query, status);
+    if (user_id) query = query.eq('user_id', user_id);
+    if (from) query = query.gte('issue_date', from);
+    if (to) query = query.lte('issue_date', to);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const invoices = data.map(withOverdueStatus);
+
+    const outstanding = invoices
+      .filter(invoice => ['Pending', 'Partially Paid', 'Overdue'].includes(invoice.status))
+      .reduce((sum, invoice) => sum + parseFloat(invoice.total || invoice.amount || 0) - parseFloat(invoice.amount_paid || 0), 0);
+
+    res.json({ invoices, outstanding: Math.round(outstanding) });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+// Void an invoice nothing has been paid on (admin only); payments go through /api/payments
+router.patch('/invoices/:id/status', authenticateToken, authorize('invoices:manage'), audit('invoice', { table: 'invoices', action: 'update_status' }), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (status !== 'Void') {
+      return res.status(400).json({ error: 'Invoices can only be set to Void here; payments are recorded through /api/payments' });
+    }
+
+    const result = await voidInvoice(req.params.id);
+
+    if (result.error === 'not_found') {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (result.error === 'has_payments') {
+      return res.status(409).json({ error: 'Invoice has payments; refund or cancel them before voiding it' });
+    }
+
+    if (result.error) {
+      return res.status(409).json({ error: `Invoice is ${result.status}`, currentStatus: result.status });
+    }
+
+    res.json({
+      message: 'Invoice status updated successfully',
+      invoice: result.invoice
+    });
+  } catch (error) {
+    console.error('Update invoice status error:', error);
+    res.status(500).json({ error: 'Failed to update invoice status' });
+  }
+});
+
 module.exports = router;
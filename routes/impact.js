@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -9,7 +9,7 @@ const supabase = createClient(
 );
 
 // Get impact statistics (admin only)
-router.get('/stats', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/stats', authenticateToken, authorize('impact:read'), async (req, res) => {
   try {
     // Get total production quantity (waste processed)
     const { data: production, error: prodError } = await supabase
@@ -88,7 +88,7 @@ router.get('/stats', authenticateToken, authorizeRole('admin'), async (req, res)
 });
 
 // Get environmental impact trend (admin only)
-router.get('/trend', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/trend', authenticateToken, authorize('impact:read'), async (req, res) => {
   try {
     const { data: production, error } = await supabase
       .from('production')
@@ -1,10 +1,11 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
 // Get all materials (filtered by cluster for cluster users)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, authorize('materials:read'), async (req, res) => {
   try {
     let query = supabase
       .from('materials')
@@ -14,8 +15,8 @@ router.get('/', authenticateToken, async (req, res) => {
       `)
       .order('created_at', { ascending: false });
 
-    // Filter by cluster for cluster role
-    if (req.user.role === 'cluster' && req.user.cluster_id) {
+    // Cluster-bound accounts only see their own cluster
+    if (req.user.cluster_id) {
       query = query.eq('cluster_id', req.user.cluster_id);
     }
 
@@ -31,7 +32,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Create material (cluster role only)
-router.post('/', authenticateToken, authorizeRole('cluster'), async (req, res) => {
+router.post('/', authenticateToken, authorize('materials:write'), audit('material'), async (req, res) => {
   try {
     const { name, quantity, unit, quality, supplier, cost_per_unit } = req.body;
 
@@ -72,7 +73,7 @@ router.post('/', authenticateToken, authorizeRole('cluster'), async (req, res) =
 });
 
 // Update material
-router.put('/:id', authenticateToken, authorizeRole('cluster'), async (req, res) => {
+router.put('/:id', authenticateToken, authorize('materials:write'), audit('material', { table: 'materials' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, quantity, unit, quality, supplier, cost_per_unit } = req.body;
@@ -118,7 +119,7 @@ router.put('/:id', authenticateToken, authorizeRole('cluster'), async (req, res)
 });
 
 // Delete material
-router.delete('/:id', authenticateToken, authorizeRole('cluster'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('materials:write'), audit('material', { table: 'materials' }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,139 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { hasPermission } = require('../services/permissions');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS } = require('../config/notifications');
+const {
+  processOutbox,
+  retryNotification,
+  getPreferences,
+  setPreferences,
+  notificationFailure
+} = require('../services/notifications');
+const router = express.Router();
+
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Get the signed-in user's channels per event
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      channels: NOTIFICATION_CHANNELS,
+      preferences: await getPreferences(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Change the signed-in user's channels for some events
+router.put('/preferences', authenticateToken, audit('notification_preferences', { action: 'update', entityId: req => req.user.id, snapshot: false }), async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    if (!Array.isArray(preferences) || preferences.length === 0) {
+      return res.status(400).json({ error: 'Preferences are required' });
+    }
+
+    const result = await setPreferences(req.user.id, preferences);
+
+    if (result.error) {
+      const failure = notificationFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences: result.preferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// Get outbox messages (own, or all with notifications:manage), newest first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, channel, event, user_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const offset = (page - 1) * limit;
+
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${NOTIFICATION_STATUSES.join(', ')}` });
+    }
+
+    let query = supabaseAdmin
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (hasPermission(req.user, 'notifications:manage')) {
+      if (user_id) query = query.eq('user_id', user_id);
+    } else {
+      query = query.eq('user_id', req.user.id);
+    }
+
+    if (status) query = query.eq('status', status);
+    if (channel) query = query.eq('channel', channel);
+    if (event) query = query.eq('event', event);
+
+    const { data: notifications, count, error } = await query;
+
+    if (error) throw error;
+
+    // Messages with sign-in links are listed without their text, even before they're sent
+    res.json({
+      notifications: notifications.map(({ body, ...notification }) => (
+        NOTIFICATION_EVENTS[notification.event]?.secret ? notification : { ...notification, body }
+      )),
+      total: count,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Send due messages now instead of waiting for the scheduler (admin)
+router.post('/process', authenticateToken, authorize('notifications:manage'), audit('notification', { action: 'process', snapshot: false }), async (req, res) => {
+  try {
+    const summary = await processOutbox();
+
+    res.json({
+      message: 'Notification outbox processed',
+      summary
+    });
+  } catch (error) {
+    console.error('Process notifications error:', error);
+    res.status(500).json({ error: 'Failed to process notifications' });
+  }
+});
+
+// Queue a failed message again (admin)
+router.post('/:id/retry', authenticateToken, authorize('notifications:manage'), audit('notification', { action: 'retry', snapshot: false }), async (req, res) => {
+  try {
+    const result = await retryNotification(req.params.id);
+
+    if (result.error) {
+      const failure = notificationFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: 'Notification queued again',
+      notification: result.notification
+    });
+  } catch (error) {
+    console.error('Retry notification error:', error);
+    res.status(500).json({ error: 'Failed to retry notification' });
+  }
+});
+
+module.exports = router;
@@ -1,56 +1,172 @@
 const express = require('express');
 const { supabase, supabaseAdmin } = require('../config/supabase');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize, authorizeAny } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { checkoutBlocker, placeOrder, quoteOrder, checkoutFailure } = require('../services/checkout');
+const { transitionOrder, cancelOrder, transitionFailure, getOrderHistory } = require('../services/orderStatus');
+const { createInvoiceForOrder, getInvoiceForOrder } = require('../services/invoices');
+const { assignOrderItems, autoAllocateOrder, updateFulfilmentStatus, fulfilmentFailure } = require('../services/fulfilment');
+const { getOrderShipments } = require('../services/shipments');
+const { manualTransitions } = require('../config/orderStatus');
+const { writeInvoicePdf } = require('../utils/invoicePdf');
+const { audit } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
 const router = express.Router();
 
-// Get all orders (with filters and items)
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    let query = supabaseAdmin
-      .from('orders')
+// Orders that have been confirmed and so should have an invoice
+const INVOICED_STATUSES = ['Processing', 'Shipped', 'Delivered', 'Partially Returned', 'Returned'];
+
+// Columns GET /api/orders can be sorted by
+const ORDER_SORT_COLUMNS = ['created_at', 'amount', 'status', 'delivery_date'];
+
+// User input for a LIKE pattern, without wildcards or characters that break PostgREST filters
+const likeTerm = (value) => String(value).replace(/[%*\\,()"]/g, ' ').trim();
+
+// Cluster-bound users with orders:read_cluster see only the orders allocated to their cluster;
+// returns that cluster's id, or null for everyone else
+const clusterScope = (user) => (
+  !hasPermission(user, 'orders:read_all') && hasPermission(user, 'orders:read_cluster') && user.cluster_id
+    ? user.cluster_id
+    : null
+);
+
+// Attach items, fulfilments and the client's delivery profile to orders, loaded in three queries for the
+// whole list. With clusterId only that cluster's items and fulfilment are included.
+const withItemsAndProfiles = async (orders, { clusterId = null } = {}) => {
+  if (orders.length === 0) return [];
+
+  const userIds = [...new Set(orders.map(order => order.user_id).filter(Boolean))];
+
+  const [
+    { data: items, error: itemsError },
+    { data: profiles, error: profilesError },
+    { data: fulfilments, error: fulfilmentsError }
+  ] = await Promise.all([
+    supabaseAdmin
+      .from('order_items')
       .select(`
         *,
-        user:users(id, name, email),
-        product:products(id, name, price)
+        product:products(id, name, price, category)
       `)
-      .order('created_at', { ascending: false});
+      .in('order_id', orders.map(order => order.id)),
+    supabaseAdmin
+      .from('client_profiles')
+      .select('user_id, phone, city, district, state, address_line')
+      .in('user_id', userIds),
+    supabaseAdmin
+      .from('order_fulfilments')
+      .select('*, cluster:clusters(id, name, district, state)')
+      .in('order_id', orders.map(order => order.id))
+  ]);
+
+  if (itemsError) throw itemsError;
+  if (profilesError) throw profilesError;
+  if (fulfilmentsError) throw fulfilmentsError;
+
+  const inScope = (row) => !clusterId || row.cluster_id === clusterId;
+
+  const itemsByOrder = {};
+  items.filter(inScope).forEach(item => {
+    (itemsByOrder[item.order_id] = itemsByOrder[item.order_id] || []).push(item);
+  });
+
+  const fulfilmentsByOrder = {};
+  fulfilments.filter(inScope).forEach(fulfilment => {
+    (fulfilmentsByOrder[fulfilment.order_id] = fulfilmentsByOrder[fulfilment.order_id] || []).push(fulfilment);
+  });
+
+  const profilesByUser = {};
+  profiles.forEach(({ user_id, ...profile }) => {
+    profilesByUser[user_id] = profile;
+  });
+
+  return orders.map(order => ({
+    ...order,
+    items: itemsByOrder[order.id] || [],
+    fulfilments: fulfilmentsByOrder[order.id] || [],
+    profile: profilesByUser[order.user_id] || null
+  }));
+};
+
+// Get orders (filtered by role), a page at a time
+// Filters: status (comma-separated), from/to (created_at), user_id, product_id, city, q (client name or email),
+// cluster_id, allocation=unallocated (orders with items not yet allocated to a cluster)
+// Sort: sort=created_at|amount|status|delivery_date, order=asc|desc
+router.get('/', authenticateToken, authorizeAny('orders:read', 'orders:read_cluster'), async (req, res) => {
+  try {
+    const { status, from, to, user_id, product_id, city, q, allocation } = req.query;
+    const scopedClusterId = clusterScope(req.user);
+    const clusterId = scopedClusterId || (hasPermission(req.user, 'orders:read_all') ? req.query.cluster_id : null);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const offset = (page - 1) * limit;
+    const sort = ORDER_SORT_COLUMNS.includes(req.query.sort) ? req.query.sort : 'created_at';
+    const ascending = req.query.order === 'asc';
+
+    const embeds = ['user:users!orders_user_id_fkey(id, name, email)', 'product:products(id, name, price)'];
+
+    // Filtering on product goes through the order's items, so only orders containing it are returned
+    if (product_id) embeds.push('matched_items:order_items!inner(product_id)');
+    if (clusterId) embeds.push('cluster_fulfilments:order_fulfilments!inner(cluster_id)');
+    if (allocation === 'unallocated') embeds.push('unallocated_items:order_items!inner(cluster_id)');
 
-    // Filter by user role
-    if (req.user.role === 'client') {
+    let query = supabaseAdmin
+      .from('orders')
+      .select(`*, ${embeds.join(', ')}`, { count: 'exact' })
+      .order(sort, { ascending })
+      .order('id', { ascending })
+      .range(offset, offset + limit - 1);
+
+    // Without orders:read_all users only see their own orders, or their cluster's
+    if (hasPermission(req.user, 'orders:read_all')) {
+      if (user_id) query = query.eq('user_id', user_id);
+    } else if (!scopedClusterId) {
       query = query.eq('user_id', req.user.id);
     }
 
-    const { data: orders, error } = await query;
+    if (clusterId) query = query.eq('cluster_fulfilments.cluster_id', clusterId);
+    if (allocation === 'unallocated') query = query.is('unallocated_items.cluster_id', null);
+
+    if (status) query = query.in('status', String(status).split(',').map(value => value.trim()));
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+    if (product_id) query = query.eq('matched_items.product_id', product_id);
+
+    // City and client search match on profiles/users first, then on the orders of those clients
+    if (city) {
+      const { data: profiles, error: profileError } = await supabaseAdmin
+        .from('client_profiles')
+        .select('user_id')
+        .ilike('city', likeTerm(city));
+
+      if (profileError) throw profileError;
+      query = query.in('user_id', profiles.map(profile => profile.user_id));
+    }
+
+    if (q) {
+      const term = `%${likeTerm(q)}%`;
+      const { data: users, error: userError } = await supabaseAdmin
+        .from('users')
+        .select('id')
+        .or(`name.ilike.${term},email.ilike.${term}`);
+
+      if (userError) throw userError;
+      query = query.in('user_id', users.map(user => user.id));
+    }
+
+    const { data: orders, count, error } = await query;
 
     if (error) throw error;
 
-    // Fetch order items for each order
-    const ordersWithItems = await Promise.all(
-      (orders || []).map(async (order) => {
-        const { data: items } = await supabaseAdmin
-          .from('order_items')
-          .select(`
-            *,
-            product:products(id, name, price, category)
-          `)
-          .eq('order_id', order.id);
-
-        // Fetch client profile
-        const { data: profile } = await supabaseAdmin
-          .from('client_profiles')
-          .select('phone, city, district, state, address_line')
-          .eq('user_id', order.user_id)
-          .single();
-
-        return {
-          ...order,
-          items: items || [],
-          profile: profile || null
-        };
-      })
-    );
-
-    res.json({ orders: ordersWithItems });
+    res.json({
+      orders: await withItemsAndProfiles(
+        orders.map(({ matched_items, cluster_fulfilments, unallocated_items, ...order }) => order),
+        { clusterId: scopedClusterId }
+      ),
+      total: count,
+      page,
+      limit
+    });
   } catch (error) {
     console.error('Get orders error:', error);
     res.status(500).json({ error: 'Failed to fetch orders' });
@@ -58,13 +174,13 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get single order
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, authorizeAny('orders:read', 'orders:read_cluster'), async (req, res) => {
   try {
     const { data: order, error } = await supabaseAdmin
       .from('orders')
       .select(`
         *,
-        user:users(id, name, email),
+        user:users!orders_user_id_fkey(id, name, email),
         product:products(id, name, price)
       `)
       .eq('id', req.params.id)
@@ -76,34 +192,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Clients can only see their own orders
-    if (req.user.role === 'client' && order.user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const scopedClusterId = clusterScope(req.user);
+    const [orderWithDetails] = await withItemsAndProfiles([order], { clusterId: scopedClusterId });
 
-    // Fetch order items
-    const { data: items } = await supabaseAdmin
-      .from('order_items')
-      .select(`
-        *,
-        product:products(id, name, price, category)
-      `)
-      .eq('order_id', order.id);
+    // Without orders:read_all users can only see their own orders, or those allocated to their cluster
+    const allowed = hasPermission(req.user, 'orders:read_all')
+      || (scopedClusterId ? orderWithDetails.fulfilments.length > 0 : order.user_id === req.user.id);
 
-    // Fetch client profile
-    const { data: profile } = await supabaseAdmin
-      .from('client_profiles')
-      .select('phone, city, district, state, address_line')
-      .eq('user_id', order.user_id)
-      .single();
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    res.json({ 
-      order: {
-        ...order,
-        items: items || [],
-        profile: profile || null
-      }
-    });
+    res.json({ order: orderWithDetails });
   } catch (error) {
     console.error('Get order error:', error);
     res.status(500).json({ error: 'Failed to fetch order' });
@@ -111,212 +211,375 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create new order with multiple products
-router.post('/cart', authenticateToken, async (req, res) => {
+router.post('/cart', authenticateToken, authorize('orders:create'), idempotent(), audit('order'), async (req, res) => {
   try {
-    const { items, delivery_date } = req.body;
+    const { items, delivery_date, coupon_code } = req.body;
 
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ error: 'Cart items are required' });
     }
 
-    // Check if client profile is complete
-    const { data: profile } = await supabaseAdmin
-      .from('client_profiles')
-      .select('phone, city, district, state, address_line')
-      .eq('user_id', req.user.id)
-      .single();
+    if (items.some(item => !item || !item.product_id || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0)) {
+      return res.status(400).json({ error: 'Invalid product or quantity' });
+    }
 
-    if (!profile || !profile.phone || !profile.city || !profile.district || !profile.state || !profile.address_line) {
-      return res.status(400).json({ 
-        error: 'Please complete your profile before placing an order',
-        profileIncomplete: true
-      });
+    // Email verified and profile complete
+    const blocker = await checkoutBlocker(req.user.id);
+    if (blocker) {
+      return res.status(blocker.status).json(blocker.body);
     }
 
-    // Validate all products and check stock
-    let totalAmount = 0;
-    const productDetails = [];
+    // Stock is checked and reserved, the coupon redeemed and tax/delivery worked out in the same transaction as the order insert
+    const result = await placeOrder(req.user.id, items, { deliveryDate: delivery_date, couponCode: coupon_code });
 
-    for (const item of items) {
-      const { product_id, quantity } = item;
+    if (result.error) {
+      const failure = checkoutFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
 
-      if (!product_id || !quantity || quantity <= 0) {
-        return res.status(400).json({ error: 'Invalid product or quantity' });
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order: {
+        ...result.order,
+        items: result.items
       }
+    });
+  } catch (error) {
+    console.error('Create cart order error:', error);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
 
-      // Get product details
-      const { data: product, error: productError } = await supabaseAdmin
-        .from('products')
-        .select('id, name, price, stock')
-        .eq('id', product_id)
-        .single();
+// Preview the totals for a cart (subtotal, discount, tax, delivery) without placing the order
+router.post('/quote', authenticateToken, authorize('orders:create'), async (req, res) => {
+  try {
+    const { items, coupon_code, state, district } = req.body;
 
-      if (productError || !product) {
-        return res.status(404).json({ error: `Product not found: ${product_id}` });
-      }
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Cart items are required' });
+    }
 
-      // Check stock
-      if (product.stock < quantity) {
-        return res.status(400).json({ 
-          error: `Insufficient stock for ${product.name}. Available: ${product.stock}` 
-        });
-      }
+    if (items.some(item => !item || !item.product_id || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0)) {
+      return res.status(400).json({ error: 'Invalid product or quantity' });
+    }
 
-      const itemTotal = product.price * quantity;
-      totalAmount += itemTotal;
+    const result = await quoteOrder(req.user.id, items, { couponCode: coupon_code, state, district });
 
-      productDetails.push({
-        product_id: product.id,
-        product_name: product.name,
-        quantity,
-        unit_price: product.price,
-        total_price: itemTotal,
-        current_stock: product.stock
-      });
+    if (result.error) {
+      const failure = checkoutFailure(result);
+      return res.status(failure.status).json(failure.body);
     }
 
-    // Create main order
-    const { data: order, error: orderError } = await supabaseAdmin
-      .from('orders')
-      .insert([{
-        user_id: req.user.id,
-        product_id: productDetails[0].product_id, // First product for reference
-        quantity: productDetails.reduce((sum, item) => sum + item.quantity, 0), // Total quantity
-        amount: totalAmount,
-        delivery_date,
-        status: 'Pending'
-      }])
-      .select()
-      .single();
+    res.json({ quote: result });
+  } catch (error) {
+    console.error('Quote order error:', error);
+    res.status(500).json({ error: 'Failed to calculate order total' });
+  }
+});
 
-    if (orderError) throw orderError;
+// Create new order (old single product method - keep for backward compatibility)
+router.post('/', authenticateToken, authorize('orders:create'), idempotent(), audit('order'), async (req, res) => {
+  try {
+    const { product_id, quantity, delivery_date } = req.body;
 
-    // Create order items for each product
-    const orderItems = productDetails.map(item => ({
-      order_id: order.id,
-      product_id: item.product_id,
-      quantity: item.quantity,
-      unit_price: item.unit_price,
-      total_price: item.total_price
-    }));
+    if (!product_id || !quantity) {
+      return res.status(400).json({ error: 'Product and quantity are required' });
+    }
 
-    const { error: itemsError } = await supabaseAdmin
-      .from('order_items')
-      .insert(orderItems);
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+      return res.status(400).json({ error: 'Invalid product or quantity' });
+    }
 
-    if (itemsError) throw itemsError;
+    // Check if email is verified
+    const blocker = await checkoutBlocker(req.user.id, { requireProfile: false });
+    if (blocker) {
+      return res.status(blocker.status).json(blocker.body);
+    }
+
+    const result = await placeOrder(req.user.id, [{ product_id, quantity }], { deliveryDate: delivery_date });
 
-    // Update stock for each product
-    for (const item of productDetails) {
-      await supabaseAdmin
-        .from('products')
-        .update({ stock: item.current_stock - item.quantity })
-        .eq('id', item.product_id);
+    if (result.error) {
+      const failure = checkoutFailure(result);
+      return res.status(failure.status).json(failure.body);
     }
 
     res.status(201).json({
       message: 'Order placed successfully',
-      order: {
-        ...order,
-        items: orderItems
-      }
+      order: result.order
     });
   } catch (error) {
-    console.error('Create cart order error:', error);
+    console.error('Create order error:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
 });
 
-// Create new order (old single product method - keep for backward compatibility)
-router.post('/', authenticateToken, async (req, res) => {
+// Update order status (admin only)
+router.patch('/:id/status', authenticateToken, authorize('orders:update_status'), audit('order', { table: 'orders', action: 'update_status' }), async (req, res) => {
   try {
-    const { product_id, quantity, delivery_date } = req.body;
+    const { status, note } = req.body;
 
-    if (!product_id || !quantity) {
-      return res.status(400).json({ error: 'Product and quantity are required' });
+    if (!status) {
+      return res.status(400).json({ error: 'Status is required' });
     }
 
-    // Get product details
-    const { data: product, error: productError } = await supabase
-      .from('products')
-      .select('price, stock')
-      .eq('id', product_id)
-      .single();
+    const result = await transitionOrder(req.params.id, status, { user: req.user, note });
 
-    if (productError || !product) {
-      return res.status(404).json({ error: 'Product not found' });
+    if (result.error) {
+      const failure = transitionFailure(result, status);
+      return res.status(failure.status).json(failure.body);
     }
 
-    // Check stock
-    if (product.stock < quantity) {
-      return res.status(400).json({ error: 'Insufficient stock' });
+    res.json({
+      message: 'Order status updated successfully',
+      order: result.order
+    });
+  } catch (error) {
+    console.error('Update order error:', error);
+    res.status(500).json({ error: 'Failed to update order' });
+  }
+});
+
+// Cancel an order before it ships; stock goes back and the order is kept for reporting
+router.post('/:id/cancel', authenticateToken, authorize('orders:cancel'), audit('order', { table: 'orders', action: 'cancel' }), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A reason for cancelling is required' });
     }
 
-    // Calculate amount
-    const amount = product.price * quantity;
+    // Staff who can change any order's status may cancel any order; everyone else only their own
+    const ownerId = hasPermission(req.user, 'orders:update_status') ? null : req.user.id;
 
-    // Create order
-    const { data: order, error } = await supabase
-      .from('orders')
-      .insert([{
-        user_id: req.user.id,
-        product_id,
-        quantity,
-        amount,
-        delivery_date,
-        status: 'Pending'
-      }])
-      .select()
-      .single();
+    const result = await cancelOrder(req.params.id, {
+      user: req.user,
+      reason: String(reason).trim(),
+      ownerId
+    });
 
-    if (error) throw error;
+    if (result.error) {
+      const failure = transitionFailure(result, 'Cancelled');
+      return res.status(failure.status).json(failure.body);
+    }
 
-    // Update product stock
-    await supabase
-      .from('products')
-      .update({ stock: product.stock - quantity })
-      .eq('id', product_id);
+    res.json({
+      message: result.refund ? 'Order cancelled. The amount paid will be refunded.' : 'Order cancelled successfully',
+      order: result.order,
+      refund: result.refund
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
 
-    res.status(201).json({
-      message: 'Order placed successfully',
-      order
+// Allocate an order to fulfilling clusters (admin only): { auto: true } by stock and distance to the
+// client, { cluster_id } for the whole order, or { items: [{ order_item_id, cluster_id }] } per line
+router.post('/:id/allocate', authenticateToken, authorize('orders:allocate'), audit('order', { table: 'orders', action: 'allocate', snapshot: false }), async (req, res) => {
+  try {
+    const { auto, cluster_id, items } = req.body;
+    let result;
+
+    if (auto) {
+      result = await autoAllocateOrder(req.params.id, { user: req.user });
+    } else {
+      let assignments = items;
+
+      if (cluster_id) {
+        const { data: orderItems, error } = await supabaseAdmin
+          .from('order_items')
+          .select('id')
+          .eq('order_id', req.params.id);
+
+        if (error) throw error;
+        assignments = orderItems.map(item => ({ order_item_id: item.id, cluster_id }));
+      }
+
+      if (!Array.isArray(assignments) || assignments.length === 0) {
+        return res.status(400).json({ error: 'Set auto, a cluster_id for the whole order, or items to allocate' });
+      }
+
+      if (assignments.some(item => !item || !item.order_item_id)) {
+        return res.status(400).json({ error: 'Each item needs an order_item_id' });
+      }
+
+      result = await assignOrderItems(
+        req.params.id,
+        assignments.map(({ order_item_id, cluster_id: clusterId }) => ({ order_item_id, cluster_id: clusterId || null })),
+        { user: req.user }
+      );
+    }
+
+    if (result.error) {
+      const failure = fulfilmentFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: result.unallocated?.length
+        ? `Order partly allocated; ${result.unallocated.length} item(s) still need a cluster`
+        : 'Order allocated successfully',
+      ...result
     });
   } catch (error) {
-    console.error('Create order error:', error);
-    res.status(500).json({ error: 'Failed to create order' });
+    console.error('Allocate order error:', error);
+    res.status(500).json({ error: 'Failed to allocate order' });
   }
 });
 
-// Update order status (admin only)
-router.patch('/:id/status', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Update a cluster's packing/dispatch status for an order: Allocated → Packing → Packed → Dispatched
+// (cluster accounts only for their own cluster, staff with orders:allocate for any)
+router.patch('/:id/fulfilments/:clusterId', authenticateToken, authorize('fulfilments:update'), audit('fulfilment', { entityId: (req, body) => body?.fulfilment?.id, action: 'update_status' }), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note } = req.body;
 
     if (!status) {
       return res.status(400).json({ error: 'Status is required' });
     }
 
-    const { data: order, error } = await supabase
+    // Staff who allocate orders can update any cluster; everyone else only their own
+    if (!hasPermission(req.user, 'orders:allocate') && req.user.cluster_id !== req.params.clusterId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await updateFulfilmentStatus(req.params.id, req.params.clusterId, status, { note });
+
+    if (result.error) {
+      const failure = fulfilmentFailure(result, status);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: 'Fulfilment status updated successfully',
+      fulfilment: result.fulfilment
+    });
+  } catch (error) {
+    console.error('Update fulfilment error:', error);
+    res.status(500).json({ error: 'Failed to update fulfilment' });
+  }
+});
+
+// Download the invoice for an order as PDF (?format=json for the data)
+router.get('/:id/invoice', authenticateToken, authorize('orders:read'), async (req, res) => {
+  try {
+    const { data: order, error } = await supabaseAdmin
       .from('orders')
-      .update({ status })
+      .select('id, user_id, status, user:users!orders_user_id_fkey(id, name, email)')
       .eq('id', req.params.id)
-      .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Without orders:read_all users can only see their own orders
+    if (!hasPermission(req.user, 'orders:read_all') && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    let invoice = await getInvoiceForOrder(order.id);
+
+    // Orders confirmed before invoicing existed get theirs on first request
+    if (!invoice && INVOICED_STATUSES.includes(order.status)) {
+      await createInvoiceForOrder(order.id);
+      invoice = await getInvoiceForOrder(order.id);
+    }
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'No invoice yet. Invoices are issued once the order is confirmed.' });
+    }
+
+    if (req.query.format === 'json') {
+      return res.json({ invoice });
+    }
+
+    const { data: profile } = await supabaseAdmin
+      .from('client_profiles')
+      .select('phone, city, district, state, address_line')
+      .eq('user_id', order.user_id)
+      .maybeSingle();
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+    writeInvoicePdf(invoice, { customer: order.user, profile }, res);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Failed to fetch invoice' });
+  }
+});
+
+// Get status history for an order
+router.get('/:id/history', authenticateToken, authorize('orders:read'), async (req, res) => {
+  try {
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select('id, user_id, status, created_at')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Without orders:read_all users can only see their own orders
+    if (!hasPermission(req.user, 'orders:read_all') && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const history = await getOrderHistory(order.id);
+
     res.json({
-      message: 'Order status updated successfully',
-      order
+      orderId: order.id,
+      status: order.status,
+      placedAt: order.created_at,
+      allowedStatuses: manualTransitions(order.status),
+      history
     });
   } catch (error) {
-    console.error('Update order error:', error);
-    res.status(500).json({ error: 'Failed to update order' });
+    console.error('Get order history error:', error);
+    res.status(500).json({ error: 'Failed to fetch order history' });
+  }
+});
+
+// Get shipment tracking for an order
+router.get('/:id/tracking', authenticateToken, authorize('orders:read'), async (req, res) => {
+  try {
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select('id, user_id, status')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Without orders:read_all users can only see their own orders
+    if (!hasPermission(req.user, 'orders:read_all') && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const shipments = await getOrderShipments(order.id);
+
+    res.json({
+      orderId: order.id,
+      status: order.status,
+      shipments
+    });
+  } catch (error) {
+    console.error('Get order tracking error:', error);
+    res.status(500).json({ error: 'Failed to fetch tracking' });
   }
 });
 
 // Delete order (admin only)
-router.delete('/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('orders:delete'), audit('order', { table: 'orders' }), async (req, res) => {
   try {
     const { error } = await supabase
       .from('orders')
@@ -333,7 +596,7 @@ router.delete('/:id', authenticateToken, authorizeRole('admin'), async (req, res
 });
 
 // Get sales statistics (admin only)
-router.get('/sales/stats', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/sales/stats', authenticateToken, authorize('sales:read'), async (req, res) => {
   try {
     // Get current month date range
     const now = new Date();
@@ -344,13 +607,13 @@ router.get('/sales/stats', authenticateToken, authorizeRole('admin'), async (req
     const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1).toISOString();
     const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59).toISOString();
 
-    // Total sales (all delivered orders)
+    // Total sales (all delivered orders, less goods returned from them)
     const { data: allOrders } = await supabase
       .from('orders')
-      .select('amount')
-      .eq('status', 'Delivered');
+      .select('amount, returned_amount')
+      .in('status', ['Delivered', 'Partially Returned']);
 
-    const totalSales = allOrders?.reduce((sum, order) => sum + parseFloat(order.amount || 0), 0) || 0;
+    const totalSales = allOrders?.reduce((sum, order) => sum + parseFloat(order.amount || 0) - parseFloat(order.returned_amount || 0), 0) || 0;
 
     // This month's orders
     const { data: monthOrders } = await supabase
@@ -415,6 +678,34 @@ router.get('/sales/stats', authenticateToken, authorizeRole('admin'), async (req
       conversionChange = 100;
     }
 
+    // Coupon usage this month (cancelled orders don't count)
+    const { data: redemptions } = await supabase
+      .from('coupon_redemptions')
+      .select('discount_amount, coupon:coupons(code), order:orders!inner(status)')
+      .neq('order.status', 'Cancelled')
+      .gte('created_at', monthStart)
+      .lte('created_at', monthEnd);
+
+    const couponUsage = {};
+    redemptions?.forEach(redemption => {
+      const code = redemption.coupon?.code || 'Deleted coupon';
+      couponUsage[code] = couponUsage[code] || { code, orders: 0, discount: 0 };
+      couponUsage[code].orders += 1;
+      couponUsage[code].discount += parseFloat(redemption.discount_amount || 0);
+    });
+
+    const couponDiscount = redemptions?.reduce((sum, redemption) => sum + parseFloat(redemption.discount_amount || 0), 0) || 0;
+
+    // Returns approved this month
+    const { data: monthReturns } = await supabase
+      .from('return_requests')
+      .select('credit_amount')
+      .in('status', ['Approved', 'Refunded'])
+      .gte('reviewed_at', monthStart)
+      .lte('reviewed_at', monthEnd);
+
+    const returnedValue = monthReturns?.reduce((sum, returnRequest) => sum + parseFloat(returnRequest.credit_amount || 0), 0) || 0;
+
     res.json({
       stats: {
         totalSales: Math.round(totalSales),
@@ -424,7 +715,15 @@ router.get('/sales/stats', authenticateToken, authorizeRole('admin'), async (req
         avgOrderValue,
         avgChange: `${avgChange >= 0 ? '+' : ''}${avgChange}%`,
         conversionRate: `${conversionRate}%`,
-        conversionChange: `${conversionChange >= 0 ? '+' : ''}${conversionChange}%`
+        conversionChange: `${conversionChange >= 0 ? '+' : ''}${conversionChange}%`,
+        couponOrdersThisMonth: redemptions?.length || 0,
+        couponDiscountThisMonth: Math.round(couponDiscount),
+        topCoupons: Object.values(couponUsage)
+          .sort((a, b) => b.orders - a.orders)
+          .slice(0, 5)
+          .map(coupon => ({ ...coupon, discount: Math.round(coupon.discount) })),
+        returnsThisMonth: monthReturns?.length || 0,
+        returnedValueThisMonth: Math.round(returnedValue)
       }
     });
   } catch (error) {
@@ -434,7 +733,7 @@ router.get('/sales/stats', authenticateToken, authorizeRole('admin'), async (req
 });
 
 // Get monthly sales trend (admin only)
-router.get('/sales/monthly-trend', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/sales/monthly-trend', authenticateToken, authorize('sales:read'), async (req, res) => {
   try {
     const { data: orders } = await supabase
       .from('orders')
@@ -475,7 +774,7 @@ router.get('/sales/monthly-trend', authenticateToken, authorizeRole('admin'), as
 });
 
 // Get top selling products (admin only)
-router.get('/sales/top-products', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/sales/top-products', authenticateToken, authorize('sales:read'), async (req, res) => {
   try {
     const { data: orders } = await supabase
       .from('orders')
@@ -508,7 +807,7 @@ router.get('/sales/top-products', authenticateToken, authorizeRole('admin'), asy
 });
 
 // Get sales by category (admin only)
-router.get('/sales/by-category', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/sales/by-category', authenticateToken, authorize('sales:read'), async (req, res) => {
   try {
     const { data: orders } = await supabase
       .from('orders')
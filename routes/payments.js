@@ -0,0 +1,279 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { hasPermission } = require('../services/permissions');
+const {
+  PAYMENT_METHODS,
+  activeProviderName,
+  mockPaymentsEnabled,
+  onlinePaymentsAvailable,
+  buildMockWebhook,
+  getOutstandingAmount,
+  getPendingAmount,
+  createPaymentIntent,
+  settlePayment,
+  handleWebhook
+} = require('../services/payments');
+const router = express.Router();
+
+// Orders that can't take payments any more
+const UNPAYABLE_STATUSES = ['Cancelled', 'Returned'];
+
+// Load a payment and check the caller may see it (their own order, or payments:manage)
+const loadPayment = async (req, res) => {
+  const { data: payment, error } = await supabaseAdmin
+    .from('payments')
+    .select('*, order:orders(id, user_id, amount, amount_paid, payment_status, status)')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!payment) {
+    res.status(404).json({ error: 'Payment not found' });
+    return null;
+  }
+
+  if (!hasPermission(req.user, 'payments:manage') && payment.order?.user_id !== req.user.id) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return payment;
+};
+
+// Get available payment methods
+router.get('/methods', (req, res) => {
+  res.json({
+    methods: Object.entries(PAYMENT_METHODS).map(([id, method]) => ({
+      id,
+      ...method,
+      available: !method.online || onlinePaymentsAvailable()
+    })),
+    provider: onlinePaymentsAvailable() ? activeProviderName() : null
+  });
+});
+
+// Gateway webhooks (no login; authenticated by signature over the raw body)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const result = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    if (result.error === 'unknown_provider') {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    if (result.error) {
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    res.json({ received: true, duplicate: Boolean(result.duplicate) });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Finish a mock gateway checkout (local testing with PAYMENT_MOCK_ENABLED=true only); sends itself a signed webhook
+router.post('/mock/:reference/complete', async (req, res) => {
+  try {
+    if (!mockPaymentsEnabled() || activeProviderName() !== 'mock') {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const outcome = req.body.outcome === 'failed' ? 'failed' : 'succeeded';
+    const { rawBody, headers } = buildMockWebhook(req.params.reference, outcome);
+    const result = await handleWebhook('mock', rawBody, headers);
+
+    if (!result.payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    res.json({
+      message: `Mock payment ${outcome}`,
+      payment: result.payment
+    });
+  } catch (error) {
+    console.error('Mock payment error:', error);
+    res.status(500).json({ error: 'Failed to complete mock payment' });
+  }
+});
+
+// Get payments (own orders, or all with payments:manage)
+router.get('/', authenticateToken, authorize('orders:read'), async (req, res) => {
+  try {
+    const { order_id, status, method } = req.query;
+
+    let query = supabaseAdmin
+      .from('payments')
+      .select('*, order:orders!inner(id, user_id, amount, status)')
+      .order('created_at', { ascending: false });
+
+    if (!hasPermission(req.user, 'payments:manage')) {
+      query = query.eq('order.user_id', req.user.id);
+    }
+
+    if (order_id) query = query.eq('order_id', order_id);
+    if (status) query = query.eq('status', status);
+    if (method) query = query.eq('method', method);
+
+    const { data: payments, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ payments });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+// Get single payment
+router.get('/:id', authenticateToken, authorize('orders:read'), async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    res.json({ payment });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment' });
+  }
+});
+
+// Start a payment for an order; amount defaults to the outstanding balance not already covered by
+// pending payments (less pays in part)
+router.post('/', authenticateToken, authorize('payments:create'), audit('payment'), async (req, res) => {
+  try {
+    const { order_id, method, amount } = req.body;
+
+    if (!order_id || !method) {
+      return res.status(400).json({ error: 'Order and payment method are required' });
+    }
+
+    if (!PAYMENT_METHODS[method]) {
+      return res.status(400).json({ error: `Payment method must be one of: ${Object.keys(PAYMENT_METHODS).join(', ')}` });
+    }
+
+    if (PAYMENT_METHODS[method].online && !onlinePaymentsAvailable()) {
+      return res.status(400).json({ error: `${PAYMENT_METHODS[method].label} payments are not available` });
+    }
+
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .select('id, user_id, amount, amount_paid, returned_amount, amount_refunded, status')
+      .eq('id', order_id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!hasPermission(req.user, 'payments:manage') && order.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (UNPAYABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ error: `Order is ${order.status} and can't be paid` });
+    }
+
+    const outstanding = await getOutstandingAmount(order);
+
+    if (outstanding <= 0) {
+      return res.status(409).json({ error: 'Order is already paid' });
+    }
+
+    // Payments already started count against the balance, so it can't be paid twice over
+    const available = Math.round((outstanding - await getPendingAmount(order.id)) * 100) / 100;
+
+    if (available <= 0) {
+      return res.status(409).json({ error: 'Payments already started cover the balance; complete or cancel them first' });
+    }
+
+    const paymentAmount = amount === undefined ? available : Math.round(parseFloat(amount) * 100) / 100;
+
+    if (!(paymentAmount > 0) || paymentAmount > available) {
+      return res.status(400).json({ error: `Amount must be more than 0 and at most ${available} (outstanding less payments already started)` });
+    }
+
+    const { payment, instructions } = await createPaymentIntent({
+      order,
+      method,
+      amount: paymentAmount,
+      user: req.user
+    });
+
+    res.status(201).json({
+      message: PAYMENT_METHODS[method].online
+        ? 'Payment started. Complete it at the checkout URL.'
+        : 'Payment recorded. It will be confirmed once the money is received.',
+      payment,
+      instructions,
+      outstanding
+    });
+  } catch (error) {
+    console.error('Create payment error:', error);
+    res.status(500).json({ error: 'Failed to create payment' });
+  }
+});
+
+// Confirm a cash-on-delivery or bank-transfer payment once the money arrived (admin only)
+router.post('/:id/confirm', authenticateToken, authorize('payments:manage'), audit('payment', { table: 'payments', action: 'confirm' }), async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    if (PAYMENT_METHODS[payment.method].online) {
+      return res.status(400).json({ error: 'Online payments are confirmed by the payment gateway' });
+    }
+
+    if (payment.status !== 'pending') {
+      return res.status(409).json({ error: `Payment is already ${payment.status}` });
+    }
+
+    const result = await settlePayment(payment.id, 'succeeded', {
+      reference: req.body.reference || null,
+      confirmedBy: req.user.id
+    });
+
+    if (result.error === 'overpayment') {
+      return res.status(409).json({ error: `Payment is more than the ${result.outstanding} still owed on the order` });
+    }
+
+    res.json({
+      message: 'Payment confirmed successfully',
+      payment: result.payment,
+      order: result.order
+    });
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    res.status(500).json({ error: 'Failed to confirm payment' });
+  }
+});
+
+// Cancel a pending payment
+router.post('/:id/cancel', authenticateToken, authorize('payments:create'), audit('payment', { table: 'payments', action: 'cancel' }), async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    if (payment.status !== 'pending') {
+      return res.status(409).json({ error: `Payment is already ${payment.status}` });
+    }
+
+    const result = await settlePayment(payment.id, 'cancelled', { failureReason: req.body.reason || null });
+
+    res.json({
+      message: 'Payment cancelled successfully',
+      payment: result.payment
+    });
+  } catch (error) {
+    console.error('Cancel payment error:', error);
+    res.status(500).json({ error: 'Failed to cancel payment' });
+  }
+});
+
+module.exports = router;
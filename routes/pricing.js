@@ -0,0 +1,277 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const router = express.Router();
+
+// Empty strings mean "any", stored as NULL
+const optionalText = (value) => (value === undefined ? undefined : (value && String(value).trim()) || null);
+
+// Checked tax rule fields; returns { data } or { error }
+const parseTaxRule = (body, { partial = false } = {}) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: 'Name is required' };
+    }
+    data.name = String(body.name).trim();
+  }
+
+  if (body.rate !== undefined || !partial) {
+    const rate = parseFloat(body.rate);
+    if (!(rate >= 0 && rate <= 100)) {
+      return { error: 'Rate must be a percentage between 0 and 100' };
+    }
+    data.rate = rate;
+  }
+
+  const category = optionalText(body.category);
+  const state = optionalText(body.state);
+  if (category !== undefined) data.category = category;
+  if (state !== undefined) data.state = state;
+  if (body.is_active !== undefined) data.is_active = Boolean(body.is_active);
+
+  return { data };
+};
+
+// Checked delivery fee rule fields; returns { data } or { error }
+const parseDeliveryRule = (body, { partial = false } = {}) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: 'Name is required' };
+    }
+    data.name = String(body.name).trim();
+  }
+
+  for (const field of ['min_weight_kg', 'base_fee', 'per_kg_fee']) {
+    if (body[field] !== undefined) {
+      const value = parseFloat(body[field]);
+      if (!(value >= 0)) {
+        return { error: `${field} must be 0 or more` };
+      }
+      data[field] = value;
+    }
+  }
+
+  for (const field of ['max_weight_kg', 'free_over_amount']) {
+    if (body[field] !== undefined) {
+      const value = body[field] === null ? null : parseFloat(body[field]);
+      if (value !== null && !(value >= 0)) {
+        return { error: `${field} must be 0 or more, or null for no limit` };
+      }
+      data[field] = value;
+    }
+  }
+
+  if (data.max_weight_kg !== undefined && data.max_weight_kg !== null && data.max_weight_kg <= (data.min_weight_kg || 0)) {
+    return { error: 'max_weight_kg must be more than min_weight_kg' };
+  }
+
+  const state = optionalText(body.state);
+  const district = optionalText(body.district);
+  if (state !== undefined) data.state = state;
+  if (district !== undefined) data.district = district;
+  if (body.is_active !== undefined) data.is_active = Boolean(body.is_active);
+
+  return { data };
+};
+
+// Get tax rules (admin only)
+router.get('/tax-rules', authenticateToken, authorize('pricing:manage'), async (req, res) => {
+  try {
+    const { data: rules, error } = await supabaseAdmin
+      .from('tax_rules')
+      .select('*')
+      .order('category', { ascending: true, nullsFirst: true })
+      .order('state', { ascending: true, nullsFirst: true });
+
+    if (error) throw error;
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get tax rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch tax rules' });
+  }
+});
+
+// Create tax rule (admin only)
+router.post('/tax-rules', authenticateToken, authorize('pricing:manage'), audit('tax_rule'), async (req, res) => {
+  try {
+    const { data, error: inputError } = parseTaxRule(req.body);
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const { data: rule, error } = await supabaseAdmin
+      .from('tax_rules')
+      .insert([data])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      message: 'Tax rule created successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Create tax rule error:', error);
+    res.status(500).json({ error: 'Failed to create tax rule' });
+  }
+});
+
+// Update tax rule (admin only)
+router.put('/tax-rules/:id', authenticateToken, authorize('pricing:manage'), audit('tax_rule', { table: 'tax_rules' }), async (req, res) => {
+  try {
+    const { data, error: inputError } = parseTaxRule(req.body, { partial: true });
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const { data: rule, error } = await supabaseAdmin
+      .from('tax_rules')
+      .update(data)
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Tax rule not found' });
+    }
+
+    res.json({
+      message: 'Tax rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Update tax rule error:', error);
+    res.status(500).json({ error: 'Failed to update tax rule' });
+  }
+});
+
+// Delete tax rule (admin only); orders keep the tax they were charged
+router.delete('/tax-rules/:id', authenticateToken, authorize('pricing:manage'), audit('tax_rule', { table: 'tax_rules' }), async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('tax_rules')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Tax rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete tax rule error:', error);
+    res.status(500).json({ error: 'Failed to delete tax rule' });
+  }
+});
+
+// Get delivery fee rules (admin only)
+router.get('/delivery-rules', authenticateToken, authorize('pricing:manage'), async (req, res) => {
+  try {
+    const { data: rules, error } = await supabaseAdmin
+      .from('delivery_fee_rules')
+      .select('*')
+      .order('state', { ascending: true, nullsFirst: true })
+      .order('district', { ascending: true, nullsFirst: true })
+      .order('min_weight_kg', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get delivery rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery rules' });
+  }
+});
+
+// Create delivery fee rule (admin only)
+router.post('/delivery-rules', authenticateToken, authorize('pricing:manage'), audit('delivery_fee_rule'), async (req, res) => {
+  try {
+    const { data, error: inputError } = parseDeliveryRule(req.body);
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const { data: rule, error } = await supabaseAdmin
+      .from('delivery_fee_rules')
+      .insert([data])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      message: 'Delivery rule created successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Create delivery rule error:', error);
+    res.status(500).json({ error: 'Failed to create delivery rule' });
+  }
+});
+
+// Update delivery fee rule (admin only)
+router.put('/delivery-rules/:id', authenticateToken, authorize('pricing:manage'), audit('delivery_fee_rule', { table: 'delivery_fee_rules' }), async (req, res) => {
+  try {
+    const { data, error: inputError } = parseDeliveryRule(req.body, { partial: true });
+
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const { data: rule, error } = await supabaseAdmin
+      .from('delivery_fee_rules')
+      .update(data)
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      // Weight band check that spans the stored and the new values
+      if (error.code === '23514') {
+        return res.status(400).json({ error: 'max_weight_kg must be more than min_weight_kg' });
+      }
+      throw error;
+    }
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Delivery rule not found' });
+    }
+
+    res.json({
+      message: 'Delivery rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Update delivery rule error:', error);
+    res.status(500).json({ error: 'Failed to update delivery rule' });
+  }
+});
+
+// Delete delivery fee rule (admin only); orders keep the fee they were charged
+router.delete('/delivery-rules/:id', authenticateToken, authorize('pricing:manage'), audit('delivery_fee_rule', { table: 'delivery_fee_rules' }), async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('delivery_fee_rules')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Delivery rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete delivery rule error:', error);
+    res.status(500).json({ error: 'Failed to delete delivery rule' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
 // Get all production records (filtered by cluster for cluster users)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, authorize('production:read'), async (req, res) => {
   try {
     let query = supabase
       .from('production')
@@ -15,8 +16,8 @@ router.get('/', authenticateToken, async (req, res) => {
       `)
       .order('date', { ascending: false });
 
-    // Filter by cluster for cluster role
-    if (req.user.role === 'cluster' && req.user.cluster_id) {
+    // Cluster-bound accounts only see their own cluster
+    if (req.user.cluster_id) {
       query = query.eq('cluster_id', req.user.cluster_id);
     }
 
@@ -32,7 +33,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Create production record (cluster role only)
-router.post('/', authenticateToken, authorizeRole('cluster'), async (req, res) => {
+router.post('/', authenticateToken, authorize('production:write'), audit('production'), async (req, res) => {
   try {
     const { product_id, quantity, shift, date } = req.body;
 
@@ -137,7 +138,7 @@ async function updateClusterUtilization(cluster_id) {
 }
 
 // Get production stats for cluster
-router.get('/stats', authenticateToken, authorizeRole('cluster'), async (req, res) => {
+router.get('/stats', authenticateToken, authorize('production:read'), async (req, res) => {
   try {
     const cluster_id = req.user.cluster_id;
 
@@ -184,7 +185,7 @@ router.get('/stats', authenticateToken, authorizeRole('cluster'), async (req, re
 });
 
 // Get admin production stats (all clusters)
-router.get('/admin/stats', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/admin/stats', authenticateToken, authorize('production:reports'), async (req, res) => {
   try {
     const today = new Date().toISOString().split('T')[0];
     const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
@@ -261,7 +262,7 @@ router.get('/admin/stats', authenticateToken, authorizeRole('admin'), async (req
 });
 
 // Get weekly production data for chart
-router.get('/admin/weekly', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/admin/weekly', authenticateToken, authorize('production:reports'), async (req, res) => {
   try {
     const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     
@@ -309,7 +310,7 @@ router.get('/admin/weekly', authenticateToken, authorizeRole('admin'), async (re
 });
 
 // Get efficiency trend data
-router.get('/admin/efficiency', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/admin/efficiency', authenticateToken, authorize('production:reports'), async (req, res) => {
   try {
     const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
     const efficiencyData = [];
@@ -346,7 +347,7 @@ router.get('/admin/efficiency', authenticateToken, authorizeRole('admin'), async
 });
 
 // Get cluster production status
-router.get('/admin/clusters', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/admin/clusters', authenticateToken, authorize('production:reports'), async (req, res) => {
   try {
     const { data: clusters, error: clusterError } = await supabase
       .from('clusters')
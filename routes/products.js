@@ -1,6 +1,7 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
 // Get all products (public)
@@ -8,11 +9,13 @@ router.get('/', async (req, res) => {
   try {
     const { data: products, error } = await supabase
       .from('products')
-      .select('*')
+      .select('*, price_tiers:product_price_tiers(min_quantity, unit_price)')
       .order('created_at', { ascending: false });
 
     if (error) throw error;
 
+    products.forEach(product => product.price_tiers.sort((a, b) => a.min_quantity - b.min_quantity));
+
     res.json({ products });
   } catch (error) {
     console.error('Get products error:', error);
@@ -25,7 +28,7 @@ router.get('/:id', async (req, res) => {
   try {
     const { data: product, error } = await supabase
       .from('products')
-      .select('*')
+      .select('*, price_tiers:product_price_tiers(min_quantity, unit_price)')
       .eq('id', req.params.id)
       .single();
 
@@ -35,6 +38,8 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    product.price_tiers.sort((a, b) => a.min_quantity - b.min_quantity);
+
     res.json({ product });
   } catch (error) {
     console.error('Get product error:', error);
@@ -43,9 +48,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create product (admin only)
-router.post('/', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.post('/', authenticateToken, authorize('products:write'), audit('product'), async (req, res) => {
   try {
-    const { name, description, category, price, stock, status, image_url } = req.body;
+    const { name, description, category, price, stock, status, image_url, weight_kg } = req.body;
 
     if (!name || !category || !price) {
       return res.status(400).json({ error: 'Name, category, and price are required' });
@@ -53,7 +58,7 @@ router.post('/', authenticateToken, authorizeRole('admin'), async (req, res) =>
 
     const { data: product, error } = await supabase
       .from('products')
-      .insert([{ name, description, category, price, stock, status, image_url }])
+      .insert([{ name, description, category, price, stock, status, image_url, weight_kg }])
       .select()
       .single();
 
@@ -70,9 +75,9 @@ router.post('/', authenticateToken, authorizeRole('admin'), async (req, res) =>
 });
 
 // Update product (admin only)
-router.put('/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.put('/:id', authenticateToken, authorize('products:write'), audit('product', { table: 'products' }), async (req, res) => {
   try {
-    const { name, description, category, price, stock, status, image_url } = req.body;
+    const { name, description, category, price, stock, status, image_url, weight_kg } = req.body;
 
     // Build update object with only provided fields
     const updateData = {};
@@ -83,6 +88,7 @@ router.put('/:id', authenticateToken, authorizeRole('admin'), async (req, res) =
     if (stock !== undefined) updateData.stock = stock;
     if (status !== undefined) updateData.status = status;
     if (image_url !== undefined) updateData.image_url = image_url;
+    if (weight_kg !== undefined) updateData.weight_kg = weight_kg;
 
     const { data: product, error } = await supabase
       .from('products')
@@ -103,8 +109,73 @@ router.put('/:id', authenticateToken, authorizeRole('admin'), async (req, res) =
   }
 });
 
+// Replace a product's quantity price tiers (admin only); an empty list removes them all
+router.put('/:id/price-tiers', authenticateToken, authorize('products:write'), audit('product', { action: 'price_tiers' }), async (req, res) => {
+  try {
+    const { tiers } = req.body;
+
+    if (!Array.isArray(tiers)) {
+      return res.status(400).json({ error: 'Tiers are required' });
+    }
+
+    if (tiers.some(tier => !tier || !Number.isInteger(Number(tier.min_quantity)) || Number(tier.min_quantity) <= 1 || !(parseFloat(tier.unit_price) > 0))) {
+      return res.status(400).json({ error: 'Each tier needs a minimum quantity above 1 and a unit price greater than 0' });
+    }
+
+    const quantities = tiers.map(tier => Number(tier.min_quantity));
+    if (new Set(quantities).size !== quantities.length) {
+      return res.status(400).json({ error: 'Each minimum quantity can only be used once' });
+    }
+
+    const { data: product } = await supabase
+      .from('products')
+      .select('id, price')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Buying more should never cost more per unit
+    const sorted = tiers
+      .map(tier => ({ min_quantity: Number(tier.min_quantity), unit_price: Math.round(parseFloat(tier.unit_price) * 100) / 100 }))
+      .sort((a, b) => a.min_quantity - b.min_quantity);
+
+    if (sorted.some((tier, index) => tier.unit_price > (index === 0 ? parseFloat(product.price) : sorted[index - 1].unit_price))) {
+      return res.status(400).json({ error: 'Tier prices must not go up as the quantity grows' });
+    }
+
+    const { error: deleteError } = await supabase
+      .from('product_price_tiers')
+      .delete()
+      .eq('product_id', product.id);
+
+    if (deleteError) throw deleteError;
+
+    let priceTiers = [];
+    if (sorted.length > 0) {
+      const { data, error } = await supabase
+        .from('product_price_tiers')
+        .insert(sorted.map(tier => ({ ...tier, product_id: product.id })))
+        .select('min_quantity, unit_price');
+
+      if (error) throw error;
+      priceTiers = data.sort((a, b) => a.min_quantity - b.min_quantity);
+    }
+
+    res.json({
+      message: 'Price tiers updated successfully',
+      product: { id: product.id, price: product.price, price_tiers: priceTiers }
+    });
+  } catch (error) {
+    console.error('Update price tiers error:', error);
+    res.status(500).json({ error: 'Failed to update price tiers' });
+  }
+});
+
 // Delete product (admin only)
-router.delete('/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, authorize('products:write'), audit('product', { table: 'products' }), async (req, res) => {
   try {
     const { error } = await supabase
       .from('products')
@@ -1,10 +1,11 @@
 const express = require('express');
 const { supabase, supabaseAdmin } = require('../config/supabase');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
 // Get client profile
-router.get('/', authenticateToken, authorizeRole('client'), async (req, res) => {
+router.get('/', authenticateToken, authorize('profile:manage'), async (req, res) => {
   try {
     const { data: profile, error } = await supabaseAdmin
       .from('client_profiles')
@@ -27,7 +28,7 @@ router.get('/', authenticateToken, authorizeRole('client'), async (req, res) =>
 });
 
 // Create or update client profile
-router.post('/', authenticateToken, authorizeRole('client'), async (req, res) => {
+router.post('/', authenticateToken, authorize('profile:manage'), audit('client_profile', { action: 'save' }), async (req, res) => {
   try {
     const { phone, city, district, state, address_line } = req.body;
 
@@ -95,7 +96,7 @@ router.post('/', authenticateToken, authorizeRole('client'), async (req, res) =>
 });
 
 // Check if profile is complete
-router.get('/check', authenticateToken, authorizeRole('client'), async (req, res) => {
+router.get('/check', authenticateToken, authorize('profile:manage'), async (req, res) => {
   try {
     const { data: profile } = await supabaseAdmin
       .from('client_profiles')
@@ -0,0 +1,223 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { hasPermission } = require('../services/permissions');
+const { checkoutBlocker, checkoutFailure } = require('../services/checkout');
+const {
+  QUOTE_VALIDITY_DAYS,
+  withExpiry,
+  filterByQuoteStatus,
+  requestQuote,
+  getQuote,
+  respondToQuote,
+  acceptQuote,
+  rejectQuote,
+  quoteFailure
+} = require('../services/quotes');
+const router = express.Router();
+
+const QUOTE_STATUSES = ['Requested', 'Quoted', 'Accepted', 'Rejected', 'Expired'];
+
+// Get quotes (own, or all with quotes:manage), newest first
+router.get('/', authenticateToken, authorize('quotes:create'), async (req, res) => {
+  try {
+    const { status, user_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('quotes')
+      .select('*, customer:users!quotes_user_id_fkey(id, name, email), items:quote_items(product_id, quantity, target_unit_price, unit_price)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (!hasPermission(req.user, 'quotes:manage')) {
+      query = query.eq('user_id', req.user.id);
+    } else if (user_id) {
+      query = query.eq('user_id', user_id);
+    }
+
+    if (status) {
+      const statuses = String(status).split(',').map(value => value.trim()).filter(Boolean);
+      const invalid = statuses.filter(value => !QUOTE_STATUSES.includes(value));
+
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Status must be one of: ${QUOTE_STATUSES.join(', ')}` });
+      }
+
+      query = filterByQuoteStatus(query, statuses);
+    }
+
+    const { data: quotes, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ quotes: quotes.map(withExpiry), total: count, page, limit });
+  } catch (error) {
+    console.error('Get quotes error:', error);
+    res.status(500).json({ error: 'Failed to fetch quotes' });
+  }
+});
+
+// Get single quote with items and, once priced, the order total it would come to
+router.get('/:id', authenticateToken, authorize('quotes:create'), async (req, res) => {
+  try {
+    const quote = await getQuote(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    if (!hasPermission(req.user, 'quotes:manage') && quote.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ quote });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({ error: 'Failed to fetch quote' });
+  }
+});
+
+// Request a volume quote; items may carry the price the client is hoping for (target_unit_price)
+router.post('/', authenticateToken, authorize('quotes:create'), audit('quote'), async (req, res) => {
+  try {
+    const { items, notes, delivery_date } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Quote items are required' });
+    }
+
+    if (items.some(item => !item || !item.product_id || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0)) {
+      return res.status(400).json({ error: 'Invalid product or quantity' });
+    }
+
+    if (items.some(item => item.target_unit_price !== undefined && item.target_unit_price !== null && !(parseFloat(item.target_unit_price) > 0))) {
+      return res.status(400).json({ error: 'Target unit price must be greater than 0' });
+    }
+
+    const blocker = await checkoutBlocker(req.user.id, { requireProfile: false });
+    if (blocker) {
+      return res.status(blocker.status).json(blocker.body);
+    }
+
+    const result = await requestQuote(req.user.id, {
+      items,
+      notes: notes || null,
+      deliveryDate: delivery_date || null
+    });
+
+    if (result.error) {
+      const failure = checkoutFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.status(201).json({
+      message: 'Quote requested successfully',
+      quote: result.quote
+    });
+  } catch (error) {
+    console.error('Request quote error:', error);
+    res.status(500).json({ error: 'Failed to request quote' });
+  }
+});
+
+// Respond with a unit price for every product (admin only); can also revise a quote that's already priced
+router.post('/:id/respond', authenticateToken, authorize('quotes:manage'), audit('quote', { table: 'quotes', action: 'respond' }), async (req, res) => {
+  try {
+    const { prices, valid_days, note } = req.body;
+
+    if (!prices || !Array.isArray(prices) || prices.length === 0) {
+      return res.status(400).json({ error: 'Prices are required' });
+    }
+
+    if (prices.some(price => !price || !price.product_id || !(parseFloat(price.unit_price) > 0))) {
+      return res.status(400).json({ error: 'Each price needs a product and a unit price greater than 0' });
+    }
+
+    const validDays = valid_days === undefined || valid_days === null ? QUOTE_VALIDITY_DAYS : Number(valid_days);
+
+    if (!Number.isInteger(validDays) || validDays <= 0) {
+      return res.status(400).json({ error: 'Valid days must be a whole number greater than 0' });
+    }
+
+    const result = await respondToQuote(req.params.id, {
+      user: req.user,
+      prices,
+      validDays,
+      note: note || null
+    });
+
+    if (result.error) {
+      const failure = quoteFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: 'Quote sent successfully',
+      quote: result.quote
+    });
+  } catch (error) {
+    console.error('Respond to quote error:', error);
+    res.status(500).json({ error: 'Failed to respond to quote' });
+  }
+});
+
+// Accept a priced quote; it becomes an order at the quoted prices, with stock reserved as for a cart order
+router.post('/:id/accept', authenticateToken, authorize('quotes:create'), audit('quote', { table: 'quotes', action: 'accept' }), async (req, res) => {
+  try {
+    // Email verified and profile complete
+    const blocker = await checkoutBlocker(req.user.id);
+    if (blocker) {
+      return res.status(blocker.status).json(blocker.body);
+    }
+
+    const result = await acceptQuote(req.params.id, req.user.id);
+
+    if (result.error) {
+      const failure = quoteFailure(result) || checkoutFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.status(201).json({
+      message: 'Quote accepted and order placed successfully',
+      quote: result.quote,
+      order: {
+        ...result.order,
+        items: result.items
+      }
+    });
+  } catch (error) {
+    console.error('Accept quote error:', error);
+    res.status(500).json({ error: 'Failed to accept quote' });
+  }
+});
+
+// Decline a quote (the client who asked for it, or an admin)
+router.post('/:id/reject', authenticateToken, authorize('quotes:create'), audit('quote', { table: 'quotes', action: 'reject' }), async (req, res) => {
+  try {
+    const ownerId = hasPermission(req.user, 'quotes:manage') ? null : req.user.id;
+
+    const result = await rejectQuote(req.params.id, {
+      note: req.body.note || null,
+      ownerId
+    });
+
+    if (result.error) {
+      const failure = quoteFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: 'Quote rejected',
+      quote: result.quote
+    });
+  } catch (error) {
+    console.error('Reject quote error:', error);
+    res.status(500).json({ error: 'Failed to reject quote' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,238 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { uploadImages } = require('../middleware/upload');
+const { hasPermission } = require('../services/permissions');
+const {
+  RETURN_REASONS,
+  RETURN_RESOLUTIONS,
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+  processRefund,
+  getReturn,
+  returnFailure
+} = require('../services/returns');
+const router = express.Router();
+
+const MAX_RETURN_PHOTOS = 5;
+
+// Items arrive as a JSON string when the request is multipart (photos attached)
+const parseItems = (items) => {
+  if (typeof items !== 'string') return items;
+
+  try {
+    return JSON.parse(items);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Get return reasons
+router.get('/reasons', (req, res) => {
+  res.json({
+    reasons: Object.entries(RETURN_REASONS).map(([id, label]) => ({ id, label }))
+  });
+});
+
+// Get return requests (own, or all with returns:manage), newest first
+router.get('/', authenticateToken, authorize('orders:read'), async (req, res) => {
+  try {
+    const { status, order_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('return_requests')
+      .select('*, customer:users!return_requests_user_id_fkey(id, name, email), items:return_items(product_id, quantity, credit_amount)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (!hasPermission(req.user, 'returns:manage')) {
+      query = query.eq('user_id', req.user.id);
+    }
+
+    if (status) query = query.eq('status', status);
+    if (order_id) query = query.eq('order_id', order_id);
+
+    const { data: returns, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ returns, total: count, page, limit });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+// Get single return request with photos and refunds
+router.get('/:id', authenticateToken, authorize('orders:read'), async (req, res) => {
+  try {
+    const returnRequest = await getReturn(req.params.id);
+
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    if (!hasPermission(req.user, 'returns:manage') && returnRequest.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ return: returnRequest });
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({ error: 'Failed to fetch return' });
+  }
+});
+
+// Request a return for items of a delivered order (multipart with up to 5 `photos`, or JSON)
+router.post('/', authenticateToken, authorize('returns:create'), uploadImages('photos', MAX_RETURN_PHOTOS), audit('return'), async (req, res) => {
+  try {
+    const { order_id, reason, details } = req.body;
+    const items = parseItems(req.body.items);
+
+    if (!order_id || !reason) {
+      return res.status(400).json({ error: 'Order and reason are required' });
+    }
+
+    if (!RETURN_REASONS[reason]) {
+      return res.status(400).json({ error: `Reason must be one of: ${Object.keys(RETURN_REASONS).join(', ')}` });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items to return are required' });
+    }
+
+    if (items.some(item => !item || !item.order_item_id || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0)) {
+      return res.status(400).json({ error: 'Invalid item or quantity' });
+    }
+
+    // Damage claims need to be backed by a photo
+    if (reason === 'damaged' && (!req.files || req.files.length === 0)) {
+      return res.status(400).json({ error: 'Please attach a photo of the damage' });
+    }
+
+    // Staff with returns:manage can open a return on a customer's behalf
+    const ownerId = hasPermission(req.user, 'returns:manage') ? null : req.user.id;
+
+    const result = await requestReturn({
+      orderId: order_id,
+      user: req.user,
+      reason,
+      details: details || null,
+      items,
+      files: req.files,
+      ownerId
+    });
+
+    if (result.error) {
+      const failure = returnFailure(result, 'Order');
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.status(201).json({
+      message: 'Return requested successfully',
+      return: {
+        ...result.return,
+        items: result.items
+      }
+    });
+  } catch (error) {
+    console.error('Request return error:', error);
+    res.status(500).json({ error: 'Failed to request return' });
+  }
+});
+
+// Approve a return (admin only): restock or write off the goods and credit the order
+router.post('/:id/approve', authenticateToken, authorize('returns:manage'), audit('return', { table: 'return_requests', action: 'approve' }), async (req, res) => {
+  try {
+    const { resolution, credit_amount, note } = req.body;
+
+    if (!RETURN_RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({ error: `Resolution must be one of: ${RETURN_RESOLUTIONS.join(', ')}` });
+    }
+
+    const creditAmount = credit_amount === undefined || credit_amount === null ? null : parseFloat(credit_amount);
+
+    if (creditAmount !== null && !(creditAmount >= 0)) {
+      return res.status(400).json({ error: 'Credit amount must be 0 or more' });
+    }
+
+    const result = await approveReturn(req.params.id, {
+      user: req.user,
+      resolution,
+      creditAmount,
+      note: note || null
+    });
+
+    if (result.error) {
+      const failure = returnFailure(result, 'Return');
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: result.refund
+        ? 'Return approved. A refund is waiting to be paid.'
+        : 'Return approved successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Approve return error:', error);
+    res.status(500).json({ error: 'Failed to approve return' });
+  }
+});
+
+// Reject a return (admin only)
+router.post('/:id/reject', authenticateToken, authorize('returns:manage'), audit('return', { table: 'return_requests', action: 'reject' }), async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({ error: 'A reason for rejecting is required' });
+    }
+
+    const result = await rejectReturn(req.params.id, { user: req.user, note: String(note).trim() });
+
+    if (result.error) {
+      const failure = returnFailure(result, 'Return');
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: 'Return rejected',
+      return: result.return
+    });
+  } catch (error) {
+    console.error('Reject return error:', error);
+    res.status(500).json({ error: 'Failed to reject return' });
+  }
+});
+
+// Pay out a pending refund (admin only); card/wallet payments are refunded through the gateway,
+// cash and transfers are paid back by hand and recorded with the bank `reference`
+router.post('/refunds/:refundId/complete', authenticateToken, authorize('returns:manage'), audit('refund', { table: 'refunds', idParam: 'refundId', action: 'complete' }), async (req, res) => {
+  try {
+    const result = await processRefund(req.params.refundId, {
+      user: req.user,
+      reference: req.body.reference || null
+    });
+
+    if (result.error) {
+      const failure = returnFailure(result, 'Refund');
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: 'Refund completed successfully',
+      refund: result.refund
+    });
+  } catch (error) {
+    console.error('Complete refund error:', error);
+    res.status(500).json({ error: 'Failed to complete refund' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions');
+const { invalidateRoleCache } = require('../services/permissions');
+const { audit } = require('../middleware/audit');
+const router = express.Router();
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,49}$/;
+
+// Return the list of unknown permission names (empty if all are valid)
+const unknownPermissions = (permissions) => permissions.filter(permission => !PERMISSIONS[permission]);
+
+// Get permission catalogue
+router.get('/permissions', authenticateToken, authorize('roles:manage'), (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// Get all roles with their permissions
+router.get('/', authenticateToken, authorize('roles:manage'), async (req, res) => {
+  try {
+    const { data: roles, error } = await supabaseAdmin
+      .from('roles')
+      .select('name, description, permissions, is_system, created_at, updated_at')
+      .order('is_system', { ascending: false })
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      roles: roles.map(role => ({
+        ...role,
+        permissions: role.is_system ? SYSTEM_ROLES[role.name] || [] : role.permissions
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+});
+
+// Create custom role
+router.post('/', authenticateToken, authorize('roles:manage'), audit('role'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name || !Array.isArray(permissions)) {
+      return res.status(400).json({ error: 'Name and permissions are required' });
+    }
+
+    if (!ROLE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({ error: 'Role name must be lowercase letters, digits or underscores (3-50 characters)' });
+    }
+
+    if (SYSTEM_ROLES[name]) {
+      return res.status(400).json({ error: 'Role already exists' });
+    }
+
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    const { data: role, error } = await supabaseAdmin
+      .from('roles')
+      .insert([{
+        name,
+        description,
+        permissions: [...new Set(permissions)],
+        is_system: false,
+        created_by: req.user.id
+      }])
+      .select('name, description, permissions, is_system, created_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'Role already exists' });
+      }
+      throw error;
+    }
+
+    invalidateRoleCache();
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Failed to create role' });
+  }
+});
+
+// Update custom role
+router.put('/:name', authenticateToken, authorize('roles:manage'), audit('role', { table: 'roles', idParam: 'name', idColumn: 'name' }), async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    if (SYSTEM_ROLES[req.params.name]) {
+      return res.status(400).json({ error: 'Built-in roles cannot be changed' });
+    }
+
+    const updateData = {};
+    if (description !== undefined) updateData.description = description;
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({ error: 'Permissions must be an array' });
+      }
+
+      const unknown = unknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown permissions: ${unknown.join(', ')}` });
+      }
+      updateData.permissions = [...new Set(permissions)];
+    }
+
+    const { data: role, error } = await supabaseAdmin
+      .from('roles')
+      .update(updateData)
+      .eq('name', req.params.name)
+      .eq('is_system', false)
+      .select('name, description, permissions, is_system, updated_at')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    invalidateRoleCache();
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Delete custom role (only when no users have it)
+router.delete('/:name', authenticateToken, authorize('roles:manage'), audit('role', { table: 'roles', idParam: 'name', idColumn: 'name' }), async (req, res) => {
+  try {
+    if (SYSTEM_ROLES[req.params.name]) {
+      return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    const { count } = await supabaseAdmin
+      .from('users')
+      .select('*', { count: 'exact', head: true })
+      .eq('role', req.params.name);
+
+    if (count > 0) {
+      return res.status(400).json({ error: `Role is assigned to ${count} user(s). Reassign them first.` });
+    }
+
+    const { data: role, error } = await supabaseAdmin
+      .from('roles')
+      .delete()
+      .eq('name', req.params.name)
+      .eq('is_system', false)
+      .select('name')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    invalidateRoleCache();
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize, authorizeAny } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { hasPermission } = require('../services/permissions');
+const {
+  SHIPMENT_STATUSES,
+  activeCourierName,
+  localCourierEnabled,
+  courierNames,
+  createShipment,
+  refreshShipment,
+  advanceLocalShipment,
+  shipmentFailure
+} = require('../services/shipments');
+const router = express.Router();
+
+// Cluster accounts work with their own cluster's shipments only
+const ownClusterId = (user) => (hasPermission(user, 'shipments:manage') ? null : user.cluster_id || null);
+
+const loadShipment = async (req, res) => {
+  const { data: shipment, error } = await supabaseAdmin
+    .from('shipments')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!shipment) {
+    res.status(404).json({ error: 'Shipment not found' });
+    return null;
+  }
+
+  const clusterId = ownClusterId(req.user);
+  if (clusterId && shipment.cluster_id !== clusterId) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return shipment;
+};
+
+// Get available couriers
+router.get('/carriers', (req, res) => {
+  res.json({
+    carriers: courierNames(),
+    default: activeCourierName()
+  });
+});
+
+// Get shipments (all with shipments:manage, or the cluster's own), newest first
+router.get('/', authenticateToken, authorizeAny('shipments:manage', 'fulfilments:update'), async (req, res) => {
+  try {
+    const { order_id, status, carrier, cluster_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const offset = (page - 1) * limit;
+    const clusterId = ownClusterId(req.user) || cluster_id;
+
+    if (!hasPermission(req.user, 'shipments:manage') && !clusterId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    let query = supabaseAdmin
+      .from('shipments')
+      .select('*, cluster:clusters(id, name), order:orders(id, status, user_id)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (clusterId) query = query.eq('cluster_id', clusterId);
+    if (order_id) query = query.eq('order_id', order_id);
+    if (carrier) query = query.eq('carrier', carrier);
+
+    if (status) {
+      if (!SHIPMENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${SHIPMENT_STATUSES.join(', ')}` });
+      }
+      query = query.eq('status', status);
+    }
+
+    const { data: shipments, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ shipments, total: count, page, limit });
+  } catch (error) {
+    console.error('Get shipments error:', error);
+    res.status(500).json({ error: 'Failed to fetch shipments' });
+  }
+});
+
+// Book a shipment with a courier for an order, or with cluster_id for that cluster's part of it
+router.post('/', authenticateToken, authorizeAny('shipments:manage', 'fulfilments:update'), audit('shipment'), async (req, res) => {
+  try {
+    const { order_id, carrier, packages, weight_kg } = req.body;
+    const ownCluster = ownClusterId(req.user);
+    const clusterId = req.body.cluster_id || ownCluster;
+
+    if (!order_id) {
+      return res.status(400).json({ error: 'Order is required' });
+    }
+
+    if (!hasPermission(req.user, 'shipments:manage') && (!ownCluster || clusterId !== ownCluster)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (packages !== undefined && (!Number.isInteger(Number(packages)) || Number(packages) <= 0)) {
+      return res.status(400).json({ error: 'Packages must be a whole number greater than 0' });
+    }
+
+    if (weight_kg !== undefined && weight_kg !== null && !(parseFloat(weight_kg) >= 0)) {
+      return res.status(400).json({ error: 'Weight must be 0 or more' });
+    }
+
+    const result = await createShipment({
+      orderId: order_id,
+      clusterId: clusterId || null,
+      carrier: carrier || activeCourierName(),
+      packages: packages === undefined ? 1 : Number(packages),
+      weightKg: weight_kg === undefined || weight_kg === null ? null : parseFloat(weight_kg),
+      user: req.user
+    });
+
+    if (result.error) {
+      const failure = shipmentFailure(result, 'Order not found');
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.status(201).json({
+      message: 'Shipment booked successfully',
+      shipment: result.shipment
+    });
+  } catch (error) {
+    console.error('Create shipment error:', error);
+    res.status(500).json({ error: 'Failed to book shipment' });
+  }
+});
+
+// Fetch the latest tracking from the courier now instead of waiting for the scheduler
+router.post('/:id/refresh', authenticateToken, authorizeAny('shipments:manage', 'fulfilments:update'), audit('shipment', { table: 'shipments', action: 'refresh' }), async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    res.json({ shipment: await refreshShipment(shipment) });
+  } catch (error) {
+    console.error('Refresh shipment error:', error);
+    res.status(500).json({ error: 'Failed to refresh shipment' });
+  }
+});
+
+// Move a local-courier shipment one step along its route (only with LOCAL_COURIER_ENABLED, never in production)
+router.post('/:id/local/advance', authenticateToken, authorize('shipments:manage'), audit('shipment', { table: 'shipments', action: 'advance' }), async (req, res) => {
+  try {
+    if (!localCourierEnabled()) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const result = await advanceLocalShipment(req.params.id);
+
+    if (result.error) {
+      const failure = shipmentFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: `Shipment is now ${result.shipment.status}`,
+      shipment: result.shipment
+    });
+  } catch (error) {
+    console.error('Advance local shipment error:', error);
+    res.status(500).json({ error: 'Failed to advance shipment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { hasPermission } = require('../services/permissions');
+const { checkoutBlocker } = require('../services/checkout');
+const {
+  SUBSCRIPTION_SCHEDULES,
+  today,
+  addDays,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  setSubscriptionStatus,
+  getUpcomingDeliveries,
+  runDueSubscriptions,
+  subscriptionFailure
+} = require('../services/subscriptions');
+const router = express.Router();
+
+const MAX_UPCOMING_DAYS = 180;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+// Validate a subscription body; with partial, missing fields are left alone (for updates).
+// Returns { data } or { error }.
+const parseSubscriptionInput = (body, { partial = false } = {}) => {
+  const { name, schedule, items } = body;
+  const date = partial ? body.next_run_date : body.start_date;
+  const data = {};
+
+  if (name !== undefined) data.name = name ? String(name).trim() : null;
+
+  if (schedule !== undefined || !partial) {
+    if (!SUBSCRIPTION_SCHEDULES.includes(schedule)) {
+      return { error: `Schedule must be one of: ${SUBSCRIPTION_SCHEDULES.join(', ')}` };
+    }
+    data.schedule = schedule;
+  }
+
+  if (items !== undefined || !partial) {
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return { error: 'Subscription items are required' };
+    }
+
+    if (items.some(item => !item || !item.product_id || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0)) {
+      return { error: 'Invalid product or quantity' };
+    }
+    data.items = items;
+  }
+
+  if (date !== undefined && date !== null) {
+    if (!isDate(date) || date < today()) {
+      return { error: `${partial ? 'Next run date' : 'Start date'} must be a date (YYYY-MM-DD) from today on` };
+    }
+    data[partial ? 'nextRunDate' : 'startDate'] = date;
+  } else if (!partial) {
+    data.startDate = today();
+  }
+
+  return { data };
+};
+
+// Get subscriptions (own, or all with subscriptions:manage), newest first
+router.get('/', authenticateToken, authorize('subscriptions:create'), async (req, res) => {
+  try {
+    const { status, user_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('subscriptions')
+      .select('*, customer:users!subscriptions_user_id_fkey(id, name, email), items:subscription_items(product_id, quantity, product:products(id, name, price))', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (!hasPermission(req.user, 'subscriptions:manage')) {
+      query = query.eq('user_id', req.user.id);
+    } else if (user_id) {
+      query = query.eq('user_id', user_id);
+    }
+
+    if (status) query = query.eq('status', status);
+
+    const { data: subscriptions, count, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ subscriptions, total: count, page, limit });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch subscriptions' });
+  }
+});
+
+// Get upcoming deliveries from active subscriptions over the next `days` (default 30);
+// admins can look at a client's with `user_id`
+router.get('/upcoming', authenticateToken, authorize('subscriptions:create'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_UPCOMING_DAYS);
+    const userId = hasPermission(req.user, 'subscriptions:manage') && req.query.user_id
+      ? req.query.user_id
+      : req.user.id;
+
+    const deliveries = await getUpcomingDeliveries(userId, { until: addDays(today(), days) });
+
+    res.json({ deliveries, days });
+  } catch (error) {
+    console.error('Get upcoming deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch upcoming deliveries' });
+  }
+});
+
+// Get single subscription with items and recent runs
+router.get('/:id', authenticateToken, authorize('subscriptions:create'), async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (!hasPermission(req.user, 'subscriptions:manage') && subscription.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ subscription });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({ error: 'Failed to fetch subscription' });
+  }
+});
+
+// Create a subscription: a cart placed as an order on every scheduled date, first on `start_date` (default today)
+router.post('/', authenticateToken, authorize('subscriptions:create'), audit('subscription'), async (req, res) => {
+  try {
+    const parsed = parseSubscriptionInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    // Orders will need a verified email and a complete profile, so ask for them up front
+    const blocker = await checkoutBlocker(req.user.id);
+    if (blocker) {
+      return res.status(blocker.status).json(blocker.body);
+    }
+
+    const result = await createSubscription(req.user.id, parsed.data);
+
+    if (result.error) {
+      const failure = subscriptionFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.status(201).json({
+      message: 'Subscription created successfully',
+      subscription: result.subscription
+    });
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(500).json({ error: 'Failed to create subscription' });
+  }
+});
+
+// Update a subscription's name, items, schedule or next run date
+router.put('/:id', authenticateToken, authorize('subscriptions:create'), audit('subscription', { table: 'subscriptions' }), async (req, res) => {
+  try {
+    const parsed = parseSubscriptionInput(req.body, { partial: true });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const ownerId = hasPermission(req.user, 'subscriptions:manage') ? null : req.user.id;
+    const result = await updateSubscription(req.params.id, { ...parsed.data, ownerId });
+
+    if (result.error) {
+      const failure = subscriptionFailure(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    res.json({
+      message: 'Subscription updated successfully',
+      subscription: result.subscription
+    });
+  } catch (error) {
+    console.error('Update subscription error:', error);
+    res.status(500).json({ error: 'Failed to update subscription' });
+  }
+});
+
+// Pause, resume or cancel a subscription (own, or any with subscriptions:manage)
+const STATUS_MESSAGES = {
+  pause: 'Subscription paused',
+  resume: 'Subscription resumed',
+  cancel: 'Subscription cancelled'
+};
+
+Object.entries(STATUS_MESSAGES).forEach(([action, message]) => {
+  router.post(`/:id/${action}`, authenticateToken, authorize('subscriptions:create'), audit('subscription', { table: 'subscriptions', action }), async (req, res) => {
+    try {
+      const ownerId = hasPermission(req.user, 'subscriptions:manage') ? null : req.user.id;
+      const result = await setSubscriptionStatus(req.params.id, action, { ownerId });
+
+      if (result.error) {
+        const failure = subscriptionFailure(result);
+        return res.status(failure.status).json(failure.body);
+      }
+
+      res.json({
+        message,
+        subscription: result.subscription
+      });
+    } catch (error) {
+      console.error(`Subscription ${action} error:`, error);
+      res.status(500).json({ error: `Failed to ${action} subscription` });
+    }
+  });
+});
+
+// Place the orders for all due subscriptions now instead of waiting for the scheduler (admin only)
+router.post('/run', authenticateToken, authorize('subscriptions:manage'), audit('subscription', { action: 'run', snapshot: false }), async (req, res) => {
+  try {
+    const summary = await runDueSubscriptions();
+
+    res.json({
+      message: 'Due subscriptions processed',
+      summary
+    });
+  } catch (error) {
+    console.error('Run subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to run subscriptions' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,31 @@
 const express = require('express');
-const { supabase } = require('../config/supabase');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, authorize, requireTwoFactor, blockImpersonation } = require('../middleware/auth');
+const { listUserSessions, revokeUserSessions, createImpersonationSession } = require('../services/sessions');
+const { clearFailedLogins } = require('../services/loginProtection');
+const { disableTwoFactor } = require('../services/twoFactor');
+const { getRolePermissions, hasPermission, holdsAllPermissions } = require('../services/permissions');
+const { notifyEmail } = require('../services/notifications');
+const { randomToken, hashToken } = require('../utils/tokens');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+// Work out an invitation's status from its timestamps
+const invitationStatus = (invitation) => {
+  if (invitation.revoked_at) return 'revoked';
+  if (invitation.accepted_at) return 'accepted';
+  if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+};
+
 // Get all users (admin only)
-router.get('/', authenticateToken, authorizeRole('admin'), async (req, res) => {
+router.get('/', authenticateToken, authorize('users:read'), async (req, res) => {
   try {
     const { data: users, error } = await supabase
       .from('users')
-      .select('id, email, name, phone, role, location, created_at')
+      .select('id, email, name, phone, role, location, locked_until, created_at')
       .order('created_at', { ascending: false });
 
     if (error) throw error;
@@ -20,11 +37,287 @@ router.get('/', authenticateToken, authorizeRole('admin'), async (req, res) => {
   }
 });
 
+// Get login attempts (admin only)
+router.get('/login-attempts', authenticateToken, authorize('users:security'), async (req, res) => {
+  try {
+    const { user_id, email, ip, success, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    let query = supabaseAdmin
+      .from('login_attempts')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (user_id) query = query.eq('user_id', user_id);
+    if (email) query = query.eq('email', email);
+    if (ip) query = query.eq('ip_address', ip);
+    if (success === 'true' || success === 'false') query = query.eq('success', success === 'true');
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data: attempts, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ attempts });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch login attempts' });
+  }
+});
+
+// Get requests made while impersonating (admin only)
+router.get('/impersonation-logs', authenticateToken, authorize('users:security'), async (req, res) => {
+  try {
+    const { impersonator_id, user_id, session_id, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    let query = supabaseAdmin
+      .from('impersonation_logs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (impersonator_id) query = query.eq('impersonator_id', impersonator_id);
+    if (user_id) query = query.eq('user_id', user_id);
+    if (session_id) query = query.eq('session_id', session_id);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data: logs, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ logs });
+  } catch (error) {
+    console.error('Get impersonation logs error:', error);
+    res.status(500).json({ error: 'Failed to fetch impersonation logs' });
+  }
+});
+
+// Get per-role 2FA policies (admin only)
+router.get('/two-factor-policies', authenticateToken, authorize('users:security'), async (req, res) => {
+  try {
+    const { data: policies, error } = await supabaseAdmin
+      .from('role_security_policies')
+      .select('role, require_2fa, updated_at')
+      .order('role', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ policies });
+  } catch (error) {
+    console.error('Get 2FA policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor policies' });
+  }
+});
+
+// Make 2FA mandatory (or optional) for a role (admin only)
+router.put('/two-factor-policies/:role', authenticateToken, authorize('users:security'), audit('role_security_policy', { table: 'role_security_policies', idParam: 'role', idColumn: 'role' }), async (req, res) => {
+  try {
+    const { require_2fa } = req.body;
+
+    if (typeof require_2fa !== 'boolean') {
+      return res.status(400).json({ error: 'require_2fa must be true or false' });
+    }
+
+    if (!(await getRolePermissions(req.params.role))) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const { data: policy, error } = await supabaseAdmin
+      .from('role_security_policies')
+      .upsert({
+        role: req.params.role,
+        require_2fa,
+        updated_by: req.user.id,
+        updated_at: new Date().toISOString()
+      })
+      .select('role, require_2fa, updated_at')
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      message: 'Two-factor policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    res.status(500).json({ error: 'Failed to update two-factor policy' });
+  }
+});
+
+// Get invitations (admin only), optionally filtered by status
+router.get('/invitations', authenticateToken, authorize('users:invite'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date().toISOString();
+
+    let query = supabaseAdmin
+      .from('invitations')
+      .select(`
+        id, email, role, cluster_id, expires_at, accepted_at, revoked_at, created_at,
+        cluster:clusters(id, name),
+        inviter:users!invitations_invited_by_fkey(id, name, email)
+      `)
+      .order('created_at', { ascending: false });
+
+    if (status === 'pending') {
+      query = query.is('accepted_at', null).is('revoked_at', null).gt('expires_at', now);
+    } else if (status === 'accepted') {
+      query = query.not('accepted_at', 'is', null);
+    } else if (status === 'expired') {
+      query = query.is('accepted_at', null).is('revoked_at', null).lte('expires_at', now);
+    } else if (status === 'revoked') {
+      query = query.not('revoked_at', 'is', null);
+    } else if (status) {
+      return res.status(400).json({ error: 'Status must be pending, accepted, expired or revoked' });
+    }
+
+    const { data: invitations, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      invitations: invitations.map(invitation => ({
+        ...invitation,
+        status: invitationStatus(invitation)
+      }))
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite a user with a role (admin only)
+router.post('/invitations', authenticateToken, authorize('users:invite'), audit('invitation'), async (req, res) => {
+  try {
+    const { email, role, cluster_id } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ error: 'Email and role are required' });
+    }
+
+    const rolePermissions = await getRolePermissions(role);
+
+    if (!rolePermissions) {
+      return res.status(400).json({ error: 'Unknown role' });
+    }
+
+    if (!holdsAllPermissions(req.user, rolePermissions)) {
+      return res.status(403).json({ error: 'You cannot invite someone to a role with permissions you do not have' });
+    }
+
+    // Check if user exists
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', email)
+      .single();
+
+    if (existingUser) {
+      return res.status(400).json({ error: 'Email already registered' });
+    }
+
+    let cluster = null;
+    if (cluster_id) {
+      const { data } = await supabaseAdmin
+        .from('clusters')
+        .select('id, name')
+        .eq('id', cluster_id)
+        .single();
+
+      if (!data) {
+        return res.status(404).json({ error: 'Cluster not found' });
+      }
+      cluster = data;
+    }
+
+    // Re-inviting replaces any pending invitation for the same email
+    await supabaseAdmin
+      .from('invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('email', email)
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+
+    const token = randomToken(32);
+
+    const { data: invitation, error } = await supabaseAdmin
+      .from('invitations')
+      .insert([{
+        email,
+        role,
+        cluster_id: cluster ? cluster.id : null,
+        token_hash: hashToken(token),
+        invited_by: req.user.id,
+        expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      }])
+      .select('id, email, role, cluster_id, expires_at, created_at')
+      .single();
+
+    if (error) throw error;
+
+    const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/accept-invitation?token=${token}`;
+    let emailSent = true;
+
+    try {
+      await notifyEmail(email, 'invitation', {
+        inviterName: req.user.name,
+        role,
+        clusterName: cluster ? cluster.name : null,
+        acceptUrl,
+        ttlDays: INVITATION_TTL_DAYS
+      });
+    } catch (mailError) {
+      emailSent = false;
+      console.error('Invitation email error:', mailError);
+    }
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation: { ...invitation, status: 'pending' },
+      emailSent
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+// Revoke a pending invitation (admin only)
+router.delete('/invitations/:id', authenticateToken, authorize('users:invite'), audit('invitation', { table: 'invitations', action: 'revoke' }), async (req, res) => {
+  try {
+    const { data: invitation, error } = await supabaseAdmin
+      .from('invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
 // Get user by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
-    // Users can only see their own profile unless they're admin
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    // Users can only see their own profile unless they have users:read
+    if (!hasPermission(req.user, 'users:read') && req.user.id !== req.params.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -44,10 +337,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, audit('user', { table: 'users' }), async (req, res) => {
   try {
-    // Users can only update their own profile unless they're admin
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    // Users can only update their own profile unless they have users:write
+    if (!hasPermission(req.user, 'users:write') && req.user.id !== req.params.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -72,4 +365,163 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Change a user's role (role is baked into tokens, so their sessions are revoked)
+router.patch('/:id/role', authenticateToken, authorize('users:write', 'roles:manage'), audit('user', { table: 'users', action: 'change_role' }), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const rolePermissions = role ? await getRolePermissions(role) : null;
+
+    if (!rolePermissions) {
+      return res.status(400).json({ error: 'A valid role is required' });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const { data: current, error: currentError } = await supabaseAdmin
+      .from('users')
+      .select('role')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+
+    if (!current) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Nobody can grant, or take away, more access than they have themselves
+    const currentPermissions = (await getRolePermissions(current.role)) || [];
+    if (!holdsAllPermissions(req.user, [...rolePermissions, ...currentPermissions])) {
+      return res.status(403).json({ error: 'You cannot change roles with permissions you do not have' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ role })
+      .eq('id', req.params.id)
+      .select('id, email, name, role')
+      .single();
+
+    if (error) throw error;
+
+    await revokeUserSessions(user.id, { reason: 'role_changed' });
+
+    res.json({
+      message: 'Role updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Unlock an account locked by failed logins (admin only)
+router.post('/:id/unlock', authenticateToken, authorize('users:security'), audit('user', { table: 'users', action: 'unlock' }), async (req, res) => {
+  try {
+    await clearFailedLogins(req.params.id);
+
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
+// Reset a user's 2FA, e.g. after losing their phone (admin only)
+router.delete('/:id/2fa', authenticateToken, authorize('users:security'), requireTwoFactor, audit('user', { table: 'users', action: 'reset_2fa' }), async (req, res) => {
+  try {
+    await disableTwoFactor(req.params.id);
+    await revokeUserSessions(req.params.id, { reason: '2fa_reset' });
+
+    res.json({ message: 'Two-factor authentication reset successfully' });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+// Impersonate a user to see what they see (admin only)
+router.post('/:id/impersonate', authenticateToken, authorize('users:impersonate'), blockImpersonation, audit('user', { action: 'impersonate', snapshot: false }), async (req, res) => {
+  try {
+    const { allow_destructive = false, reason } = req.body;
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    const { data: target, error } = await supabaseAdmin
+      .from('users')
+      .select('id, email, name, role, cluster_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Don't let impersonation become a way to borrow another admin's access
+    const targetPermissions = (await getRolePermissions(target.role)) || [];
+    if (targetPermissions.includes('users:impersonate')) {
+      return res.status(403).json({ error: 'Users who can impersonate others cannot be impersonated' });
+    }
+
+    if (!holdsAllPermissions(req.user, targetPermissions)) {
+      return res.status(403).json({ error: 'You cannot impersonate a user with permissions you do not have' });
+    }
+
+    const { token, session, expiresAt } = await createImpersonationSession(target, req.user, req, {
+      allowDestructive: allow_destructive === true,
+      reason: reason || null
+    });
+
+    res.status(201).json({
+      message: `Impersonating ${target.name}. This token expires at ${expiresAt} and cannot be refreshed.`,
+      token,
+      impersonation: {
+        sessionId: session.id,
+        user: target,
+        impersonator: { id: req.user.id, name: req.user.name, email: req.user.email },
+        allowDestructive: session.allow_destructive,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({ error: 'Failed to start impersonation' });
+  }
+});
+
+// Get active sessions for a user (admin only)
+router.get('/:id/sessions', authenticateToken, authorize('users:security'), async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.params.id);
+
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Revoke all sessions for a user (admin only)
+router.delete('/:id/sessions', authenticateToken, authorize('users:security'), audit('user', { action: 'revoke_sessions', snapshot: false }), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.id, { reason: 'admin_revoked' });
+
+    res.json({
+      message: 'All sessions revoked successfully',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
 module.exports = router;
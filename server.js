@@ -8,6 +8,12 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Trust the hosting proxy so req.ip is the client address (used for sessions)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: [
@@ -17,7 +23,12 @@ app.use(cors({
   ],
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body around for routes that check signatures over it (payment webhooks)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Import routes
@@ -34,6 +45,17 @@ const employeesRoutes = require('./routes/employees');
 const financeRoutes = require('./routes/finance');
 const impactRoutes = require('./routes/impact');
 const profileRoutes = require('./routes/profile');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
+const paymentRoutes = require('./routes/payments');
+const couponRoutes = require('./routes/coupons');
+const pricingRoutes = require('./routes/pricing');
+const returnRoutes = require('./routes/returns');
+const quoteRoutes = require('./routes/quotes');
+const subscriptionRoutes = require('./routes/subscriptions');
+const shipmentRoutes = require('./routes/shipments');
+const notificationRoutes = require('./routes/notifications');
+const { startScheduler } = require('./services/scheduler');
 
 // API routes
 app.use('/api/auth', authRoutes);
@@ -49,6 +71,16 @@ app.use('/api/employees', employeesRoutes);
 app.use('/api/finance', financeRoutes);
 app.use('/api/impact', impactRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/shipments', shipmentRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -78,6 +110,16 @@ app.listen(PORT, () => {
   console.log(`🚀 GreenVerse API server running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
+
+  // Password resets and invitations can't go out without one; they stay in the outbox and fail
+  if (!process.env.MAIL_TRANSPORT) {
+    console.error('⚠️  MAIL_TRANSPORT is not set: emails will not be sent');
+  }
+
+  // Recurring orders, overdue invoices and expired quotes; turn off where another instance runs them
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startScheduler();
+  }
 });
 
 module.exports = app;
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { hashToken } = require('../utils/tokens');
+
+// Keys look like gvk_<prefix>_<secret>; the prefix is stored in clear for lookup
+const KEY_PATTERN = /^gvk_([a-f0-9]{12})_([a-f0-9]{64})$/;
+
+// Generate a new key; the plain key is only ever returned to the caller once
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `gvk_${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+
+  return { key, key_prefix: prefix, key_hash: hashToken(key) };
+};
+
+// Resolve a raw key from the X-API-Key header to its active record, or null
+async function findActiveApiKey(rawKey, ip) {
+  const match = KEY_PATTERN.exec(String(rawKey || ''));
+  if (!match) return null;
+
+  const { data: apiKey, error } = await supabaseAdmin
+    .from('api_keys')
+    .select('id, cluster_id, name, key_hash, scopes, expires_at, revoked_at')
+    .eq('key_prefix', match[1])
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!apiKey || apiKey.revoked_at) return null;
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) return null;
+
+  const expected = Buffer.from(apiKey.key_hash, 'hex');
+  const actual = Buffer.from(hashToken(rawKey), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  // Track usage without holding up the request
+  supabaseAdmin
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString(), last_used_ip: ip })
+    .eq('id', apiKey.id)
+    .then(({ error: usageError }) => {
+      if (usageError) console.error('API key usage update error:', usageError);
+    });
+
+  return apiKey;
+}
+
+module.exports = { generateApiKey, findActiveApiKey };
@@ -0,0 +1,94 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Columns that must never end up in the audit trail
+const REDACTED_FIELDS = [
+  'password',
+  'password_hash',
+  'newPassword',
+  'currentPassword',
+  'token',
+  'refreshToken',
+  'challengeToken',
+  'refresh_token_hash',
+  'previous_token_hash',
+  'token_hash',
+  'key',
+  'key_hash',
+  'secret',
+  'otpauthUrl',
+  'totp_secret',
+  'totp_pending_secret',
+  'backupCodes'
+];
+
+// Copy a record with sensitive fields masked (works on nested objects and arrays)
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => (
+    REDACTED_FIELDS.includes(field) ? [field, '[redacted]'] : [field, redact(fieldValue)]
+  )));
+};
+
+// Field-by-field changes between two snapshots: { field: { from, to } }
+const diffRecords = (before, after) => {
+  if (!before || !after || Array.isArray(before) || Array.isArray(after)) return null;
+
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  });
+
+  return changes;
+};
+
+// Write one audit entry; failures are logged but never break the request that triggered it
+async function recordAuditLog({ req, action, entityType, entityId, before = null, after = null, statusCode }) {
+  const safeBefore = redact(before);
+  const safeAfter = redact(after);
+
+  const { error } = await supabaseAdmin
+    .from('audit_logs')
+    .insert([{
+      actor_id: req.user?.id || null,
+      actor_role: req.user?.role || null,
+      impersonator_id: req.user?.impersonator?.id || null,
+      api_key_id: req.user?.api_key_id || null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId ? String(entityId) : null,
+      before: safeBefore,
+      after: safeAfter,
+      changes: diffRecords(safeBefore, safeAfter),
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'] || null,
+      method: req.method,
+      path: req.originalUrl,
+      status_code: statusCode
+    }]);
+
+  if (error) console.error('Audit log error:', error);
+}
+
+// Log a request made with an impersonation token (every method, not only mutations)
+async function recordImpersonatedRequest(req, statusCode) {
+  const { error } = await supabaseAdmin
+    .from('impersonation_logs')
+    .insert([{
+      session_id: req.user.sid,
+      impersonator_id: req.user.impersonator.id,
+      user_id: req.user.id,
+      method: req.method,
+      path: req.originalUrl,
+      status_code: statusCode,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'] || null
+    }]);
+
+  if (error) console.error('Impersonation log error:', error);
+}
+
+module.exports = { redact, diffRecords, recordAuditLog, recordImpersonatedRequest };
@@ -0,0 +1,64 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+// Issue a single-use token for a user, replacing any unused one for the same purpose
+async function issueAuthToken(userId, purpose, ttlMinutes) {
+  const { error: deleteError } = await supabaseAdmin
+    .from('auth_tokens')
+    .delete()
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (deleteError) throw deleteError;
+
+  await purgeExpiredAuthTokens();
+
+  const token = randomToken(32);
+
+  const { error } = await supabaseAdmin
+    .from('auth_tokens')
+    .insert([{
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString()
+    }]);
+
+  if (error) throw error;
+
+  return token;
+}
+
+// Mark a token as used and return its user id, or null if it's unknown, used or expired
+async function consumeAuthToken(token, purpose) {
+  // Conditional update so the same token can't be redeemed twice concurrently
+  const { data, error } = await supabaseAdmin
+    .from('auth_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('user_id')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data ? data.user_id : null;
+}
+
+// Remove tokens that expired without being used
+async function purgeExpiredAuthTokens() {
+  const { error } = await supabaseAdmin
+    .from('auth_tokens')
+    .delete()
+    .is('used_at', null)
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('Purge expired auth tokens error:', error);
+  }
+}
+
+module.exports = { issueAuthToken, consumeAuthToken, purgeExpiredAuthTokens };
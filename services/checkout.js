@@ -0,0 +1,147 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { normalizeCode, couponErrorMessage } = require('./coupons');
+const { notifyUser, notifyStaff } = require('./notifications');
+
+// Stock at or below this sends product managers a low stock alert
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 10;
+
+// What a customer still has to do before they can order, or null if nothing
+async function checkoutBlocker(userId, { requireProfile = true } = {}) {
+  const { data: account } = await supabaseAdmin
+    .from('users')
+    .select('email_verified')
+    .eq('id', userId)
+    .single();
+
+  if (!account || !account.email_verified) {
+    return {
+      status: 403,
+      body: { error: 'Please verify your email before placing an order', emailUnverified: true }
+    };
+  }
+
+  if (!requireProfile) return null;
+
+  const { data: profile } = await supabaseAdmin
+    .from('client_profiles')
+    .select('phone, city, district, state, address_line')
+    .eq('user_id', userId)
+    .single();
+
+  if (!profile || !profile.phone || !profile.city || !profile.district || !profile.state || !profile.address_line) {
+    return {
+      status: 400,
+      body: { error: 'Please complete your profile before placing an order', profileIncomplete: true }
+    };
+  }
+
+  return null;
+}
+
+// Create the order, its items, the coupon redemption and the stock decrements in one
+// transaction (place_order in the database), priced the same way as quoteOrder. Returns { order, items }, or when nothing
+// was written { error: 'product_not_found', missing } / { error: 'insufficient_stock', shortages } /
+// { error: 'invalid_coupon', reason }. subscriptionId links orders placed by a subscription run, which
+// tells the client itself, so no order confirmation is sent for those.
+async function placeOrder(userId, items, { deliveryDate, couponCode, subscriptionId } = {}) {
+  const { data, error } = await supabaseAdmin.rpc('place_order', {
+    p_order: {
+      user_id: userId,
+      delivery_date: deliveryDate || null,
+      ...(subscriptionId ? { subscription_id: subscriptionId } : {})
+    },
+    p_items: items.map(({ product_id, quantity }) => ({ product_id, quantity: Number(quantity) })),
+    p_coupon_code: couponCode ? normalizeCode(couponCode) : null
+  });
+
+  if (error) throw error;
+
+  if (!data.error) {
+    await announceOrder(data, { confirm: !subscriptionId });
+  }
+
+  return data;
+}
+
+// Confirm a placed order to the client and alert staff about products it took to low stock.
+// Notifications can't fail the order, so problems are only logged.
+async function announceOrder({ order, items }, { confirm = true } = {}) {
+  try {
+    const quantities = {};
+    items.forEach(item => {
+      quantities[item.product_id] = (quantities[item.product_id] || 0) + item.quantity;
+    });
+
+    const { data: products, error } = await supabaseAdmin
+      .from('products')
+      .select('id, name, stock')
+      .in('id', Object.keys(quantities));
+
+    if (error) throw error;
+
+    if (confirm) {
+      const names = {};
+      products.forEach(product => {
+        names[product.id] = product.name;
+      });
+
+      await notifyUser(order.user_id, 'order_placed', {
+        order,
+        items: items.map(item => ({ name: names[item.product_id] || item.product_id, quantity: item.quantity }))
+      });
+    }
+
+    // Only the order that takes a product past the threshold raises the alert
+    const lowStock = products.filter(product => product.stock <= LOW_STOCK_THRESHOLD
+      && product.stock + quantities[product.id] > LOW_STOCK_THRESHOLD);
+
+    if (lowStock.length > 0) {
+      await notifyStaff('low_stock', { products: lowStock, threshold: LOW_STOCK_THRESHOLD }, { permission: 'products:write' });
+    }
+  } catch (notifyError) {
+    console.error('Order notification error:', notifyError);
+  }
+}
+
+// Price a cart without placing it (quote_order in the database): coupon discount, tax per line
+// by category and state, and the delivery fee for the destination and weight. The destination
+// defaults to the customer's profile. Returns the breakdown, or { error: 'product_not_found', missing } /
+// { error: 'invalid_coupon', reason }.
+async function quoteOrder(userId, items, { couponCode, state, district } = {}) {
+  const { data, error } = await supabaseAdmin.rpc('quote_order', {
+    p_user_id: userId,
+    p_items: items.map(({ product_id, quantity }) => ({ product_id, quantity: Number(quantity) })),
+    p_coupon_code: couponCode ? normalizeCode(couponCode) : null,
+    p_state: state || null,
+    p_district: district || null
+  });
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Turn a failed placeOrder or quoteOrder result into an HTTP status and body
+const checkoutFailure = (result) => {
+  if (result.error === 'product_not_found') {
+    return {
+      status: 404,
+      body: { error: `Product not found: ${result.missing.join(', ')}`, missing: result.missing }
+    };
+  }
+
+  if (result.error === 'invalid_coupon') {
+    return {
+      status: 400,
+      body: { error: couponErrorMessage(result), couponError: result.reason }
+    };
+  }
+
+  const names = result.shortages.map(item => `${item.name} (requested ${item.requested}, available ${item.available})`);
+  return {
+    status: 409,
+    body: { error: `Insufficient stock for ${names.join(', ')}`, outOfStock: result.shortages }
+  };
+};
+
+module.exports = { checkoutBlocker, placeOrder, announceOrder, quoteOrder, checkoutFailure };
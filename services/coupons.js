@@ -0,0 +1,33 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const COUPON_ERRORS = {
+  not_found: () => 'Coupon code not found',
+  inactive: () => 'This coupon is no longer active',
+  not_started: (result) => `This coupon can be used from ${new Date(result.starts_at).toLocaleDateString('en-PK')}`,
+  expired: () => 'This coupon has expired',
+  usage_limit: () => 'This coupon has been fully redeemed',
+  user_limit: () => 'You have already used this coupon',
+  min_order: (result) => `This coupon needs an order of at least PKR ${result.min_order_amount}`,
+  not_applicable: () => 'This coupon does not apply to any product in your cart'
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Discount a coupon would give on a cart, without redeeming it (evaluate_coupon in the database).
+// Returns { coupon_id, code, discount_amount, eligible_subtotal, subtotal } or { error: 'invalid_coupon', reason }.
+async function evaluateCoupon(code, userId, items) {
+  const { data, error } = await supabaseAdmin.rpc('evaluate_coupon', {
+    p_code: normalizeCode(code),
+    p_user_id: userId,
+    p_items: items.map(({ product_id, quantity }) => ({ product_id, quantity: Number(quantity) }))
+  });
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Customer-facing message for an invalid_coupon result
+const couponErrorMessage = (result) => (COUPON_ERRORS[result.reason] || (() => 'Invalid coupon'))(result);
+
+module.exports = { normalizeCode, evaluateCoupon, couponErrorMessage };
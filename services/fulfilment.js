@@ -0,0 +1,230 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const FULFILMENT_STATUSES = ['Allocated', 'Packing', 'Packed', 'Dispatched', 'Cancelled'];
+
+// Packing and dispatch steps a cluster moves through
+const FULFILMENT_TRANSITIONS = {
+  Allocated: ['Packing'],
+  Packing: ['Packed'],
+  Packed: ['Dispatched']
+};
+
+// Allocate confirmed orders automatically unless turned off
+const AUTO_ALLOCATE_ORDERS = process.env.AUTO_ALLOCATE_ORDERS !== 'false';
+
+const sameText = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// 0 for the client's district, 1 for their state, 2 for anywhere else
+const distance = (cluster, destination) => {
+  if (sameText(cluster.state, destination.state)) {
+    return sameText(cluster.district, destination.district) ? 0 : 1;
+  }
+  return 2;
+};
+
+// Allocate (or with cluster_id null, unassign) order lines (assign_order_items in the database).
+// Returns { items, fulfilments } or { error } (see fulfilmentFailure).
+async function assignOrderItems(orderId, assignments, { user = null, method = 'manual' } = {}) {
+  const { data, error } = await supabaseAdmin.rpc('assign_order_items', {
+    p_order_id: orderId,
+    p_assignments: assignments,
+    p_method: method,
+    p_actor_id: user?.id || null
+  });
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Pick clusters for the order's unallocated lines from what they have left to supply: one cluster
+// for the whole order if any can, the closest first; otherwise the closest able cluster per line.
+// Lines no cluster can cover are returned as unallocated.
+async function planAllocation(orderId) {
+  const { data: order, error } = await supabaseAdmin
+    .from('orders')
+    .select('id, user_id, shipping_state, shipping_district, items:order_items(id, product_id, quantity, cluster_id)')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!order) return null;
+
+  const items = order.items.filter(item => !item.cluster_id);
+  if (items.length === 0) return { assignments: [], unallocated: [] };
+
+  let destination = { state: order.shipping_state, district: order.shipping_district };
+  if (!destination.state) {
+    const { data: profile } = await supabaseAdmin
+      .from('client_profiles')
+      .select('state, district')
+      .eq('user_id', order.user_id)
+      .maybeSingle();
+
+    destination = profile || {};
+  }
+
+  const [{ data: clusters, error: clustersError }, { data: stock, error: stockError }] = await Promise.all([
+    supabaseAdmin.from('clusters').select('id, name, district, state').eq('status', 'Active'),
+    supabaseAdmin.rpc('cluster_stock', { p_product_ids: [...new Set(items.map(item => item.product_id))] })
+  ]);
+
+  if (clustersError) throw clustersError;
+  if (stockError) throw stockError;
+
+  const available = {};
+  stock.forEach(row => {
+    available[row.cluster_id] = available[row.cluster_id] || {};
+    available[row.cluster_id][row.product_id] = Number(row.available);
+  });
+
+  const supply = (cluster, productId) => available[cluster.id]?.[productId] || 0;
+  const byPreference = (a, b) => a.distance - b.distance || b.supply - a.supply;
+
+  // Quantity needed per product, for the single-cluster check
+  const needed = {};
+  items.forEach(item => {
+    needed[item.product_id] = (needed[item.product_id] || 0) + item.quantity;
+  });
+
+  const [whole] = clusters
+    .filter(cluster => Object.entries(needed).every(([productId, quantity]) => supply(cluster, productId) >= quantity))
+    .map(cluster => ({
+      cluster,
+      distance: distance(cluster, destination),
+      supply: Object.keys(needed).reduce((sum, productId) => sum + supply(cluster, productId), 0)
+    }))
+    .sort(byPreference);
+
+  if (whole) {
+    return {
+      assignments: items.map(item => ({ order_item_id: item.id, cluster_id: whole.cluster.id })),
+      unallocated: []
+    };
+  }
+
+  const assignments = [];
+  const unallocated = [];
+
+  items.forEach(item => {
+    const [best] = clusters
+      .filter(cluster => supply(cluster, item.product_id) >= item.quantity)
+      .map(cluster => ({ cluster, distance: distance(cluster, destination), supply: supply(cluster, item.product_id) }))
+      .sort(byPreference);
+
+    if (!best) {
+      unallocated.push(item);
+      return;
+    }
+
+    available[best.cluster.id][item.product_id] -= item.quantity;
+    assignments.push({ order_item_id: item.id, cluster_id: best.cluster.id });
+  });
+
+  return { assignments, unallocated };
+}
+
+// Allocate an order's unallocated lines by stock and distance. Returns { items, fulfilments, unallocated }
+// or { error } (see fulfilmentFailure).
+async function autoAllocateOrder(orderId, { user = null } = {}) {
+  const plan = await planAllocation(orderId);
+  if (!plan) return { error: 'not_found' };
+
+  if (plan.assignments.length === 0 && plan.unallocated.length > 0) {
+    return { error: 'no_supply', unallocated: plan.unallocated };
+  }
+
+  const result = await assignOrderItems(orderId, plan.assignments, { user, method: 'auto' });
+  if (result.error) return result;
+
+  return { ...result, unallocated: plan.unallocated };
+}
+
+// Move a cluster's part of an order to its next packing/dispatch step.
+// Returns { fulfilment } or { error: 'not_found' | 'invalid_transition' (from, allowed) | 'unknown_status' }.
+async function updateFulfilmentStatus(orderId, clusterId, status, { note } = {}) {
+  if (!FULFILMENT_STATUSES.includes(status)) {
+    return { error: 'unknown_status' };
+  }
+
+  const { data: current, error } = await supabaseAdmin
+    .from('order_fulfilments')
+    .select('id, status')
+    .eq('order_id', orderId)
+    .eq('cluster_id', clusterId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!current) return { error: 'not_found' };
+
+  const allowed = FULFILMENT_TRANSITIONS[current.status] || [];
+  if (!allowed.includes(status)) {
+    return { error: 'invalid_transition', from: current.status, allowed };
+  }
+
+  const updateData = { status };
+  if (note !== undefined) updateData.note = note;
+  if (status === 'Packed') updateData.packed_at = new Date().toISOString();
+  if (status === 'Dispatched') updateData.dispatched_at = new Date().toISOString();
+
+  const { data: fulfilment, error: updateError } = await supabaseAdmin
+    .from('order_fulfilments')
+    .update(updateData)
+    .eq('id', current.id)
+    .eq('status', current.status)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!fulfilment) return { error: 'invalid_transition', from: 'changed', allowed: [] };
+
+  return { fulfilment };
+}
+
+// Stop packing for a cancelled order; parts already dispatched stay as they are
+async function cancelFulfilments(orderId) {
+  const { error } = await supabaseAdmin
+    .from('order_fulfilments')
+    .update({ status: 'Cancelled' })
+    .eq('order_id', orderId)
+    .neq('status', 'Dispatched');
+
+  if (error) throw error;
+}
+
+// Turn a failed allocation or fulfilment result into an HTTP status and body
+const fulfilmentFailure = (result, toStatus) => {
+  switch (result.error) {
+    case 'not_found':
+      return { status: 404, body: { error: toStatus ? 'This cluster has no part in the order' : 'Order not found' } };
+    case 'unknown_status':
+      return { status: 400, body: { error: `Status must be one of: ${FULFILMENT_STATUSES.join(', ')}` } };
+    case 'invalid_transition':
+      return {
+        status: 409,
+        body: { error: `Cannot change fulfilment from ${result.from} to ${toStatus}`, currentStatus: result.from, allowedStatuses: result.allowed }
+      };
+    case 'invalid_status':
+      return { status: 409, body: { error: `Orders can't be allocated while ${result.status}`, currentStatus: result.status } };
+    case 'invalid_items':
+      return { status: 400, body: { error: 'Some items are not part of this order', invalid: result.invalid } };
+    case 'invalid_clusters':
+      return { status: 400, body: { error: 'Some clusters do not exist or are not active', invalid: result.invalid } };
+    case 'fulfilment_started':
+      return { status: 409, body: { error: 'These clusters have started packing and keep their items', clusters: result.clusters } };
+    case 'no_supply':
+      return { status: 409, body: { error: 'No cluster has enough stock for these items; allocate them by hand', unallocated: result.unallocated } };
+    default:
+      return { status: 400, body: { error: 'Invalid allocation' } };
+  }
+};
+
+module.exports = {
+  FULFILMENT_STATUSES,
+  AUTO_ALLOCATE_ORDERS,
+  assignOrderItems,
+  autoAllocateOrder,
+  updateFulfilmentStatus,
+  cancelFulfilments,
+  fulfilmentFailure
+};
@@ -0,0 +1,96 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// How long a key's response is kept for retries
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+const findKey = async (userId, key) => {
+  const { data, error } = await supabaseAdmin
+    .from('idempotency_keys')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+};
+
+// Claim a key for a request about to run. Returns { claimed } with the new row, or { existing } when
+// the key is already taken (in progress or completed). An expired key is freed and claimed again.
+async function claimKey(userId, key, { endpoint, requestHash }) {
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const { data: claimed, error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .insert([{
+        user_id: userId,
+        key,
+        endpoint,
+        request_hash: requestHash,
+        expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+      }])
+      .select()
+      .single();
+
+    if (!error) return { claimed };
+    if (error.code !== '23505') throw error;
+
+    const existing = await findKey(userId, key);
+    if (existing && new Date(existing.expires_at) > new Date()) {
+      return { existing };
+    }
+
+    if (existing) {
+      const { error: deleteError } = await supabaseAdmin
+        .from('idempotency_keys')
+        .delete()
+        .eq('id', existing.id)
+        .lt('expires_at', new Date().toISOString());
+
+      if (deleteError) throw deleteError;
+    }
+  }
+
+  return { existing: await findKey(userId, key) };
+}
+
+// Store the response the request finished with, for replaying to retries
+async function completeKey(id, { status, body }) {
+  const { error } = await supabaseAdmin
+    .from('idempotency_keys')
+    .update({
+      status: 'completed',
+      response_status: status,
+      response_body: body === undefined ? null : body,
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
+// Give up a claim so the request can be tried again with the same key (server errors)
+async function releaseKey(id) {
+  const { error } = await supabaseAdmin
+    .from('idempotency_keys')
+    .delete()
+    .eq('id', id)
+    .eq('status', 'processing');
+
+  if (error) throw error;
+}
+
+// Delete keys past their expiry (called by the scheduler). Returns how many were removed.
+async function purgeExpiredKeys() {
+  const { data, error } = await supabaseAdmin
+    .from('idempotency_keys')
+    .delete()
+    .lt('expires_at', new Date().toISOString())
+    .select('id');
+
+  if (error) throw error;
+
+  return { deleted: data.length };
+}
+
+module.exports = { IDEMPOTENCY_KEY_TTL_HOURS, claimKey, completeKey, releaseKey, purgeExpiredKeys };
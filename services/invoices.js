@@ -0,0 +1,148 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Flat rate for orders placed before tax rules; newer orders carry their own tax_amount
+const INVOICE_TAX_RATE = parseFloat(process.env.INVOICE_TAX_RATE) || 0;
+const INVOICE_DUE_DAYS = parseInt(process.env.INVOICE_DUE_DAYS, 10) || 14;
+
+// Invoice statuses; Overdue is worked out from due_date and the paid ones come from payments,
+// so the only change made by hand is voiding an invoice nothing has been paid on
+const INVOICE_STATUSES = ['Pending', 'Partially Paid', 'Paid', 'Overdue', 'Void'];
+
+// Issue the invoice for an order (create_invoice in the database); safe to call more than once
+async function createInvoiceForOrder(orderId) {
+  const { data, error } = await supabaseAdmin.rpc('create_invoice', {
+    p_order_id: orderId,
+    p_tax_rate: INVOICE_TAX_RATE,
+    p_due_days: INVOICE_DUE_DAYS
+  });
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Unpaid statuses that turn Overdue once the due date has passed
+const OPEN_INVOICE_STATUSES = ['Pending', 'Partially Paid'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Flip unpaid invoices past their due date to Overdue (called by the scheduler)
+async function markOverdueInvoices() {
+  const { data, error } = await supabaseAdmin
+    .from('invoices')
+    .update({ status: 'Overdue' })
+    .in('status', OPEN_INVOICE_STATUSES)
+    .lt('due_date', today())
+    .select('id');
+
+  if (error) throw error;
+
+  return data?.length || 0;
+}
+
+// An unpaid invoice past its due date reads as Overdue, whether or not the scheduler has marked it yet
+const withOverdueStatus = (invoice) => (
+  OPEN_INVOICE_STATUSES.includes(invoice.status) && invoice.due_date && invoice.due_date < today()
+    ? { ...invoice, status: 'Overdue' }
+    : invoice
+);
+
+// Filter an invoices query by status the way withOverdueStatus reports it
+const filterByInvoiceStatus = (query, status) => {
+  if (status === 'Overdue') {
+    return query.or(`status.eq.Overdue,and(status.in.(${OPEN_INVOICE_STATUSES.map(open => `"${open}"`).join(',')}),due_date.lt.${today()})`);
+  }
+
+  if (OPEN_INVOICE_STATUSES.includes(status)) {
+    return query.eq('status', status).or(`due_date.is.null,due_date.gte.${today()}`);
+  }
+
+  return query.eq('status', status);
+};
+
+// Invoice for an order with its lines, or null if none has been issued
+async function getInvoiceForOrder(orderId) {
+  const { data: invoice, error } = await supabaseAdmin
+    .from('invoices')
+    .select('*')
+    .eq('order_id', orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!invoice) return null;
+
+  const { data: items, error: itemsError } = await supabaseAdmin
+    .from('invoice_items')
+    .select('product_id, description, quantity, unit_price, total_price')
+    .eq('invoice_id', invoice.id)
+    .order('created_at', { ascending: true });
+
+  if (itemsError) throw itemsError;
+
+  return { ...withOverdueStatus(invoice), items: items || [] };
+}
+
+// Void the invoice of a cancelled order unless it was already paid
+async function voidInvoiceForOrder(orderId) {
+  const { error } = await supabaseAdmin
+    .from('invoices')
+    .update({ status: 'Void' })
+    .eq('order_id', orderId)
+    .in('status', ['Pending', 'Partially Paid', 'Overdue']);
+
+  if (error) throw error;
+}
+
+// Void an invoice by hand. Only invoices with nothing paid and no payment under way can be voided.
+// Returns { invoice } or { error: 'not_found' | 'invalid_status' (status) | 'has_payments' }.
+async function voidInvoice(invoiceId) {
+  const { data: current, error: loadError } = await supabaseAdmin
+    .from('invoices')
+    .select('id, order_id, status, amount_paid')
+    .eq('id', invoiceId)
+    .maybeSingle();
+
+  if (loadError) throw loadError;
+  if (!current) return { error: 'not_found' };
+
+  const { count: pending, error: pendingError } = await supabaseAdmin
+    .from('payments')
+    .select('id', { count: 'exact', head: true })
+    .eq('order_id', current.order_id)
+    .eq('status', 'pending');
+
+  if (pendingError) throw pendingError;
+  if (parseFloat(current.amount_paid) > 0 || pending > 0) return { error: 'has_payments' };
+
+  if (!['Pending', 'Overdue'].includes(current.status)) {
+    return { error: 'invalid_status', status: current.status };
+  }
+
+  // Only if no payment was settled on it since it was read
+  const { data: invoice, error } = await supabaseAdmin
+    .from('invoices')
+    .update({ status: 'Void', paid_at: null })
+    .eq('id', invoiceId)
+    .eq('status', current.status)
+    .eq('amount_paid', 0)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!invoice) return { error: 'has_payments' };
+
+  return { invoice };
+}
+
+module.exports = {
+  INVOICE_TAX_RATE,
+  INVOICE_DUE_DAYS,
+  INVOICE_STATUSES,
+  createInvoiceForOrder,
+  markOverdueInvoices,
+  withOverdueStatus,
+  filterByInvoiceStatus,
+  getInvoiceForOrder,
+  voidInvoiceForOrder,
+  voidInvoice
+};
@@ -0,0 +1,102 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay grows with each consecutive failure: 0, 0.5s, 1s, 2s, 4s... capped at 8s
+const failureDelay = (failures) => {
+  if (failures <= 1) return 0;
+  return Math.min(500 * Math.pow(2, failures - 2), MAX_DELAY_MS);
+};
+
+// Count a login from the request's IP before the password is checked, so parallel requests can't
+// all get in under the per-IP limit. Returns { blocked, failures, attemptId }; the attempt is stored as
+// a failure until recordLoginAttempt (with attemptId) or releaseLoginAttempt says how it ended.
+async function startLoginAttempt(req, email) {
+  const { data, error } = await supabaseAdmin.rpc('start_login_attempt', {
+    p_ip: req.ip,
+    p_email: email,
+    p_user_agent: req.headers['user-agent'] || null,
+    p_window_minutes: IP_WINDOW_MINUTES,
+    p_max_failures: IP_MAX_FAILURES
+  });
+
+  if (error) throw error;
+
+  return { blocked: data.blocked, failures: data.failures, attemptId: data.attempt_id || null };
+}
+
+// Store a login attempt, or the outcome of one started with startLoginAttempt; never fails the login itself
+async function recordLoginAttempt(req, { attemptId = null, email, userId = null, success, reason = null }) {
+  const attempt = {
+    user_id: userId,
+    email,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'] || null,
+    success,
+    failure_reason: reason
+  };
+
+  const { error } = attemptId
+    ? await supabaseAdmin.from('login_attempts').update(attempt).eq('id', attemptId)
+    : await supabaseAdmin.from('login_attempts').insert([attempt]);
+
+  if (error) {
+    console.error('Record login attempt error:', error);
+  }
+}
+
+// Drop a started attempt that wasn't a login yet (password right, second factor still to come)
+async function releaseLoginAttempt(attemptId) {
+  const { error } = await supabaseAdmin
+    .from('login_attempts')
+    .delete()
+    .eq('id', attemptId);
+
+  if (error) {
+    console.error('Release login attempt error:', error);
+  }
+}
+
+// Count an attempt on the account before its password or code is checked, locking it once the limit
+// is reached; one atomic statement, so parallel guesses can't get past the lockout. Returns
+// { locked, lockedUntil, failures }: locked means the account was already locked and the attempt must
+// be refused, lockedUntil without locked means this attempt used the last try. A good login clears it.
+async function countLoginAttempt(userId) {
+  const { data, error } = await supabaseAdmin.rpc('count_login_attempt', {
+    p_user_id: userId,
+    p_max_attempts: MAX_FAILED_ATTEMPTS,
+    p_lockout_minutes: LOCKOUT_MINUTES
+  });
+
+  if (error) throw error;
+
+  return { locked: data.locked, lockedUntil: data.locked_until, failures: data.failures };
+}
+
+// Clear failure state after a good login or an admin unlock
+async function clearFailedLogins(userId) {
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({ failed_login_count: 0, locked_until: null })
+    .eq('id', userId);
+
+  if (error) throw error;
+}
+
+module.exports = {
+  IP_MAX_FAILURES,
+  IP_WINDOW_MINUTES,
+  sleep,
+  failureDelay,
+  startLoginAttempt,
+  recordLoginAttempt,
+  releaseLoginAttempt,
+  countLoginAttempt,
+  clearFailedLogins
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// The file and console transports don't deliver anything, so they only exist when explicitly turned on outside production
+const localTransportsEnabled = () => process.env.LOCAL_TRANSPORTS_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+const LOCAL_TRANSPORTS = ['file', 'console'];
+
+// The transport registered under a name, if it can be used here
+const transportFor = (registry, name) => {
+  if (!name || (LOCAL_TRANSPORTS.includes(name) && !localTransportsEnabled())) return null;
+  return registry[name] || null;
+};
+
+// Transports take a message ({ from, to, subject, text, html }) and deliver it
+const transports = {
+  // Write each message as a JSON file to the outbox folder (works offline)
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id };
+  },
+
+  // Print the message to the server log
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+};
+
+// Plug in another transport (e.g. SMTP or an email API) under a name usable in MAIL_TRANSPORT
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Send a message through the transport selected by MAIL_TRANSPORT. Throws when none is usable, so the
+// message is retried and then marked failed instead of sent.
+async function sendMail({ to, subject, text, html }) {
+  const name = process.env.MAIL_TRANSPORT;
+  const transport = transportFor(transports, name);
+
+  if (!transport) {
+    throw new Error(name
+      ? `Mail transport ${name} is not available (file and console need LOCAL_TRANSPORTS_ENABLED=true outside production)`
+      : 'No mail transport configured: set MAIL_TRANSPORT');
+  }
+
+  return transport({
+    from: process.env.MAIL_FROM || 'GreenVerse <no-reply@greenverse.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+}
+
+module.exports = { sendMail, registerTransport, localTransportsEnabled, transportFor };
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { transportFor } = require('./mailer');
+
+// SMS and WhatsApp delivery, alongside the mailer. Transports take a message ({ channel, from, to, text })
+// and deliver it. The file and console transports follow the mailer's LOCAL_TRANSPORTS_ENABLED switch
+const outboxTransports = {
+  // Write each message as a JSON file to outbox/<channel> (works offline)
+  file: async (message) => {
+    const dir = path.join(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'), message.channel);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id };
+  },
+
+  // Print the message to the server log
+  console: async (message) => {
+    console.log(`📱 ${message.channel} to ${message.to}: ${message.text}`);
+    return { id: null };
+  }
+};
+
+const transports = {
+  sms: { ...outboxTransports },
+  whatsapp: { ...outboxTransports }
+};
+
+// Plug in a gateway for a channel under a name usable in SMS_TRANSPORT / WHATSAPP_TRANSPORT
+const registerTransport = (channel, name, transport) => {
+  transports[channel] = transports[channel] || {};
+  transports[channel][name] = transport;
+};
+
+// Send a text message through the transport selected for the channel (SMS_TRANSPORT, WHATSAPP_TRANSPORT).
+// Throws when none is usable, so the message is retried and then marked failed instead of sent.
+async function sendMessage(channel, { to, text }) {
+  const prefix = channel.toUpperCase();
+  const name = process.env[`${prefix}_TRANSPORT`];
+  const transport = transportFor(transports[channel] || {}, name);
+
+  if (!transport) {
+    throw new Error(name
+      ? `${channel} transport ${name} is not available (file and console need LOCAL_TRANSPORTS_ENABLED=true outside production)`
+      : `No ${channel} transport configured: set ${prefix}_TRANSPORT`);
+  }
+
+  return transport({
+    channel,
+    from: process.env[`${prefix}_FROM`] || 'GreenVerse',
+    to,
+    text
+  });
+}
+
+module.exports = { sendMessage, registerTransport };
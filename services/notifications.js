@@ -0,0 +1,307 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { sendMail } = require('./mailer');
+const { sendMessage } = require('./messaging');
+const { rolesWithPermission } = require('./permissions');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS } = require('../config/notifications');
+
+// Delivery attempts before a message is marked failed
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+
+// Messages sent per outbox run
+const OUTBOX_BATCH_SIZE = 50;
+
+// Wait before the next attempt after a failure: 1, 5, 25, 125... minutes
+const retryDelayMinutes = (attempts) => 5 ** Math.max(attempts - 1, 0);
+
+// Channels a user gets an event on: their saved choice, otherwise the event's defaults
+const channelsFor = (event, saved) => {
+  const definition = NOTIFICATION_EVENTS[event];
+  if (definition.required) return ['email'];
+  return saved || definition.channels;
+};
+
+// Outbox rows for one recipient, one per channel they can be reached on
+const buildMessages = (event, data, recipient, channels) => {
+  const message = NOTIFICATION_EVENTS[event].render(data, recipient);
+
+  return channels
+    .map(channel => ({
+      user_id: recipient.id || null,
+      event,
+      channel,
+      recipient: channel === 'email' ? recipient.email : recipient.phone,
+      subject: channel === 'email' ? message.subject : null,
+      body: channel === 'email' ? message.text : message.short || message.subject
+    }))
+    .filter(row => row.recipient);
+};
+
+let draining = false;
+let drainAgain = false;
+
+// Send newly queued messages right away rather than on the next scheduler tick
+function processSoon() {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+
+  draining = true;
+  setImmediate(async () => {
+    try {
+      await processOutbox();
+    } catch (error) {
+      console.error('Notification outbox error:', error);
+    }
+
+    draining = false;
+    if (drainAgain) {
+      drainAgain = false;
+      processSoon();
+    }
+  });
+}
+
+async function enqueue(rows) {
+  if (rows.length === 0) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('notifications')
+    .insert(rows)
+    .select('id, user_id, channel, recipient, status');
+
+  if (error) throw error;
+
+  processSoon();
+
+  return data;
+}
+
+// Queue an event for users on the channels each has chosen. SMS/WhatsApp go to the account's
+// phone, or the delivery profile's. Returns the queued outbox rows.
+async function notifyUsers(userIds, event, data = {}) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const [
+    { data: users, error },
+    { data: profiles, error: profilesError },
+    { data: preferences, error: preferencesError }
+  ] = await Promise.all([
+    supabaseAdmin.from('users').select('id, name, email, phone').in('id', ids),
+    supabaseAdmin.from('client_profiles').select('user_id, phone').in('user_id', ids),
+    supabaseAdmin.from('notification_preferences').select('user_id, channels').eq('event', event).in('user_id', ids)
+  ]);
+
+  if (error) throw error;
+  if (profilesError) throw profilesError;
+  if (preferencesError) throw preferencesError;
+
+  const profilePhones = {};
+  profiles.forEach(profile => {
+    profilePhones[profile.user_id] = profile.phone;
+  });
+
+  const saved = {};
+  preferences.forEach(preference => {
+    saved[preference.user_id] = preference.channels;
+  });
+
+  return enqueue(users.flatMap(user => buildMessages(
+    event,
+    data,
+    { ...user, phone: user.phone || profilePhones[user.id] || null },
+    channelsFor(event, saved[user.id])
+  )));
+}
+
+const notifyUser = (userId, event, data) => notifyUsers([userId], event, data);
+
+// Queue an email to an address without an account yet (invitations)
+const notifyEmail = (email, event, data = {}) => enqueue(buildMessages(event, data, { email }, ['email']));
+
+// Queue an event for staff: the accounts whose role grants the permission and, with clusterId,
+// the accounts of that cluster. exceptUserId leaves out the user the event is about.
+async function notifyStaff(event, data, { permission, clusterId = null, exceptUserId = null }) {
+  const roles = await rolesWithPermission(permission);
+
+  const [{ data: staff, error }, { data: clusterUsers, error: clusterError }] = await Promise.all([
+    supabaseAdmin.from('users').select('id').in('role', roles),
+    clusterId
+      ? supabaseAdmin.from('users').select('id').eq('cluster_id', clusterId)
+      : Promise.resolve({ data: [], error: null })
+  ]);
+
+  if (error) throw error;
+  if (clusterError) throw clusterError;
+
+  const ids = [...staff, ...clusterUsers].map(user => user.id).filter(id => id !== exceptUserId);
+
+  return notifyUsers(ids, event, data);
+}
+
+// Sign-in links in a message replaced, for keeping secret events once they're sent
+const withoutLinks = (text) => text.replace(/https?:\/\/\S+/g, '[link removed]');
+
+const deliver = (notification) => (notification.channel === 'email'
+  ? sendMail({ to: notification.recipient, subject: notification.subject, text: notification.body })
+  : sendMessage(notification.channel, { to: notification.recipient, text: notification.body }));
+
+// Send due messages from the outbox. A failed send is retried later with a growing delay, and marked
+// failed after NOTIFICATION_MAX_ATTEMPTS. Returns { sent, retrying, failed }.
+async function processOutbox() {
+  const { data: claimed, error } = await supabaseAdmin.rpc('claim_notifications', { p_limit: OUTBOX_BATCH_SIZE });
+
+  if (error) throw error;
+
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+
+  for (const notification of claimed) {
+    let updateData;
+
+    try {
+      const result = await deliver(notification);
+      updateData = { status: 'sent', sent_at: new Date().toISOString(), provider_message_id: result?.id || null, last_error: null };
+      if (NOTIFICATION_EVENTS[notification.event]?.secret) updateData.body = withoutLinks(notification.body);
+      summary.sent += 1;
+    } catch (sendError) {
+      const failed = notification.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+      updateData = {
+        status: failed ? 'failed' : 'pending',
+        last_error: String(sendError.message || sendError).slice(0, 1000),
+        next_attempt_at: new Date(Date.now() + retryDelayMinutes(notification.attempts) * 60 * 1000).toISOString()
+      };
+      summary[failed ? 'failed' : 'retrying'] += 1;
+    }
+
+    // A message whose result can't be saved is picked up again once its claim goes stale
+    const { error: updateError } = await supabaseAdmin
+      .from('notifications')
+      .update({ ...updateData, locked_at: null })
+      .eq('id', notification.id);
+
+    if (updateError) console.error(`Notification ${notification.id} update error:`, updateError);
+  }
+
+  return summary;
+}
+
+// Put a failed message back in the queue with a fresh set of attempts.
+// Returns { notification } or { error: 'not_found' | 'invalid_status' }.
+async function retryNotification(notificationId) {
+  const { data: notification, error } = await supabaseAdmin
+    .from('notifications')
+    .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() })
+    .eq('id', notificationId)
+    .eq('status', 'failed')
+    .select('id, user_id, event, channel, recipient, status, attempts, next_attempt_at, created_at')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!notification) {
+    const { data: current } = await supabaseAdmin
+      .from('notifications')
+      .select('status')
+      .eq('id', notificationId)
+      .maybeSingle();
+
+    return current ? { error: 'invalid_status', status: current.status } : { error: 'not_found' };
+  }
+
+  processSoon();
+
+  return { notification };
+}
+
+// A user's channels for every event they can change
+async function getPreferences(userId) {
+  const { data: preferences, error } = await supabaseAdmin
+    .from('notification_preferences')
+    .select('event, channels')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const saved = {};
+  preferences.forEach(preference => {
+    saved[preference.event] = preference.channels;
+  });
+
+  return Object.entries(NOTIFICATION_EVENTS)
+    .filter(([, definition]) => !definition.required)
+    .map(([event, definition]) => ({
+      event,
+      label: definition.label,
+      channels: channelsFor(event, saved[event]),
+      defaultChannels: definition.channels
+    }));
+}
+
+// Save a user's channels for some events ([{ event, channels }]; an empty list turns the event off).
+// Returns the updated preferences, or { error: 'unknown_event' | 'invalid_channel' | 'phone_required' }.
+async function setPreferences(userId, preferences) {
+  for (const { event, channels } of preferences) {
+    if (!NOTIFICATION_EVENTS[event] || NOTIFICATION_EVENTS[event].required) {
+      return { error: 'unknown_event', event };
+    }
+
+    if (!Array.isArray(channels) || channels.some(channel => !NOTIFICATION_CHANNELS.includes(channel))) {
+      return { error: 'invalid_channel', event };
+    }
+  }
+
+  const wantsPhone = preferences.some(({ channels }) => channels.some(channel => channel !== 'email'));
+  if (wantsPhone) {
+    const [{ data: account }, { data: profile }] = await Promise.all([
+      supabaseAdmin.from('users').select('phone').eq('id', userId).maybeSingle(),
+      supabaseAdmin.from('client_profiles').select('phone').eq('user_id', userId).maybeSingle()
+    ]);
+
+    if (!account?.phone && !profile?.phone) return { error: 'phone_required' };
+  }
+
+  if (preferences.length > 0) {
+    const { error } = await supabaseAdmin
+      .from('notification_preferences')
+      .upsert(
+        preferences.map(({ event, channels }) => ({ user_id: userId, event, channels: [...new Set(channels)] })),
+        { onConflict: 'user_id,event' }
+      );
+
+    if (error) throw error;
+  }
+
+  return { preferences: await getPreferences(userId) };
+}
+
+// Turn a failed notification result into an HTTP status and body
+const notificationFailure = (result) => {
+  switch (result.error) {
+    case 'not_found':
+      return { status: 404, body: { error: 'Notification not found' } };
+    case 'invalid_status':
+      return { status: 409, body: { error: `Only failed notifications can be retried (this one is ${result.status})`, currentStatus: result.status } };
+    case 'unknown_event':
+      return { status: 400, body: { error: `Unknown notification event: ${result.event}` } };
+    case 'invalid_channel':
+      return { status: 400, body: { error: `Channels for ${result.event} must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}` } };
+    case 'phone_required':
+      return { status: 400, body: { error: 'Add a phone number to your account or delivery profile to get SMS or WhatsApp messages' } };
+    default:
+      return { status: 400, body: { error: 'Invalid notification request' } };
+  }
+};
+
+module.exports = {
+  NOTIFICATION_MAX_ATTEMPTS,
+  notifyUser,
+  notifyUsers,
+  notifyEmail,
+  notifyStaff,
+  processOutbox,
+  retryNotification,
+  getPreferences,
+  setPreferences,
+  notificationFailure
+};
@@ -0,0 +1,143 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { INVOICE_TAX_RATE, INVOICE_DUE_DAYS, voidInvoiceForOrder } = require('./invoices');
+const { AUTO_ALLOCATE_ORDERS, autoAllocateOrder, cancelFulfilments } = require('./fulfilment');
+const { notifyUser } = require('./notifications');
+const { ORDER_STATUSES, ORDER_TRANSITIONS, canTransition, manualTransitions } = require('../config/orderStatus');
+
+// Statuses an order can still be cancelled from
+const CANCELLABLE_STATUSES = Object.keys(ORDER_TRANSITIONS).filter(status => canTransition(status, 'Cancelled'));
+
+// Tell the client their order moved on; a notification problem shouldn't undo the change
+async function notifyStatusChange(order, note) {
+  try {
+    await notifyUser(order.user_id, 'order_status_changed', { order, status: order.status, note });
+  } catch (notifyError) {
+    console.error('Order status notification error:', notifyError);
+  }
+}
+
+// Cancel an order and put its stock back (cancel_order in the database). Money already paid is opened
+// as a pending refund; orders with a payment still pending can't be cancelled.
+// ownerId limits it to that user's order. Returns { order, refund } or { error } like transitionOrder,
+// or { error: 'payment_pending' }.
+async function cancelOrder(orderId, { user = null, reason = null, ownerId = null } = {}) {
+  const { data, error } = await supabaseAdmin.rpc('cancel_order', {
+    p_order_id: orderId,
+    p_actor_id: user?.id || null,
+    p_reason: reason,
+    p_allowed_from: CANCELLABLE_STATUSES,
+    p_owner_id: ownerId,
+    p_impersonator_id: user?.impersonator?.id || null
+  });
+
+  if (error) throw error;
+
+  if (data.error === 'invalid_status') {
+    return { error: 'invalid_transition', from: data.status, allowed: manualTransitions(data.status) };
+  }
+
+  if (data.order) {
+    await voidInvoiceForOrder(orderId);
+    await cancelFulfilments(orderId);
+    await notifyStatusChange(data.order, reason);
+  }
+
+  return data;
+}
+
+// Move an order to a new status if the lifecycle allows it. The return statuses are left to
+// approved returns. Returns { order } on success, otherwise { error } with one of
+// 'unknown_status', 'not_found' or 'invalid_transition' (with from/allowed).
+async function transitionOrder(orderId, toStatus, { user = null, note = null } = {}) {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    return { error: 'unknown_status' };
+  }
+
+  // Cancelling also restocks, so it goes through the same path as client cancellations
+  if (toStatus === 'Cancelled') {
+    return cancelOrder(orderId, { user, reason: note });
+  }
+
+  // Status, history entry and (on confirmation) the invoice change together (transition_order in the database)
+  const { data, error } = await supabaseAdmin.rpc('transition_order', {
+    p_order_id: orderId,
+    p_status: toStatus,
+    p_allowed_from: ORDER_STATUSES.filter(status => manualTransitions(status).includes(toStatus)),
+    p_actor_id: user?.id || null,
+    p_note: note,
+    p_impersonator_id: user?.impersonator?.id || null,
+    p_issue_invoice: toStatus === 'Processing',
+    p_tax_rate: INVOICE_TAX_RATE,
+    p_due_days: INVOICE_DUE_DAYS
+  });
+
+  if (error) throw error;
+
+  if (data.error === 'invalid_status') {
+    return { error: 'invalid_transition', from: data.status, allowed: manualTransitions(data.status) };
+  }
+
+  if (data.error) return data;
+
+  const { order } = data;
+
+  // Confirmed orders are handed to the clusters that will fulfil them
+  if (toStatus === 'Processing' && AUTO_ALLOCATE_ORDERS) {
+    try {
+      const allocation = await autoAllocateOrder(orderId, { user });
+      if (allocation.error || allocation.unallocated.length > 0) {
+        console.error(`Order ${orderId} needs manual allocation:`, allocation.error || `${allocation.unallocated.length} item(s) left`);
+      }
+    } catch (allocationError) {
+      console.error('Auto allocate order error:', allocationError);
+    }
+  }
+
+  await notifyStatusChange(order, note);
+
+  return { order };
+}
+
+// Turn a failed transitionOrder result into an HTTP status and body
+const transitionFailure = (result, toStatus) => {
+  switch (result.error) {
+    case 'unknown_status':
+      return { status: 400, body: { error: `Status must be one of: ${ORDER_STATUSES.join(', ')}` } };
+    case 'not_found':
+      return { status: 404, body: { error: 'Order not found' } };
+    case 'payment_pending':
+      return { status: 409, body: { error: 'A payment for this order is still pending. Confirm or cancel it first.' } };
+    case 'invalid_transition':
+      return {
+        status: 409,
+        body: {
+          error: `Cannot change order from ${result.from} to ${toStatus}`,
+          currentStatus: result.from,
+          allowedStatuses: result.allowed
+        }
+      };
+    default:
+      return { status: 409, body: { error: 'Order status was changed by someone else. Reload and try again.' } };
+  }
+};
+
+// Status history for an order, oldest first
+async function getOrderHistory(orderId) {
+  const { data, error } = await supabaseAdmin
+    .from('order_status_history')
+    .select('id, from_status, to_status, note, created_at, impersonator_id, changed_by:users!order_status_history_changed_by_fkey(id, name, role)')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  transitionOrder,
+  cancelOrder,
+  transitionFailure,
+  getOrderHistory
+};
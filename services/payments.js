@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { signPayload, verifySignature } = require('../utils/webhookSignature');
+
+// cod and bank_transfer are settled by staff; online methods go through the configured gateway
+const PAYMENT_METHODS = {
+  cod: { label: 'Cash on delivery', online: false },
+  bank_transfer: { label: 'Bank transfer', online: false },
+  card: { label: 'Debit/credit card', online: true },
+  mobile_wallet: { label: 'Mobile wallet (JazzCash, Easypaisa)', online: true }
+};
+
+// Without a secret no webhook signature verifies
+const webhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+// The mock gateway settles payments on request, so it only exists when explicitly turned on outside production
+const mockPaymentsEnabled = () => process.env.PAYMENT_MOCK_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+// Gateways take care of the online methods. A provider implements:
+//   createPayment({ payment, order }) -> { reference, checkoutUrl }
+//   parseWebhook(rawBody, headers)    -> { id, type, reference, failureReason }, or null if the signature is wrong
+//   refundPayment({ payment, amount }) -> { reference } (optional; without it refunds are paid back by hand)
+// where type is 'payment.succeeded' or 'payment.failed'.
+const providers = {
+  // Local stand-in for a real gateway: "checkout" is a call to /api/payments/mock/:reference/complete.
+  // Only usable with PAYMENT_MOCK_ENABLED=true (see providerFor)
+  mock: {
+    createPayment: async () => {
+      const reference = `mock_${crypto.randomBytes(12).toString('hex')}`;
+      return { reference, checkoutUrl: `/api/payments/mock/${reference}/complete` };
+    },
+
+    parseWebhook: (rawBody, headers) => {
+      if (!verifySignature(webhookSecret(), rawBody, headers['x-mock-signature'])) {
+        return null;
+      }
+
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: event.type,
+        reference: event.data && event.data.reference,
+        failureReason: event.data && event.data.failure_reason
+      };
+    },
+
+    refundPayment: async () => ({ reference: `mock_refund_${crypto.randomBytes(12).toString('hex')}` })
+  }
+};
+
+// Plug in a real gateway under a name usable in PAYMENT_PROVIDER
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Card and wallet payments need PAYMENT_PROVIDER; there is no default gateway
+const activeProviderName = () => process.env.PAYMENT_PROVIDER || null;
+
+// A registered gateway by name; the mock one only while it's enabled
+const providerFor = (name) => {
+  if (!name || (name === 'mock' && !mockPaymentsEnabled())) return null;
+  return providers[name] || null;
+};
+
+// Whether card and wallet payments can be taken: a gateway is configured and usable
+const onlinePaymentsAvailable = () => Boolean(providerFor(activeProviderName()));
+
+// A signed webhook request as the mock gateway would send it
+const buildMockWebhook = (reference, outcome) => {
+  if (!webhookSecret()) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set to use the mock gateway');
+  }
+
+  const rawBody = JSON.stringify({
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+    data: {
+      reference,
+      failure_reason: outcome === 'succeeded' ? undefined : 'Declined by mock gateway'
+    }
+  });
+
+  return { rawBody, headers: { 'x-mock-signature': signPayload(webhookSecret(), rawBody) } };
+};
+
+// How much is still owed on an order: the invoice total once invoiced, else the order amount,
+// less returned goods and what has been paid (net of refunds)
+async function getOutstandingAmount(order) {
+  const { data: invoice } = await supabaseAdmin
+    .from('invoices')
+    .select('total')
+    .eq('order_id', order.id)
+    .maybeSingle();
+
+  const due = parseFloat(invoice?.total ?? order.amount) - parseFloat(order.returned_amount || 0);
+  const paid = parseFloat(order.amount_paid || 0) - parseFloat(order.amount_refunded || 0);
+  return Math.max(Math.round((due - paid) * 100) / 100, 0);
+}
+
+// Total of payments started on an order but not yet settled
+async function getPendingAmount(orderId) {
+  const { data: pending, error } = await supabaseAdmin
+    .from('payments')
+    .select('amount')
+    .eq('order_id', orderId)
+    .eq('status', 'pending');
+
+  if (error) throw error;
+
+  return Math.round(pending.reduce((sum, payment) => sum + parseFloat(payment.amount), 0) * 100) / 100;
+}
+
+// Bank details shown to customers paying by transfer
+const bankTransferInstructions = (payment) => ({
+  accountTitle: process.env.BANK_ACCOUNT_TITLE || 'GreenVerse',
+  bankName: process.env.BANK_NAME || null,
+  iban: process.env.BANK_IBAN || null,
+  amount: payment.amount,
+  reference: `GV-${payment.id.slice(0, 8).toUpperCase()}`
+});
+
+// Start a payment for an order. Online methods are handed to the gateway, which
+// returns a checkout URL; offline ones wait for staff to confirm them.
+async function createPaymentIntent({ order, method, amount, user }) {
+  const online = PAYMENT_METHODS[method].online;
+  const provider = online ? activeProviderName() : null;
+
+  if (online && !providerFor(provider)) {
+    throw new Error(`Payment provider not available: ${provider}`);
+  }
+
+  const { data: payment, error } = await supabaseAdmin
+    .from('payments')
+    .insert([{
+      order_id: order.id,
+      user_id: user.id,
+      method,
+      provider,
+      amount
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  if (!online) {
+    return {
+      payment,
+      instructions: method === 'bank_transfer' ? bankTransferInstructions(payment) : null
+    };
+  }
+
+  const { reference, checkoutUrl } = await providers[provider].createPayment({ payment, order });
+
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('payments')
+    .update({ provider_reference: reference, checkout_url: checkoutUrl })
+    .eq('id', payment.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  return { payment: updated, instructions: null };
+}
+
+// Mark a pending payment succeeded/failed/cancelled and roll it up onto the order and invoice.
+// Returns { error: 'overpayment', outstanding } when staff confirm more than is owed; online payments
+// are settled regardless and the excess is kept in overpaid_amount for refunding.
+async function settlePayment(paymentId, status, { reference = null, failureReason = null, confirmedBy = null } = {}) {
+  const { data, error } = await supabaseAdmin.rpc('settle_payment', {
+    p_payment_id: paymentId,
+    p_status: status,
+    p_reference: reference,
+    p_failure_reason: failureReason,
+    p_confirmed_by: confirmedBy
+  });
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Send a refund back through the gateway that took the payment. Returns { reference },
+// or null when the payment wasn't made online or its gateway can't refund.
+async function refundThroughProvider(payment, amount) {
+  const provider = payment && providerFor(payment.provider);
+  if (!provider || !provider.refundPayment) return null;
+
+  return provider.refundPayment({ payment, amount });
+}
+
+// Verify and apply a gateway webhook. Returns { error: 'unknown_provider' | 'invalid_signature' },
+// { duplicate: true } for an event seen before, or { processed: true, payment }.
+async function handleWebhook(providerName, rawBody, headers) {
+  const provider = providerFor(providerName);
+  if (!provider) return { error: 'unknown_provider' };
+
+  const event = provider.parseWebhook(rawBody, headers);
+  if (!event || !event.id) return { error: 'invalid_signature' };
+
+  // Gateways retry deliveries; the unique (provider, event_id) makes each event count once. An event
+  // logged by a delivery that failed before finishing is processed again (settling is idempotent).
+  let { data: logged, error: logError } = await supabaseAdmin
+    .from('payment_webhook_events')
+    .insert([{ provider: providerName, event_id: event.id, type: event.type, payload: JSON.parse(rawBody) }])
+    .select('id, processed_at')
+    .single();
+
+  if (logError) {
+    if (logError.code !== '23505') throw logError;
+
+    const { data: existing, error: existingError } = await supabaseAdmin
+      .from('payment_webhook_events')
+      .select('id, processed_at')
+      .eq('provider', providerName)
+      .eq('event_id', event.id)
+      .single();
+
+    if (existingError) throw existingError;
+    if (existing.processed_at) return { duplicate: true };
+
+    logged = existing;
+  }
+
+  const { data: payment, error: paymentError } = await supabaseAdmin
+    .from('payments')
+    .select('id')
+    .eq('provider', providerName)
+    .eq('provider_reference', event.reference)
+    .maybeSingle();
+
+  if (paymentError) throw paymentError;
+
+  let result = null;
+  if (payment && (event.type === 'payment.succeeded' || event.type === 'payment.failed')) {
+    result = await settlePayment(payment.id, event.type === 'payment.succeeded' ? 'succeeded' : 'failed', {
+      failureReason: event.failureReason || null
+    });
+  }
+
+  const { error: processedError } = await supabaseAdmin
+    .from('payment_webhook_events')
+    .update({ processed_at: new Date().toISOString() })
+    .eq('id', logged.id);
+
+  if (processedError) throw processedError;
+
+  return { processed: true, payment: result?.payment || null };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  registerProvider,
+  activeProviderName,
+  mockPaymentsEnabled,
+  onlinePaymentsAvailable,
+  buildMockWebhook,
+  getOutstandingAmount,
+  getPendingAmount,
+  createPaymentIntent,
+  settlePayment,
+  refundThroughProvider,
+  handleWebhook
+};
@@ -0,0 +1,59 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions');
+
+const CACHE_TTL_MS = 60 * 1000;
+let customRolesCache = null;
+let customRolesLoadedAt = 0;
+
+// Load custom roles from the database, cached briefly since every request needs them
+async function loadCustomRoles() {
+  if (customRolesCache && Date.now() - customRolesLoadedAt < CACHE_TTL_MS) {
+    return customRolesCache;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('roles')
+    .select('name, permissions')
+    .eq('is_system', false);
+
+  if (error) throw error;
+
+  customRolesCache = {};
+  (data || []).forEach(role => {
+    customRolesCache[role.name] = (role.permissions || []).filter(permission => PERMISSIONS[permission]);
+  });
+  customRolesLoadedAt = Date.now();
+
+  return customRolesCache;
+}
+
+// Call after creating/updating/deleting a custom role
+const invalidateRoleCache = () => {
+  customRolesCache = null;
+};
+
+// Permissions granted to a role, or null if the role doesn't exist
+async function getRolePermissions(role) {
+  if (SYSTEM_ROLES[role]) {
+    return SYSTEM_ROLES[role];
+  }
+
+  const customRoles = await loadCustomRoles();
+  return customRoles[role] || null;
+}
+
+// Names of the roles, system and custom, that grant a permission
+async function rolesWithPermission(permission) {
+  const customRoles = await loadCustomRoles();
+
+  return [...Object.entries(SYSTEM_ROLES), ...Object.entries(customRoles)]
+    .filter(([, permissions]) => permissions.includes(permission))
+    .map(([role]) => role);
+}
+
+const hasPermission = (user, permission) => Boolean(user && user.permissions && user.permissions.includes(permission));
+
+// Whether a user holds every permission in the list, i.e. may hand out or act with it
+const holdsAllPermissions = (user, permissions) => permissions.every(permission => hasPermission(user, permission));
+
+module.exports = { getRolePermissions, rolesWithPermission, invalidateRoleCache, hasPermission, holdsAllPermissions };
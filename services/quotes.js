@@ -0,0 +1,204 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { announceOrder } = require('./checkout');
+
+const QUOTE_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || 14;
+
+// Flip quoted offers past valid_until to Expired (called by the scheduler)
+async function expireQuotes() {
+  const { error } = await supabaseAdmin
+    .from('quotes')
+    .update({ status: 'Expired' })
+    .eq('status', 'Quoted')
+    .lt('valid_until', new Date().toISOString());
+
+  if (error) throw error;
+}
+
+// A quoted offer past valid_until reads as Expired, whether or not the scheduler has marked it yet
+const withExpiry = (quote) => (
+  quote.status === 'Quoted' && quote.valid_until && new Date(quote.valid_until) < new Date()
+    ? { ...quote, status: 'Expired' }
+    : quote
+);
+
+// Filter a quotes query by statuses the way withExpiry reports them
+const filterByQuoteStatus = (query, statuses) => {
+  const now = `"${new Date().toISOString()}"`;
+  const conditions = statuses.flatMap(status => {
+    if (status === 'Expired') return ['status.eq.Expired', `and(status.eq.Quoted,valid_until.lt.${now})`];
+    if (status === 'Quoted') return [`and(status.eq.Quoted,or(valid_until.is.null,valid_until.gte.${now}))`];
+    return [`status.eq.${status}`];
+  });
+
+  return query.or(conditions.join(','));
+};
+
+// Ask for a volume price. Returns { quote } or { error: 'product_not_found', missing }.
+async function requestQuote(userId, { items, notes = null, deliveryDate = null }) {
+  const productIds = [...new Set(items.map(item => item.product_id))];
+
+  const { data: products, error: productsError } = await supabaseAdmin
+    .from('products')
+    .select('id')
+    .in('id', productIds);
+
+  if (productsError) throw productsError;
+
+  const missing = productIds.filter(id => !products.some(product => product.id === id));
+  if (missing.length > 0) {
+    return { error: 'product_not_found', missing };
+  }
+
+  const { data: quote, error } = await supabaseAdmin
+    .from('quotes')
+    .insert([{ user_id: userId, notes, delivery_date: deliveryDate }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  // Merge duplicate lines for the same product
+  const lines = {};
+  items.forEach(({ product_id, quantity, target_unit_price }) => {
+    lines[product_id] = lines[product_id] || { quote_id: quote.id, product_id, quantity: 0, target_unit_price: null };
+    lines[product_id].quantity += Number(quantity);
+    if (target_unit_price !== undefined && target_unit_price !== null) {
+      lines[product_id].target_unit_price = parseFloat(target_unit_price);
+    }
+  });
+
+  const { data: quoteItems, error: itemsError } = await supabaseAdmin
+    .from('quote_items')
+    .insert(Object.values(lines))
+    .select();
+
+  if (itemsError) {
+    await supabaseAdmin.from('quotes').delete().eq('id', quote.id);
+    throw itemsError;
+  }
+
+  return { quote: { ...quote, items: quoteItems } };
+}
+
+// Quote with its items; quoted ones also get an estimate with tax and delivery at the offered prices
+async function getQuote(quoteId) {
+  const { data, error } = await supabaseAdmin
+    .from('quotes')
+    .select(`
+      *,
+      customer:users!quotes_user_id_fkey(id, name, email),
+      items:quote_items(*, product:products(id, name, price, stock))
+    `)
+    .eq('id', quoteId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const quote = withExpiry(data);
+
+  if (quote.status !== 'Quoted') {
+    return { ...quote, estimate: null };
+  }
+
+  const { data: estimate, error: estimateError } = await supabaseAdmin.rpc('quote_order', {
+    p_user_id: quote.user_id,
+    p_items: quote.items.map(({ product_id, quantity, unit_price }) => ({ product_id, quantity, unit_price }))
+  });
+
+  if (estimateError) throw estimateError;
+
+  return { ...quote, estimate: estimate.error ? null : estimate };
+}
+
+// Price a requested quote, or revise a quoted one; every line needs a unit price. The quote is locked
+// while it is repriced (respond_to_quote in the database), so it can't be accepted half-way.
+// Returns { quote } or { error: 'not_found' | 'invalid_status' | 'missing_prices' (missing) }.
+async function respondToQuote(quoteId, { user, prices, validDays = QUOTE_VALIDITY_DAYS, note = null }) {
+  const priceFor = {};
+  prices.forEach(({ product_id, unit_price }) => {
+    priceFor[product_id] = Math.round(parseFloat(unit_price) * 100) / 100;
+  });
+
+  const { data, error } = await supabaseAdmin.rpc('respond_to_quote', {
+    p_quote_id: quoteId,
+    p_prices: priceFor,
+    p_valid_until: new Date(Date.now() + validDays * 24 * 60 * 60 * 1000).toISOString(),
+    p_note: note,
+    p_actor_id: user.id
+  });
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Turn a quoted offer into an order (accept_quote in the database).
+// Returns { order, items, quote } or { error } (quote errors, or place_order's stock/product errors).
+async function acceptQuote(quoteId, userId) {
+  const { data, error } = await supabaseAdmin.rpc('accept_quote', {
+    p_quote_id: quoteId,
+    p_user_id: userId
+  });
+
+  if (error) throw error;
+
+  if (!data.error) {
+    await announceOrder(data);
+  }
+
+  return data;
+}
+
+// Decline a quote before it's accepted. ownerId limits it to that client's quote.
+// Returns { quote } or { error: 'not_found' | 'invalid_status' }.
+async function rejectQuote(quoteId, { note = null, ownerId = null } = {}) {
+  let query = supabaseAdmin
+    .from('quotes')
+    .update({ status: 'Rejected', ...(note ? { admin_note: note } : {}) })
+    .eq('id', quoteId)
+    .in('status', ['Requested', 'Quoted']);
+
+  if (ownerId) query = query.eq('user_id', ownerId);
+
+  const { data: rejected, error } = await query.select().maybeSingle();
+
+  if (error) throw error;
+  if (rejected) return { quote: rejected };
+
+  let lookup = supabaseAdmin.from('quotes').select('status').eq('id', quoteId);
+  if (ownerId) lookup = lookup.eq('user_id', ownerId);
+
+  const { data: current } = await lookup.maybeSingle();
+
+  return current ? { error: 'invalid_status', status: current.status } : { error: 'not_found' };
+}
+
+// Turn a failed quote result into an HTTP status and body
+const quoteFailure = (result) => {
+  switch (result.error) {
+    case 'not_found':
+      return { status: 404, body: { error: 'Quote not found' } };
+    case 'invalid_status':
+      return { status: 409, body: { error: `Quote is ${result.status}`, currentStatus: result.status } };
+    case 'expired':
+      return { status: 409, body: { error: 'This quote has expired. Please request a new one.' } };
+    case 'missing_prices':
+      return { status: 400, body: { error: 'Every product on the quote needs a unit price', missing: result.missing } };
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  QUOTE_VALIDITY_DAYS,
+  expireQuotes,
+  withExpiry,
+  filterByQuoteStatus,
+  requestQuote,
+  getQuote,
+  respondToQuote,
+  acceptQuote,
+  rejectQuote,
+  quoteFailure
+};
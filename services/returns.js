@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const path = require('path');
+const { supabaseAdmin } = require('../config/supabase');
+const { refundThroughProvider } = require('./payments');
+
+const RETURN_REASONS = {
+  damaged: 'Arrived damaged',
+  defective: 'Defective',
+  wrong_item: 'Wrong item sent',
+  not_as_described: 'Not as described',
+  other: 'Other'
+};
+
+// What happens to the goods once a return is approved
+const RETURN_RESOLUTIONS = ['restock', 'write_off'];
+
+const RETURN_PHOTOS_BUCKET = process.env.RETURN_PHOTOS_BUCKET || 'return-photos';
+const PHOTO_URL_TTL_SECONDS = 60 * 60;
+
+// Store uploaded photos (multer memory files) under the customer's folder; returns the storage paths
+async function uploadReturnPhotos(userId, files = []) {
+  const folder = `${userId}/${crypto.randomUUID()}`;
+  const paths = [];
+
+  try {
+    for (const [index, file] of files.entries()) {
+      const filePath = `${folder}/${index + 1}${path.extname(file.originalname || '').toLowerCase() || '.jpg'}`;
+
+      const { error } = await supabaseAdmin.storage
+        .from(RETURN_PHOTOS_BUCKET)
+        .upload(filePath, file.buffer, { contentType: file.mimetype });
+
+      if (error) throw error;
+      paths.push(filePath);
+    }
+  } catch (error) {
+    await removeReturnPhotos(paths);
+    throw error;
+  }
+
+  return paths;
+}
+
+async function removeReturnPhotos(paths) {
+  if (paths.length === 0) return;
+
+  const { error } = await supabaseAdmin.storage.from(RETURN_PHOTOS_BUCKET).remove(paths);
+  if (error) console.error('Remove return photos error:', error);
+}
+
+// Open a return for order items (request_return in the database), uploading its photos first.
+// ownerId limits it to that user's order. Returns { return, items } or { error } (see returnFailure).
+async function requestReturn({ orderId, user, reason, details = null, items, files = [], ownerId = null }) {
+  const photoPaths = await uploadReturnPhotos(user.id, files);
+
+  const { data, error } = await supabaseAdmin.rpc('request_return', {
+    p_order_id: orderId,
+    p_user_id: user.id,
+    p_reason: reason,
+    p_details: details,
+    p_items: items.map(({ order_item_id, quantity }) => ({ order_item_id, quantity: Number(quantity) })),
+    p_photo_paths: photoPaths,
+    p_owner_id: ownerId
+  });
+
+  if (error || data.error) {
+    await removeReturnPhotos(photoPaths);
+  }
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Approve a return (approve_return in the database): restock or write off, credit the order and
+// open a refund if the customer has paid for more than they now owe. Returns { return, order, refund } or { error }.
+async function approveReturn(returnId, { user, resolution, creditAmount = null, note = null }) {
+  const { data, error } = await supabaseAdmin.rpc('approve_return', {
+    p_return_id: returnId,
+    p_resolution: resolution,
+    p_credit_amount: creditAmount,
+    p_actor_id: user.id,
+    p_note: note,
+    p_impersonator_id: user.impersonator?.id || null
+  });
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Reject a return that's still waiting for review. Returns { return } or { error }.
+async function rejectReturn(returnId, { user, note }) {
+  const { data: rejected, error } = await supabaseAdmin
+    .from('return_requests')
+    .update({
+      status: 'Rejected',
+      admin_note: note,
+      reviewed_by: user.id,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq('id', returnId)
+    .eq('status', 'Requested')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (rejected) return { return: rejected };
+
+  const { data: current } = await supabaseAdmin
+    .from('return_requests')
+    .select('status')
+    .eq('id', returnId)
+    .maybeSingle();
+
+  return current ? { error: 'invalid_status', status: current.status } : { error: 'not_found' };
+}
+
+const completeRefund = async (refundId, { reference, user }) => {
+  const { data, error } = await supabaseAdmin.rpc('complete_refund', {
+    p_refund_id: refundId,
+    p_status: 'completed',
+    p_reference: reference,
+    p_failure_reason: null,
+    p_actor_id: user.id
+  });
+
+  if (error) throw error;
+
+  return data;
+};
+
+// Pay back a pending refund. Online payments are refunded through their gateway; money paid
+// by cash or transfer is returned by hand and recorded here with the bank reference. A refund the
+// gateway already paid out but that couldn't be recorded (processing, with its reference) is finished.
+// Returns { refund } or { error: 'not_found' | 'invalid_status' }.
+async function processRefund(refundId, { user, reference = null }) {
+  // Claim the refund first so two requests can't both pay it out
+  const { data: refund, error } = await supabaseAdmin
+    .from('refunds')
+    .update({ status: 'processing', processed_by: user.id })
+    .eq('id', refundId)
+    .eq('status', 'pending')
+    .select('*, payment:payments(*)')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!refund) {
+    const { data: current, error: currentError } = await supabaseAdmin
+      .from('refunds')
+      .select('status, provider_reference')
+      .eq('id', refundId)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+    if (!current) return { error: 'not_found' };
+
+    if (current.status === 'processing' && current.provider_reference) {
+      return completeRefund(refundId, { reference: current.provider_reference, user });
+    }
+
+    return { error: 'invalid_status', status: current.status };
+  }
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await refundThroughProvider(refund.payment, parseFloat(refund.amount));
+  } catch (gatewayError) {
+    // The gateway refused it; hand the refund back so it can be tried again
+    await supabaseAdmin
+      .from('refunds')
+      .update({ status: 'pending', failure_reason: gatewayError.message })
+      .eq('id', refundId)
+      .eq('status', 'processing');
+
+    throw gatewayError;
+  }
+
+  if (!gatewayRefund) {
+    try {
+      return await completeRefund(refundId, { reference, user });
+    } catch (completeError) {
+      // Nothing has been paid out by us, so the refund can simply be tried again
+      await supabaseAdmin
+        .from('refunds')
+        .update({ status: 'pending' })
+        .eq('id', refundId)
+        .eq('status', 'processing');
+
+      throw completeError;
+    }
+  }
+
+  // The money has left: keep the gateway's reference first, so a failure below can be finished later
+  const { error: referenceError } = await supabaseAdmin
+    .from('refunds')
+    .update({ provider_reference: gatewayRefund.reference })
+    .eq('id', refundId);
+
+  if (referenceError) {
+    console.error(`Refund ${refundId} was paid by the gateway as ${gatewayRefund.reference} but could not be saved:`, referenceError);
+    throw referenceError;
+  }
+
+  return completeRefund(refundId, { reference: gatewayRefund.reference, user });
+}
+
+// Return request with its items, refunds and short-lived photo URLs
+async function getReturn(returnId) {
+  const { data: returnRequest, error } = await supabaseAdmin
+    .from('return_requests')
+    .select(`
+      *,
+      order:orders(id, user_id, status, amount, returned_amount, amount_refunded),
+      items:return_items(*, product:products(id, name)),
+      refunds(*)
+    `)
+    .eq('id', returnId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!returnRequest) return null;
+
+  let photos = [];
+  if (returnRequest.photo_paths.length > 0) {
+    const { data: signed, error: signError } = await supabaseAdmin.storage
+      .from(RETURN_PHOTOS_BUCKET)
+      .createSignedUrls(returnRequest.photo_paths, PHOTO_URL_TTL_SECONDS);
+
+    if (signError) throw signError;
+    photos = signed.map(photo => photo.signedUrl);
+  }
+
+  return { ...returnRequest, photos };
+}
+
+// Turn a failed return result into an HTTP status and body; entity names what wasn't found
+const returnFailure = (result, entity = 'Return') => {
+  switch (result.error) {
+    case 'not_found':
+      return { status: 404, body: { error: `${entity} not found` } };
+    case 'invalid_status':
+      return { status: 409, body: { error: `Not possible while the status is ${result.status}`, currentStatus: result.status } };
+    case 'invalid_items':
+      return { status: 400, body: { error: 'Some items are not part of this order', invalid: result.invalid } };
+    case 'quantity_exceeded':
+      return { status: 409, body: { error: 'More items than can still be returned', exceeded: result.exceeded } };
+    case 'credit_too_high':
+      return { status: 400, body: { error: `Credit can be at most ${result.max}`, max: result.max } };
+    default:
+      return { status: 400, body: { error: 'Invalid return' } };
+  }
+};
+
+module.exports = {
+  RETURN_REASONS,
+  RETURN_RESOLUTIONS,
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+  processRefund,
+  getReturn,
+  returnFailure
+};
@@ -0,0 +1,60 @@
+const { runDueSubscriptions } = require('./subscriptions');
+const { markOverdueInvoices } = require('./invoices');
+const { expireQuotes } = require('./quotes');
+const { refreshActiveShipments } = require('./shipments');
+const { processOutbox } = require('./notifications');
+const { purgeExpiredKeys } = require('./idempotency');
+
+const SCHEDULER_INTERVAL_MINUTES = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES, 10) || 15;
+
+// Background jobs run on every tick, one after another
+const JOBS = [
+  { name: 'subscriptions', run: runDueSubscriptions },
+  { name: 'overdue invoices', run: markOverdueInvoices },
+  { name: 'expired quotes', run: expireQuotes },
+  { name: 'shipment tracking', run: refreshActiveShipments },
+  { name: 'notifications', run: processOutbox },
+  { name: 'expired idempotency keys', run: purgeExpiredKeys }
+];
+
+let running = false;
+let timer = null;
+
+// Run every job once; a failing job is logged and doesn't stop the others.
+// A tick that starts while the previous one is still going is skipped.
+async function runJobs() {
+  if (running) return null;
+  running = true;
+
+  const results = {};
+
+  try {
+    for (const job of JOBS) {
+      try {
+        results[job.name] = await job.run();
+      } catch (error) {
+        console.error(`Scheduled job "${job.name}" error:`, error);
+        results[job.name] = { error: error.message };
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  return results;
+}
+
+// Start the jobs on an interval (SCHEDULER_INTERVAL_MINUTES), plus once shortly after startup
+function startScheduler() {
+  if (timer) return;
+
+  timer = setInterval(runJobs, SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+  setTimeout(runJobs, 10 * 1000).unref();
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { runJobs, startScheduler, stopScheduler };
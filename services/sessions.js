@@ -0,0 +1,230 @@
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/supabase');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 15;
+
+// Sign a short-lived access token tied to a session
+const signAccessToken = (user, session, { claims = {}, expiresIn = ACCESS_TOKEN_TTL } = {}) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      name: user.name,
+      cluster_id: user.cluster_id || null,
+      sid: session.id,
+      ...claims
+    },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Start a new session and return an access/refresh token pair
+async function createSession(user, req, { mfaVerified = false } = {}) {
+  const refreshToken = randomToken();
+
+  const { data: session, error } = await supabaseAdmin
+    .from('user_sessions')
+    .insert([{
+      user_id: user.id,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: refreshExpiry(),
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'] || null,
+      mfa_verified: mfaVerified
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return { token: signAccessToken(user, session), refreshToken, session };
+}
+
+// Start a short-lived session as another user for support. There is no refresh token:
+// when it expires the admin has to start again.
+async function createImpersonationSession(target, admin, req, { allowDestructive = false, reason = null } = {}) {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000).toISOString();
+
+  const { data: session, error } = await supabaseAdmin
+    .from('user_sessions')
+    .insert([{
+      user_id: target.id,
+      // Never handed out, only fills the required column
+      refresh_token_hash: hashToken(randomToken()),
+      expires_at: expiresAt,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'] || null,
+      impersonator_id: admin.id,
+      allow_destructive: allowDestructive,
+      impersonation_reason: reason
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const token = signAccessToken(target, session, {
+    claims: {
+      impersonated: true,
+      impersonator: { id: admin.id, email: admin.email, name: admin.name }
+    },
+    expiresIn: IMPERSONATION_TTL_MINUTES * 60
+  });
+
+  return { token, session, expiresAt };
+}
+
+// Exchange a refresh token for a new pair. Returns null if the token is not usable.
+async function rotateSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+
+  const { data: session, error } = await supabaseAdmin
+    .from('user_sessions')
+    .select('*')
+    .eq('refresh_token_hash', tokenHash)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!session) {
+    // A refresh token that was already rotated out is being replayed, so assume it leaked
+    const { data: reused } = await supabaseAdmin
+      .from('user_sessions')
+      .select('id')
+      .eq('previous_token_hash', tokenHash)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (reused) {
+      await revokeSession(reused.id, 'token_reuse');
+    }
+    return null;
+  }
+
+  if (session.revoked_at || session.impersonator_id || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const { data: user } = await supabaseAdmin
+    .from('users')
+    .select('id, email, name, role, cluster_id')
+    .eq('id', session.user_id)
+    .single();
+
+  if (!user) {
+    await revokeSession(session.id, 'user_missing');
+    return null;
+  }
+
+  const newRefreshToken = randomToken();
+
+  // Match on the old hash so two concurrent refreshes can't both win
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('user_sessions')
+    .update({
+      refresh_token_hash: hashToken(newRefreshToken),
+      previous_token_hash: tokenHash,
+      last_used_at: new Date().toISOString(),
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent'] || null
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', tokenHash)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!updated) return null;
+
+  return { token: signAccessToken(user, updated), refreshToken: newRefreshToken, session: updated, user };
+}
+
+// Look up a session that is neither revoked nor expired
+async function getActiveSession(sessionId) {
+  const { data: session, error } = await supabaseAdmin
+    .from('user_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  return session;
+}
+
+// Record that a session has passed a second factor (e.g. right after enrolling)
+async function markSessionMfaVerified(sessionId) {
+  const { error } = await supabaseAdmin
+    .from('user_sessions')
+    .update({ mfa_verified: true })
+    .eq('id', sessionId);
+
+  if (error) throw error;
+}
+
+// Revoke a single session
+async function revokeSession(sessionId, reason = 'logout') {
+  const { error } = await supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+}
+
+// Revoke every live session for a user, optionally keeping one (e.g. the caller's own)
+async function revokeUserSessions(userId, { reason = 'revoked', exceptSessionId } = {}) {
+  let query = supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) throw error;
+
+  return data?.length || 0;
+}
+
+// List live sessions for a user (no token hashes)
+async function listUserSessions(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('user_sessions')
+    .select('id, ip_address, user_agent, impersonator_id, created_at, last_used_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  getActiveSession,
+  markSessionMfaVerified,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions
+};
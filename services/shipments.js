@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { transitionOrder, transitionFailure } = require('./orderStatus');
+
+// Tracking statuses, roughly in the order a parcel goes through them
+const SHIPMENT_STATUSES = ['label_created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned'];
+
+// No more tracking updates are expected after these
+const FINAL_STATUSES = ['delivered', 'returned'];
+
+// The parcel has left the cluster
+const DISPATCHED_STATUSES = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned'];
+
+// Orders that can have shipments booked
+const SHIPPABLE_ORDER_STATUSES = ['Processing', 'Shipped'];
+
+const LOCAL_COURIER_STEP_MINUTES = parseInt(process.env.LOCAL_COURIER_STEP_MINUTES, 10) || 60;
+
+// The local courier delivers parcels on its own, so it only exists when explicitly turned on outside production
+const localCourierEnabled = () => process.env.LOCAL_COURIER_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+// Shipments polled per scheduler tick, least recently checked first
+const TRACKING_BATCH_SIZE = 50;
+
+// The local courier's route, one step every LOCAL_COURIER_STEP_MINUTES
+const LOCAL_ROUTE = [
+  { status: 'label_created', description: 'Shipping label created' },
+  { status: 'picked_up', description: 'Picked up from the cluster' },
+  { status: 'in_transit', description: 'In transit to the destination hub' },
+  { status: 'out_for_delivery', description: 'Out for delivery' },
+  { status: 'delivered', description: 'Delivered to the customer' }
+];
+
+// Tracking history of a local shipment: the events so far plus any steps that have come due
+// (or with force, the next step right away)
+const localTracking = (shipment, events, { force = false } = {}) => {
+  const stepMs = LOCAL_COURIER_STEP_MINUTES * 60 * 1000;
+  const tracked = events.map(event => ({
+    id: event.external_id,
+    status: event.status,
+    description: event.description,
+    location: event.location,
+    occurredAt: event.occurred_at
+  }));
+
+  const last = tracked[tracked.length - 1];
+  const now = Date.now();
+  let step = last ? LOCAL_ROUTE.findIndex(entry => entry.status === last.status) + 1 : 0;
+  let at = last ? new Date(last.occurredAt).getTime() + stepMs : new Date(shipment.created_at).getTime();
+
+  if (force) at = Math.min(at, now);
+
+  while (step < LOCAL_ROUTE.length && at <= now) {
+    tracked.push({
+      id: `${shipment.tracking_number}-${step}`,
+      ...LOCAL_ROUTE[step],
+      location: null,
+      occurredAt: new Date(at).toISOString()
+    });
+
+    step += 1;
+    at += stepMs;
+    if (force) break;
+  }
+
+  return tracked;
+};
+
+// Couriers book parcels and report where they are. A courier implements:
+//   createShipment({ shipment, order, destination }) -> { trackingNumber, labelUrl, estimatedDeliveryDate }
+//   getTracking({ shipment, events })                -> [{ id, status, description, location, occurredAt }]
+// getTracking returns every event so far (ids unique per shipment), with status one of SHIPMENT_STATUSES;
+// events contains what has already been recorded.
+const couriers = {
+  // Local stand-in for a real courier: advances along LOCAL_ROUTE as time passes, or one step at a
+  // time through POST /api/shipments/:id/local/advance
+  local: {
+    createShipment: async () => ({
+      trackingNumber: `LC${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+      labelUrl: null,
+      estimatedDeliveryDate: new Date(Date.now() + (LOCAL_ROUTE.length - 1) * LOCAL_COURIER_STEP_MINUTES * 60 * 1000)
+        .toISOString()
+        .slice(0, 10)
+    }),
+
+    getTracking: async ({ shipment, events }) => localTracking(shipment, events)
+  }
+};
+
+// Plug in a real courier under a name usable in SHIPPING_COURIER or a shipment's carrier
+const registerCourier = (name, courier) => {
+  couriers[name] = courier;
+};
+
+const activeCourierName = () => process.env.SHIPPING_COURIER || null;
+
+// The courier registered under a name, if it can be used here
+const courierFor = (name) => {
+  if (!name || (name === 'local' && !localCourierEnabled())) return null;
+  return couriers[name] || null;
+};
+
+const courierNames = () => Object.keys(couriers).filter(name => courierFor(name));
+
+const loadEvents = async (shipmentId) => {
+  const { data, error } = await supabaseAdmin
+    .from('shipment_events')
+    .select('*')
+    .eq('shipment_id', shipmentId)
+    .order('occurred_at', { ascending: true });
+
+  if (error) throw error;
+
+  return data;
+};
+
+// Move the order (and the cluster's fulfilment) along with its parcels: Shipped once one has left,
+// Delivered once every shipment is delivered and no cluster is still to dispatch
+async function syncOrderWithShipment(shipment) {
+  if (!DISPATCHED_STATUSES.includes(shipment.status)) return;
+
+  if (shipment.fulfilment_id) {
+    const { error } = await supabaseAdmin
+      .from('order_fulfilments')
+      .update({ status: 'Dispatched', dispatched_at: shipment.dispatched_at })
+      .eq('id', shipment.fulfilment_id)
+      .not('status', 'in', '(Dispatched,Cancelled)');
+
+    if (error) throw error;
+  }
+
+  const note = `${shipment.carrier} ${shipment.tracking_number}`;
+  const moveOrder = async (status) => {
+    const result = await transitionOrder(shipment.order_id, status, { note });
+    if (result.error) {
+      console.error(`Shipment ${shipment.id} could not move order:`, transitionFailure(result, status).body.error);
+    }
+  };
+
+  const { data: order, error: orderError } = await supabaseAdmin
+    .from('orders')
+    .select('id, status, shipments(status), fulfilments:order_fulfilments(status)')
+    .eq('id', shipment.order_id)
+    .single();
+
+  if (orderError) throw orderError;
+
+  if (order.status === 'Processing') {
+    await moveOrder('Shipped');
+  }
+
+  const allDelivered = order.shipments.every(row => row.status === 'delivered')
+    && order.fulfilments.every(row => ['Dispatched', 'Cancelled'].includes(row.status));
+
+  if (shipment.status === 'delivered' && allDelivered && ['Processing', 'Shipped'].includes(order.status)) {
+    await moveOrder('Delivered');
+  }
+}
+
+// Record a courier's tracking events and roll the latest one up onto the shipment
+async function applyTracking(shipment, courierEvents) {
+  const checkedAt = new Date().toISOString();
+
+  if (courierEvents.length === 0) {
+    await supabaseAdmin.from('shipments').update({ last_checked_at: checkedAt }).eq('id', shipment.id);
+    return shipment;
+  }
+
+  const { error: eventsError } = await supabaseAdmin
+    .from('shipment_events')
+    .upsert(courierEvents.map(event => ({
+      shipment_id: shipment.id,
+      external_id: event.id,
+      status: event.status,
+      description: event.description || null,
+      location: event.location || null,
+      occurred_at: event.occurredAt
+    })), { onConflict: 'shipment_id,external_id', ignoreDuplicates: true });
+
+  if (eventsError) throw eventsError;
+
+  const sorted = [...courierEvents].sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+  const latest = sorted[sorted.length - 1];
+  const dispatched = sorted.find(event => DISPATCHED_STATUSES.includes(event.status));
+  const delivered = sorted.find(event => event.status === 'delivered');
+
+  const { data: updated, error } = await supabaseAdmin
+    .from('shipments')
+    .update({
+      status: latest.status,
+      dispatched_at: shipment.dispatched_at || dispatched?.occurredAt || null,
+      delivered_at: delivered?.occurredAt || null,
+      last_checked_at: checkedAt
+    })
+    .eq('id', shipment.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  if (updated.status !== shipment.status) {
+    await syncOrderWithShipment(updated);
+  }
+
+  return updated;
+}
+
+// Ask the shipment's courier for new tracking events
+async function refreshShipment(shipment) {
+  const courier = courierFor(shipment.carrier);
+  if (!courier || FINAL_STATUSES.includes(shipment.status)) return shipment;
+
+  const events = await loadEvents(shipment.id);
+  const courierEvents = await courier.getTracking({ shipment, events });
+
+  return applyTracking(shipment, courierEvents);
+}
+
+// Poll couriers for shipments still on their way (called by the scheduler). Returns how many were checked.
+async function refreshActiveShipments() {
+  const { data: shipments, error } = await supabaseAdmin
+    .from('shipments')
+    .select('*')
+    .not('status', 'in', `(${FINAL_STATUSES.join(',')})`)
+    .order('last_checked_at', { ascending: true, nullsFirst: true })
+    .limit(TRACKING_BATCH_SIZE);
+
+  if (error) throw error;
+
+  for (const shipment of shipments) {
+    try {
+      await refreshShipment(shipment);
+    } catch (refreshError) {
+      console.error(`Shipment ${shipment.id} tracking error:`, refreshError);
+    }
+  }
+
+  return shipments.length;
+}
+
+// Book a shipment for a Processing/Shipped order, or with clusterId for that cluster's part of it.
+// Weight defaults to the products' weight. Returns { shipment } or { error } (see shipmentFailure).
+async function createShipment({ orderId, clusterId = null, carrier = activeCourierName(), packages = 1, weightKg = null, user = null }) {
+  const courier = courierFor(carrier);
+  if (!courier) return { error: 'unknown_carrier', carrier };
+
+  const { data: order, error } = await supabaseAdmin
+    .from('orders')
+    .select('id, user_id, status, shipping_state, shipping_district, items:order_items(product_id, quantity, cluster_id, product:products(weight_kg))')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!order) return { error: 'not_found' };
+
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    return { error: 'invalid_status', status: order.status };
+  }
+
+  let fulfilment = null;
+  if (clusterId) {
+    const { data, error: fulfilmentError } = await supabaseAdmin
+      .from('order_fulfilments')
+      .select('id, status')
+      .eq('order_id', orderId)
+      .eq('cluster_id', clusterId)
+      .maybeSingle();
+
+    if (fulfilmentError) throw fulfilmentError;
+    if (!data) return { error: 'not_allocated' };
+    if (['Dispatched', 'Cancelled'].includes(data.status)) {
+      return { error: 'fulfilment_closed', status: data.status };
+    }
+    fulfilment = data;
+  }
+
+  const items = order.items.filter(item => !clusterId || item.cluster_id === clusterId);
+  const productWeight = items.reduce((sum, item) => sum + parseFloat(item.product?.weight_kg || 0) * item.quantity, 0);
+
+  const { data: profile, error: profileError } = await supabaseAdmin
+    .from('client_profiles')
+    .select('phone, address_line, city, district, state')
+    .eq('user_id', order.user_id)
+    .maybeSingle();
+
+  if (profileError) throw profileError;
+
+  const destination = {
+    ...(profile || {}),
+    state: order.shipping_state || profile?.state || null,
+    district: order.shipping_district || profile?.district || null
+  };
+
+  const { data: shipment, error: insertError } = await supabaseAdmin
+    .from('shipments')
+    .insert([{
+      order_id: orderId,
+      fulfilment_id: fulfilment?.id || null,
+      cluster_id: clusterId,
+      carrier,
+      packages,
+      weight_kg: weightKg ?? (productWeight > 0 ? Math.round(productWeight * 1000) / 1000 : null),
+      created_by: user?.id || null
+    }])
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  let booked;
+  try {
+    booked = await courier.createShipment({ shipment, order, destination });
+  } catch (courierError) {
+    await supabaseAdmin.from('shipments').delete().eq('id', shipment.id);
+    throw courierError;
+  }
+
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('shipments')
+    .update({
+      tracking_number: booked.trackingNumber,
+      label_url: booked.labelUrl || null,
+      estimated_delivery_date: booked.estimatedDeliveryDate || null
+    })
+    .eq('id', shipment.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  return { shipment: await refreshShipment(updated) };
+}
+
+// Shipments of an order with their tracking history, refreshed from the couriers first
+async function getOrderShipments(orderId) {
+  const { data: shipments, error } = await supabaseAdmin
+    .from('shipments')
+    .select('*')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  const refreshed = [];
+  for (const shipment of shipments) {
+    try {
+      refreshed.push(await refreshShipment(shipment));
+    } catch (refreshError) {
+      console.error(`Shipment ${shipment.id} tracking error:`, refreshError);
+      refreshed.push(shipment);
+    }
+  }
+
+  const { data: events, error: eventsError } = await supabaseAdmin
+    .from('shipment_events')
+    .select('shipment_id, status, description, location, occurred_at')
+    .in('shipment_id', refreshed.map(shipment => shipment.id))
+    .order('occurred_at', { ascending: true });
+
+  if (eventsError) throw eventsError;
+
+  return refreshed.map(shipment => ({
+    ...shipment,
+    events: events.filter(event => event.shipment_id === shipment.id)
+  }));
+}
+
+// Move a local-courier shipment one step along its route now (for testing).
+// Returns { shipment } or { error: 'not_found' | 'invalid_carrier' | 'invalid_status' }.
+async function advanceLocalShipment(shipmentId) {
+  const { data: shipment, error } = await supabaseAdmin
+    .from('shipments')
+    .select('*')
+    .eq('id', shipmentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!shipment) return { error: 'not_found' };
+  if (shipment.carrier !== 'local') return { error: 'invalid_carrier', carrier: shipment.carrier };
+  if (FINAL_STATUSES.includes(shipment.status)) return { error: 'invalid_status', status: shipment.status };
+
+  const events = await loadEvents(shipment.id);
+
+  return { shipment: await applyTracking(shipment, localTracking(shipment, events, { force: true })) };
+}
+
+// Turn a failed shipment result into an HTTP status and body
+const shipmentFailure = (result, notFound = 'Shipment not found') => {
+  switch (result.error) {
+    case 'not_found':
+      return { status: 404, body: { error: notFound } };
+    case 'unknown_carrier':
+      return {
+        status: 400,
+        body: { error: courierNames().length > 0 ? `Carrier must be one of: ${courierNames().join(', ')}` : 'No courier is configured' }
+      };
+    case 'invalid_carrier':
+      return { status: 400, body: { error: `Shipment is with ${result.carrier}` } };
+    case 'invalid_status':
+      return { status: 409, body: { error: `Not possible while the status is ${result.status}`, currentStatus: result.status } };
+    case 'not_allocated':
+      return { status: 409, body: { error: 'This cluster has no part in the order' } };
+    case 'fulfilment_closed':
+      return { status: 409, body: { error: `This cluster's part of the order is already ${result.status}` } };
+    default:
+      return { status: 400, body: { error: 'Invalid shipment' } };
+  }
+};
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  registerCourier,
+  activeCourierName,
+  localCourierEnabled,
+  courierNames,
+  createShipment,
+  refreshShipment,
+  refreshActiveShipments,
+  getOrderShipments,
+  advanceLocalShipment,
+  shipmentFailure
+};
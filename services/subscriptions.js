@@ -0,0 +1,403 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { checkoutBlocker, placeOrder } = require('./checkout');
+const { notifyUser } = require('./notifications');
+
+const SUBSCRIPTION_SCHEDULES = ['weekly', 'biweekly', 'monthly'];
+const SCHEDULE_DAYS = { weekly: 7, biweekly: 14 };
+
+// Subscriptions handled per scheduler tick; the rest are picked up on the next one
+const DUE_BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are 'YYYY-MM-DD' strings in UTC, so they compare as strings
+const toDate = (value) => new Date(`${value}T00:00:00Z`);
+const toDateString = (date) => date.toISOString().slice(0, 10);
+const today = () => toDateString(new Date());
+const addDays = (value, days) => toDateString(new Date(toDate(value).getTime() + days * DAY_MS));
+
+// The nth run date counted from start_date; monthly runs keep the start day, or the month's last day if shorter
+const runDateAt = (startDate, schedule, n) => {
+  const start = toDate(startDate);
+
+  if (schedule === 'monthly') {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + n;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return toDateString(new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay))));
+  }
+
+  return addDays(startDate, n * SCHEDULE_DAYS[schedule]);
+};
+
+// First run date on or after `from`
+const firstRunFrom = (startDate, schedule, from) => {
+  if (from <= startDate) return startDate;
+
+  const elapsedDays = (toDate(from) - toDate(startDate)) / DAY_MS;
+  let n = Math.floor(elapsedDays / (SCHEDULE_DAYS[schedule] || 31));
+
+  while (runDateAt(startDate, schedule, n) < from) n += 1;
+
+  return runDateAt(startDate, schedule, n);
+};
+
+// Merge duplicate lines for the same product
+const mergeItems = (items) => {
+  const quantities = {};
+  items.forEach(({ product_id, quantity }) => {
+    quantities[product_id] = (quantities[product_id] || 0) + Number(quantity);
+  });
+
+  return Object.entries(quantities).map(([product_id, quantity]) => ({ product_id, quantity }));
+};
+
+const findMissingProducts = async (items) => {
+  const productIds = [...new Set(items.map(item => item.product_id))];
+
+  const { data: products, error } = await supabaseAdmin
+    .from('products')
+    .select('id')
+    .in('id', productIds);
+
+  if (error) throw error;
+
+  return productIds.filter(id => !products.some(product => product.id === id));
+};
+
+// Delete and insert together (replace_subscription_items in the database)
+const replaceItems = async (subscriptionId, items) => {
+  const { data, error } = await supabaseAdmin.rpc('replace_subscription_items', {
+    p_subscription_id: subscriptionId,
+    p_items: mergeItems(items)
+  });
+
+  if (error) throw error;
+
+  return data;
+};
+
+// Subscription with its items and the latest runs
+async function getSubscription(subscriptionId) {
+  const { data: subscription, error } = await supabaseAdmin
+    .from('subscriptions')
+    .select(`
+      *,
+      customer:users!subscriptions_user_id_fkey(id, name, email),
+      items:subscription_items(id, product_id, quantity, product:products(id, name, price, stock)),
+      runs:subscription_runs(id, run_date, status, order_id, reason, details, created_at)
+    `)
+    .eq('id', subscriptionId)
+    .order('run_date', { referencedTable: 'runs', ascending: false })
+    .limit(10, { referencedTable: 'runs' })
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return subscription;
+}
+
+// Save a cart to be ordered on a schedule, first on startDate.
+// Returns { subscription } or { error: 'product_not_found', missing }.
+async function createSubscription(userId, { name = null, schedule, startDate, items }) {
+  const missing = await findMissingProducts(items);
+  if (missing.length > 0) {
+    return { error: 'product_not_found', missing };
+  }
+
+  const { data: subscription, error } = await supabaseAdmin
+    .from('subscriptions')
+    .insert([{ user_id: userId, name, schedule, start_date: startDate, next_run_date: startDate }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  try {
+    await replaceItems(subscription.id, items);
+  } catch (itemsError) {
+    await supabaseAdmin.from('subscriptions').delete().eq('id', subscription.id);
+    throw itemsError;
+  }
+
+  return { subscription: await getSubscription(subscription.id) };
+}
+
+// Change the name, items, schedule or next run date; a new schedule or date restarts the
+// run dates from that date. ownerId limits it to that client's subscription.
+// Returns { subscription } or { error: 'not_found' | 'invalid_status' | 'product_not_found' }.
+async function updateSubscription(subscriptionId, { ownerId = null, name, schedule, nextRunDate, items }) {
+  let lookup = supabaseAdmin.from('subscriptions').select('*').eq('id', subscriptionId);
+  if (ownerId) lookup = lookup.eq('user_id', ownerId);
+
+  const { data: subscription, error } = await lookup.maybeSingle();
+
+  if (error) throw error;
+  if (!subscription) return { error: 'not_found' };
+  if (subscription.status === 'cancelled') return { error: 'invalid_status', status: subscription.status };
+
+  if (items) {
+    const missing = await findMissingProducts(items);
+    if (missing.length > 0) {
+      return { error: 'product_not_found', missing };
+    }
+
+    await replaceItems(subscriptionId, items);
+  }
+
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+
+  if (schedule !== undefined || nextRunDate !== undefined) {
+    const startDate = nextRunDate || subscription.next_run_date;
+    updateData.schedule = schedule || subscription.schedule;
+    updateData.start_date = startDate;
+    updateData.next_run_date = startDate;
+  }
+
+  if (Object.keys(updateData).length > 0) {
+    const { error: updateError } = await supabaseAdmin
+      .from('subscriptions')
+      .update(updateData)
+      .eq('id', subscriptionId);
+
+    if (updateError) throw updateError;
+  }
+
+  return { subscription: await getSubscription(subscriptionId) };
+}
+
+// Statuses each action can start from
+const STATUS_ACTIONS = {
+  pause: { from: ['active'], to: 'paused' },
+  resume: { from: ['paused'], to: 'active' },
+  cancel: { from: ['active', 'paused'], to: 'cancelled' }
+};
+
+// Pause, resume or cancel. Resuming skips the dates missed while paused.
+// Returns { subscription } or { error: 'not_found' | 'invalid_status' }.
+async function setSubscriptionStatus(subscriptionId, action, { ownerId = null } = {}) {
+  const { from, to } = STATUS_ACTIONS[action];
+
+  let lookup = supabaseAdmin.from('subscriptions').select('*').eq('id', subscriptionId);
+  if (ownerId) lookup = lookup.eq('user_id', ownerId);
+
+  const { data: subscription, error } = await lookup.maybeSingle();
+
+  if (error) throw error;
+  if (!subscription) return { error: 'not_found' };
+  if (!from.includes(subscription.status)) return { error: 'invalid_status', status: subscription.status };
+
+  const updateData = { status: to };
+  if (action === 'pause') updateData.paused_at = new Date().toISOString();
+  if (action === 'cancel') updateData.cancelled_at = new Date().toISOString();
+  if (action === 'resume') {
+    updateData.paused_at = null;
+    const from = subscription.next_run_date > today() ? subscription.next_run_date : today();
+    updateData.next_run_date = firstRunFrom(subscription.start_date, subscription.schedule, from);
+  }
+
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('subscriptions')
+    .update(updateData)
+    .eq('id', subscriptionId)
+    .eq('status', subscription.status)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!updated) return { error: 'invalid_status', status: 'changed' };
+
+  return { subscription: updated };
+}
+
+// Upcoming run dates of a client's active subscriptions up to `until`, soonest first, with a
+// warning on lines that the current stock wouldn't cover
+async function getUpcomingDeliveries(userId, { until }) {
+  const { data: subscriptions, error } = await supabaseAdmin
+    .from('subscriptions')
+    .select('id, name, schedule, start_date, next_run_date, items:subscription_items(product_id, quantity, product:products(id, name, price, stock))')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .lte('next_run_date', until);
+
+  if (error) throw error;
+
+  const deliveries = [];
+  subscriptions.forEach(subscription => {
+    const items = subscription.items.map(item => ({
+      ...item,
+      lowStock: !item.product || item.product.stock < item.quantity
+    }));
+
+    let date = subscription.next_run_date;
+    while (date <= until) {
+      deliveries.push({
+        subscription_id: subscription.id,
+        name: subscription.name,
+        schedule: subscription.schedule,
+        date,
+        items
+      });
+      date = firstRunFrom(subscription.start_date, subscription.schedule, addDays(date, 1));
+    }
+  });
+
+  return deliveries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const SKIP_REASONS = {
+  insufficient_stock: (details) => `some products are out of stock: ${details.map(item => `${item.name} (requested ${item.requested}, available ${item.available})`).join(', ')}`,
+  product_not_found: () => 'some of its products are no longer available',
+  no_items: () => 'it has no products left',
+  email_unverified: () => 'your email address is not verified yet',
+  profile_incomplete: () => 'your delivery profile is incomplete'
+};
+
+// Tell the client what happened on a run; a notification failure shouldn't fail the run
+async function notifyRun(subscription, run, order) {
+  const data = {
+    label: subscription.name ? `"${subscription.name}"` : 'recurring order',
+    runDate: run.run_date,
+    nextRunDate: subscription.next_run_date_after_run,
+    items: subscription.items.map(item => ({ name: item.product?.name || item.product_id, quantity: item.quantity }))
+  };
+
+  try {
+    if (order) {
+      await notifyUser(subscription.user_id, 'subscription_ordered', { ...data, order });
+    } else {
+      await notifyUser(subscription.user_id, 'subscription_skipped', { ...data, reason: SKIP_REASONS[run.reason](run.details) });
+    }
+  } catch (notifyError) {
+    console.error('Subscription notification error:', notifyError);
+  }
+}
+
+const finishRun = async (runId, updateData) => {
+  const { data, error } = await supabaseAdmin
+    .from('subscription_runs')
+    .update(updateData)
+    .eq('id', runId)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return data;
+};
+
+// Place the order for a subscription's due date through the normal checkout, or record why it was skipped.
+// Returns 'ordered' | 'skipped' | 'failed', or null if another run already claimed the date.
+async function runSubscription(subscription, runDate) {
+  const scheduledDate = subscription.next_run_date;
+
+  // Dates missed while the scheduler was down are not made up
+  const nextRunDate = firstRunFrom(subscription.start_date, subscription.schedule, addDays(runDate, 1));
+
+  // The run row and the next date are saved together (claim_subscription_run in the database)
+  const { data: run, error: claimError } = await supabaseAdmin.rpc('claim_subscription_run', {
+    p_subscription_id: subscription.id,
+    p_run_date: scheduledDate,
+    p_next_run_date: nextRunDate
+  });
+
+  if (claimError) throw claimError;
+
+  // Another run already handled this date
+  if (!run) return null;
+
+  const context = { ...subscription, next_run_date_after_run: nextRunDate };
+  let skip = null;
+
+  try {
+    if (subscription.items.length === 0) {
+      skip = { reason: 'no_items', details: null };
+    } else {
+      const blocker = await checkoutBlocker(subscription.user_id);
+
+      if (blocker) {
+        skip = { reason: blocker.body.emailUnverified ? 'email_unverified' : 'profile_incomplete', details: null };
+      } else {
+        const result = await placeOrder(subscription.user_id, subscription.items, {
+          deliveryDate: scheduledDate < runDate ? runDate : scheduledDate,
+          subscriptionId: subscription.id
+        });
+
+        if (result.error) {
+          skip = { reason: result.error, details: result.shortages || result.missing || null };
+        } else {
+          const ordered = await finishRun(run.id, { status: 'ordered', order_id: result.order.id });
+          await notifyRun(context, ordered, result.order);
+          return 'ordered';
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Subscription ${subscription.id} run error:`, error);
+    await finishRun(run.id, { status: 'failed', reason: 'error', details: { message: error.message } });
+    return 'failed';
+  }
+
+  const skipped = await finishRun(run.id, { status: 'skipped', ...skip });
+  await notifyRun(context, skipped, null);
+  return 'skipped';
+}
+
+// Place the orders for every active subscription that's due (called by the scheduler).
+// Returns how many runs were ordered, skipped or failed.
+async function runDueSubscriptions() {
+  const runDate = today();
+
+  const { data: due, error } = await supabaseAdmin
+    .from('subscriptions')
+    .select('*, items:subscription_items(product_id, quantity, product:products(name))')
+    .eq('status', 'active')
+    .lte('next_run_date', runDate)
+    .order('next_run_date', { ascending: true })
+    .limit(DUE_BATCH_SIZE);
+
+  if (error) throw error;
+
+  const summary = { ordered: 0, skipped: 0, failed: 0 };
+
+  // One subscription's error shouldn't stop the rest of the batch
+  for (const subscription of due) {
+    try {
+      const outcome = await runSubscription(subscription, runDate);
+      if (outcome) summary[outcome] += 1;
+    } catch (runError) {
+      console.error(`Subscription ${subscription.id} run error:`, runError);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+}
+
+// Turn a failed subscription result into an HTTP status and body
+const subscriptionFailure = (result) => {
+  switch (result.error) {
+    case 'not_found':
+      return { status: 404, body: { error: 'Subscription not found' } };
+    case 'invalid_status':
+      return { status: 409, body: { error: `Subscription is ${result.status}`, currentStatus: result.status } };
+    case 'product_not_found':
+      return { status: 404, body: { error: `Product not found: ${result.missing.join(', ')}`, missing: result.missing } };
+    default:
+      return { status: 400, body: { error: 'Invalid subscription' } };
+  }
+};
+
+module.exports = {
+  SUBSCRIPTION_SCHEDULES,
+  today,
+  addDays,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  setSubscriptionStatus,
+  getUpcomingDeliveries,
+  runDueSubscriptions,
+  subscriptionFailure
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/supabase');
+const { hashToken } = require('../utils/tokens');
+const {
+  generateSecret,
+  verifyCode,
+  provisioningUri,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Short-lived token proving the password step passed; purpose is '2fa_login' or '2fa_setup'
+const signChallengeToken = (user, purpose) => {
+  return jwt.sign({ id: user.id, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+};
+
+// Returns the user id for a valid challenge token of the given purpose, otherwise null
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === purpose ? payload.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether the admin policy makes 2FA mandatory for a role
+async function isTwoFactorRequired(role) {
+  const { data } = await supabaseAdmin
+    .from('role_security_policies')
+    .select('require_2fa')
+    .eq('role', role)
+    .maybeSingle();
+
+  return Boolean(data && data.require_2fa);
+}
+
+// Generate a pending secret; it only becomes active once a code is confirmed
+async function startEnrollment(user) {
+  const secret = generateSecret();
+
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({ totp_pending_secret: encryptSecret(secret) })
+    .eq('id', user.id);
+
+  if (error) throw error;
+
+  return {
+    secret,
+    otpauthUrl: provisioningUri({ secret, account: user.email })
+  };
+}
+
+// Replace a user's backup codes and return the new plain codes (shown once)
+async function regenerateBackupCodes(userId) {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('user_backup_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) throw deleteError;
+
+  const { error } = await supabaseAdmin
+    .from('user_backup_codes')
+    .insert(codes.map(code => ({ user_id: userId, code_hash: hashToken(code) })));
+
+  if (error) throw error;
+
+  return codes;
+}
+
+// Activate the pending secret if the code matches; returns backup codes or null
+async function confirmEnrollment(userId, code) {
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select('id, totp_pending_secret')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  if (!user.totp_pending_secret) return null;
+
+  const counter = verifyCode(decryptSecret(user.totp_pending_secret), code);
+  if (counter === null) return null;
+
+  const { error: updateError } = await supabaseAdmin
+    .from('users')
+    .update({
+      totp_secret: user.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_enabled: true,
+      totp_enabled_at: new Date().toISOString(),
+      totp_last_counter: counter
+    })
+    .eq('id', userId);
+
+  if (updateError) throw updateError;
+
+  return regenerateBackupCodes(userId);
+}
+
+// Check a TOTP code (rejecting replays of an already used step) or a backup code
+async function verifySecondFactor(userId, { code, backupCode }) {
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select('id, totp_enabled, totp_secret, totp_last_counter')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  if (!user.totp_enabled || !user.totp_secret) return false;
+
+  if (code) {
+    const counter = verifyCode(decryptSecret(user.totp_secret), code);
+    if (counter === null || (user.totp_last_counter !== null && counter <= user.totp_last_counter)) {
+      return false;
+    }
+
+    await supabaseAdmin
+      .from('users')
+      .update({ totp_last_counter: counter })
+      .eq('id', userId);
+
+    return true;
+  }
+
+  if (backupCode) {
+    const { data: used, error: codeError } = await supabaseAdmin
+      .from('user_backup_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', hashToken(String(backupCode).trim().toLowerCase()))
+      .is('used_at', null)
+      .select('id');
+
+    if (codeError) throw codeError;
+
+    return Boolean(used && used.length);
+  }
+
+  return false;
+}
+
+// Count unused backup codes
+async function countBackupCodes(userId) {
+  const { count } = await supabaseAdmin
+    .from('user_backup_codes')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('used_at', null);
+
+  return count || 0;
+}
+
+// Remove 2FA entirely (user disable or admin reset)
+async function disableTwoFactor(userId) {
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_enabled: false,
+      totp_enabled_at: null,
+      totp_last_counter: null
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+
+  await supabaseAdmin
+    .from('user_backup_codes')
+    .delete()
+    .eq('user_id', userId);
+}
+
+module.exports = {
+  signChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  countBackupCodes,
+  disableTwoFactor
+};
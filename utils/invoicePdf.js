@@ -0,0 +1,76 @@
+const PDFDocument = require('pdfkit');
+
+const money = (value) => `PKR ${parseFloat(value || 0).toLocaleString('en-PK', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Render an invoice (with items) as a PDF into a writable stream such as an express response
+const writeInvoicePdf = (invoice, { customer, profile }, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(20).text('GreenVerse', 50, 50);
+  doc.fontSize(10).fillColor('#555').text('Banana fiber products, Sukkur, Pakistan', 50, 75);
+
+  doc.fillColor('#000').fontSize(16).text('INVOICE', 400, 50, { align: 'right' });
+  doc.fontSize(10)
+    .text(invoice.invoice_number, 400, 72, { align: 'right' })
+    .text(`Issued: ${invoice.issue_date}`, { align: 'right' })
+    .text(`Due: ${invoice.due_date}`, { align: 'right' })
+    .text(`Status: ${invoice.status}`, { align: 'right' });
+
+  doc.fontSize(11).text('Bill to', 50, 140, { underline: true });
+  doc.fontSize(10).text(customer?.name || '');
+  if (customer?.email) doc.text(customer.email);
+  if (profile) {
+    doc.text(profile.address_line || '');
+    doc.text([profile.city, profile.district, profile.state].filter(Boolean).join(', '));
+    if (profile.phone) doc.text(profile.phone);
+  }
+
+  // Item table
+  const columns = { description: 50, quantity: 300, unitPrice: 370, total: 460 };
+  let y = 250;
+
+  doc.fontSize(10).font('Helvetica-Bold');
+  doc.text('Item', columns.description, y);
+  doc.text('Qty', columns.quantity, y);
+  doc.text('Unit price', columns.unitPrice, y);
+  doc.text('Total', columns.total, y);
+  doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+  doc.font('Helvetica');
+
+  y += 25;
+  invoice.items.forEach(item => {
+    if (y > 720) {
+      doc.addPage();
+      y = 50;
+    }
+    doc.text(item.description, columns.description, y, { width: 240 });
+    doc.text(String(item.quantity), columns.quantity, y);
+    doc.text(money(item.unit_price), columns.unitPrice, y);
+    doc.text(money(item.total_price), columns.total, y);
+    y += 20;
+  });
+
+  doc.moveTo(300, y).lineTo(545, y).stroke();
+  y += 10;
+
+  const discount = parseFloat(invoice.discount_amount || 0);
+  const totals = [
+    ['Subtotal', money(invoice.subtotal)],
+    ...(discount > 0 ? [['Discount', `-${money(discount)}`]] : []),
+    [`Tax (${parseFloat(invoice.tax_rate || 0)}%)`, money(invoice.tax_amount)],
+    ...(parseFloat(invoice.shipping_amount || 0) > 0 ? [['Delivery', money(invoice.shipping_amount)]] : []),
+    ['Total', money(invoice.total)]
+  ];
+
+  totals.forEach(([label, value], index) => {
+    doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, columns.unitPrice, y);
+    doc.text(value, columns.total, y);
+    y += 18;
+  });
+
+  doc.end();
+};
+
+module.exports = { writeInvoicePdf };
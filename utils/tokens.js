@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Generate an opaque random token (hex encoded)
+const randomToken = (bytes = 48) => crypto.randomBytes(bytes).toString('hex');
+
+// Hash a token before storing it so a database leak doesn't expose live tokens
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { randomToken, hashToken };
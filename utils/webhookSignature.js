@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Signature header format: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>"
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const computeSignature = (secret, timestamp, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+// Build the header value for a payload (used by the mock gateway and tests against it)
+const signPayload = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`;
+};
+
+// Check a signature header against the raw request body; rejects old timestamps to stop replays
+const verifySignature = (secret, rawBody, header, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) => {
+  if (!secret || !header || rawBody === undefined) return false;
+
+  const parts = Object.fromEntries(String(header).split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, rawBody), 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { signPayload, verifySignature };